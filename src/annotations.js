@@ -0,0 +1,209 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Things the user records about a session (a custom name, a star, tags and a
+// note) are kept in a JSON file next to (not inside) the rollouts, keyed by
+// session id.
+
+export const ANNOTATIONS_VERSION = 1;
+
+export const DEFAULT_DATA_DIR =
+  process.env.CODEX_TRANSCRIBER_DATA_DIR ||
+  path.join(
+    process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share"),
+    "codex-transcriber",
+  );
+
+const ANNOTATIONS_FILE = "annotations.json";
+
+export function annotationsPath(dataDir = DEFAULT_DATA_DIR) {
+  return path.join(dataDir, ANNOTATIONS_FILE);
+}
+
+// Sessions without a session_meta id are keyed by their absolute path.
+export function annotationKey(session) {
+  return session?.id || path.resolve(session?.path || "");
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// A missing file is an empty store; a corrupt one is reported so that saving
+// does not silently replace it.
+export async function readAnnotations(dataDir = DEFAULT_DATA_DIR) {
+  const filePath = annotationsPath(dataDir);
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return new Map();
+    throw error;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath}: invalid JSON (${error.message})`);
+  }
+  if (!isPlainObject(data?.sessions)) {
+    throw new Error(`${filePath}: expected a "sessions" object`);
+  }
+  return new Map(
+    Object.entries(data.sessions).filter(([, value]) => isPlainObject(value)),
+  );
+}
+
+export async function writeAnnotations(
+  annotations,
+  dataDir = DEFAULT_DATA_DIR,
+) {
+  const filePath = annotationsPath(dataDir);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const data = {
+    version: ANNOTATIONS_VERSION,
+    sessions: Object.fromEntries(annotations),
+  };
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(
+    tempPath,
+    `${JSON.stringify(data, null, 2)}\n`,
+    "utf8",
+  );
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// The TUI reads the store once and then writes whole maps back, so an edit
+// made before that read finished, or after it failed, would replace every
+// annotation on disk. The load state says which case applies.
+export const ANNOTATIONS_LOADING = { status: "loading", error: null };
+
+export async function loadAnnotations(dataDir = DEFAULT_DATA_DIR) {
+  try {
+    const annotations = await readAnnotations(dataDir);
+    return { status: "ready", error: null, annotations };
+  } catch (error) {
+    return {
+      status: "failed",
+      error: error?.message || String(error),
+      annotations: new Map(),
+    };
+  }
+}
+
+// Why edits are refused in this load state, or null when they are allowed.
+export function annotationsLockReason(load) {
+  if (load?.status === "ready") return null;
+  return load?.status === "failed"
+    ? "Session annotations could not be read, so editing them is off"
+    : "Session annotations are still loading";
+}
+
+// Writes `annotations` only over a store that was read cleanly.
+export async function saveLoadedAnnotations(
+  load,
+  annotations,
+  dataDir = DEFAULT_DATA_DIR,
+) {
+  const reason = annotationsLockReason(load);
+  if (reason) throw new Error(reason);
+  await writeAnnotations(annotations, dataDir);
+}
+
+function isEmptyValue(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === false ||
+    value === "" ||
+    (Array.isArray(value) && !value.length)
+  );
+}
+
+// Returns a new map with `changes` merged into the session's annotation.
+// Empty values clear their field, and a session with nothing left is removed.
+export function updateAnnotation(annotations, session, changes) {
+  const key = annotationKey(session);
+  const next = new Map(annotations);
+  const updated = { ...next.get(key), ...changes };
+  for (const [field, value] of Object.entries(updated)) {
+    if (isEmptyValue(value)) delete updated[field];
+  }
+  if (Object.keys(updated).length) {
+    next.set(key, updated);
+  } else {
+    next.delete(key);
+  }
+  return next;
+}
+
+// Tags are free-form and may contain spaces, so they are separated by
+// commas. A leading `#` is dropped, and repeats are ignored regardless of
+// case.
+export function parseTags(values) {
+  const tags = [];
+  const seen = new Set();
+  for (const value of [values].flat()) {
+    for (const part of String(value ?? "").split(",")) {
+      const tag = part
+        .replace(/\s+/gu, " ")
+        .trim()
+        .replace(/^#+\s*/u, "");
+      if (!tag || seen.has(tag.toLowerCase())) continue;
+      seen.add(tag.toLowerCase());
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+export function setSessionName(annotations, session, name) {
+  return updateAnnotation(annotations, session, {
+    name: String(name || "").trim(),
+  });
+}
+
+export function setSessionStarred(annotations, session, starred) {
+  return updateAnnotation(annotations, session, { starred: Boolean(starred) });
+}
+
+export function setSessionTags(annotations, session, tags) {
+  return updateAnnotation(annotations, session, { tags: parseTags(tags) });
+}
+
+export function setSessionNote(annotations, session, note) {
+  return updateAnnotation(annotations, session, {
+    note: String(note || "").trim(),
+  });
+}
+
+// The fields of a stored annotation that have the expected types, since the
+// file can be edited by hand.
+function annotationFields(annotation) {
+  const fields = {};
+  if (typeof annotation.name === "string" && annotation.name) {
+    fields.name = annotation.name;
+  }
+  if (annotation.starred === true) fields.starred = true;
+  const tags = Array.isArray(annotation.tags)
+    ? parseTags(annotation.tags.filter((tag) => typeof tag === "string"))
+    : [];
+  if (tags.length) fields.tags = tags;
+  if (typeof annotation.note === "string" && annotation.note) {
+    fields.note = annotation.note;
+  }
+  return fields;
+}
+
+// Copies names, stars, tags and notes onto the session entries that have
+// them.
+export function applyAnnotations(sessions, annotations) {
+  if (!annotations.size) return sessions;
+  return sessions.map((session) => {
+    const annotation = annotations.get(annotationKey(session));
+    return annotation
+      ? { ...session, ...annotationFields(annotation) }
+      : session;
+  });
+}
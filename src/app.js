@@ -1,171 +1,127 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Box, Text, useApp, useInput, useStdout } from "ink";
 import { spawn } from "node:child_process";
 import fs from "node:fs";
-import os from "node:os";
 import path from "node:path";
-import readline from "node:readline";
+import {
+  buildMarkdownBlock,
+  createConversationTail,
+  defaultExportPath,
+  formatAge,
+  formatLocalTimestamp,
+  loadSessions,
+  parseRepoName,
+  refreshSessions,
+  roleLabel,
+  sessionResumeId,
+  sessionTitle,
+} from "./sessions.js";
+import {
+  ANNOTATIONS_LOADING,
+  annotationsLockReason,
+  applyAnnotations,
+  loadAnnotations,
+  parseTags,
+  saveLoadedAnnotations,
+  setSessionName,
+  setSessionNote,
+  setSessionStarred,
+  setSessionTags,
+} from "./annotations.js";
+import {
+  listStoredItems,
+  purgeItems,
+  restoreItems,
+  storeDirs,
+  storeSessions,
+} from "./archive.js";
+import {
+  DEFAULT_CONFIG,
+  MAX_LEFT_WIDTH,
+  MIN_LEFT_WIDTH,
+  exportPathOptions,
+} from "./config.js";
+import { formatElapsed, formatTokenCount } from "./details.js";
+import {
+  EXPORT_FORMATS,
+  exportSessions,
+  nextExportFormat,
+  renderExport,
+  replaceExportExtension,
+} from "./export.js";
+import {
+  facetValues,
+  filterSessions,
+  isFilterActive,
+  parseSessionFilter,
+} from "./filter.js";
+import {
+  REDACTION_MARKER_PATTERN,
+  countRedactions,
+  createRedactor,
+  formatRedactionReport,
+  loadRedactor,
+  redactConversation,
+  redactText,
+} from "./redact.js";
+import {
+  KEYMAP_SCOPE_LABELS,
+  actionsForScope,
+  buildKeymap,
+  describeKeys,
+  formatKey,
+  keyName,
+  resolveAction,
+} from "./keymap.js";
+import { findInRows, searchSessions } from "./search.js";
+import {
+  USAGE_COLUMNS,
+  USAGE_COMPACT_ORDER,
+  USAGE_GROUPS,
+  collectUsage,
+  formatUsageTable,
+  summarizeUsage,
+} from "./usage.js";
+import {
+  COMMAND_LOG_FORMATS,
+  collectCommands,
+  describeCommand,
+  nextCommandLogFormat,
+  renderCommandLog,
+  replaceCommandLogExtension,
+} from "./replay.js";
+import { renderTerminalMarkdown } from "./terminal.js";
+import { toolTitle } from "./tools.js";
+import {
+  findPatchText,
+  formatFileChange,
+  parseApplyPatch,
+  patchDisplayLines,
+} from "./patch.js";
+import {
+  MIN_CONVERSATION_ROWS,
+  MIN_CONVERSATION_WIDTH,
+  MIN_LIST_ROWS,
+  computeLayout,
+  paneAt,
+} from "./layout.js";
+import { DISABLE_MOUSE, ENABLE_MOUSE, parseMouseInput } from "./mouse.js";
+import { watchSessionsDir } from "./watch.js";
+import {
+  graphemeWidth,
+  graphemes,
+  padRightByWidth,
+  stringWidth,
+  truncateByWidth,
+} from "./width.js";
 
 const h = React.createElement;
 
-const DEFAULT_SESSIONS_DIR =
-  process.env.CODEX_SESSIONS_DIR || path.join(os.homedir(), ".codex", "sessions");
-
-const EXCLUDE_PREFIXES = [
-  "# AGENTS.md",
-  "<environment_context>",
-  "<permissions instructions>",
-  "<INSTRUCTIONS>",
-];
-
-function shouldExcludeText(text) {
-  if (!text) return true;
-  const trimmed = text.trimStart();
-  return EXCLUDE_PREFIXES.some((prefix) => trimmed.startsWith(prefix));
-}
-
-async function findJsonlFiles(dir) {
-  let entries;
-  try {
-    entries = await fs.promises.readdir(dir, { withFileTypes: true });
-  } catch {
-    return [];
-  }
-
-  const results = [];
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      results.push(...(await findJsonlFiles(fullPath)));
-    } else if (entry.isFile() && entry.name.endsWith(".jsonl")) {
-      results.push(fullPath);
-    }
-  }
-  return results;
-}
-
-async function readFirstLine(filePath) {
-  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-  for await (const line of rl) {
-    rl.close();
-    stream.destroy();
-    return line.trim();
-  }
-  return "";
-}
-
-function parseTimestampMsFromFilename(filePath) {
-  const name = path.basename(filePath);
-  const match = name.match(
-    /rollout-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/u,
-  );
-  if (!match) return null;
-  const datePart = match[1];
-  const timePart = `${match[2]}:${match[3]}:${match[4]}Z`;
-  const iso = `${datePart}T${timePart}`;
-  const date = new Date(iso);
-  if (Number.isNaN(date.getTime())) return null;
-  return date.getTime();
-}
-
-function formatLocalTimestamp(date) {
-  const pad2 = (value) => String(value).padStart(2, "0");
-  const year = date.getFullYear();
-  const month = pad2(date.getMonth() + 1);
-  const day = pad2(date.getDate());
-  const hours = pad2(date.getHours());
-  const minutes = pad2(date.getMinutes());
-  const seconds = pad2(date.getSeconds());
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-}
-
-function parseTimestampFromFilename(filePath) {
-  const timestampMs = parseTimestampMsFromFilename(filePath);
-  if (!timestampMs) return null;
-  return formatLocalTimestamp(new Date(timestampMs));
-}
-
-function parseRepoName(repositoryUrl) {
-  if (!repositoryUrl) return "";
-  try {
-    const parsed = new URL(repositoryUrl);
-    const pathname = parsed.pathname.replace(/\.git$/u, "");
-    const parts = pathname.split("/").filter(Boolean);
-    return parts[parts.length - 1] || "";
-  } catch {
-    const trimmed = repositoryUrl.replace(/\.git$/u, "");
-    return path.basename(trimmed);
-  }
-}
-
-async function readSessionMeta(filePath) {
-  try {
-    const line = await readFirstLine(filePath);
-    if (!line) return null;
-    const parsed = JSON.parse(line);
-    if (parsed?.type === "session_meta") {
-      return parsed;
-    }
-  } catch {
-    return null;
-  }
-  return null;
-}
-
-function formatTimestamp(timestamp) {
-  if (!timestamp) return null;
-  const date = new Date(timestamp);
-  if (Number.isNaN(date.getTime())) return null;
-  return formatLocalTimestamp(date);
-}
-
-function buildSessionLabel(meta, filePath, baseDir) {
-  const tsRaw = meta?.payload?.timestamp || meta?.timestamp;
-  const ts = formatTimestamp(tsRaw) || parseTimestampFromFilename(filePath);
-  if (ts) return ts;
-  return path.relative(baseDir, filePath);
-}
-
 function truncateLabel(label, maxWidth) {
   if (!label) return "";
-  if (label.length <= maxWidth) return label;
-  if (maxWidth <= 3) return label.slice(0, maxWidth);
-  return `${label.slice(0, maxWidth - 3)}...`;
-}
-
-function charWidth(char) {
-  const code = char.codePointAt(0) || 0;
-  if (code <= 0x1f) return 0;
-  if (code <= 0x7f) return 1;
-  return 2;
-}
-
-function stringWidth(text) {
-  let width = 0;
-  for (const char of text || "") {
-    width += charWidth(char);
-  }
-  return width;
-}
-
-function padRightByWidth(text, targetWidth) {
-  const currentWidth = stringWidth(text);
-  if (currentWidth >= targetWidth) return text;
-  return `${text}${" ".repeat(targetWidth - currentWidth)}`;
-}
-
-function truncateByWidth(text, maxWidth) {
-  if (!text || maxWidth <= 0) return "";
-  let width = 0;
-  let result = "";
-  for (const char of text) {
-    const charW = charWidth(char);
-    if (width + charW > maxWidth) break;
-    result += char;
-    width += charW;
-  }
-  return result;
+  if (stringWidth(label) <= maxWidth) return label;
+  if (maxWidth <= 3) return truncateByWidth(label, maxWidth);
+  return `${truncateByWidth(label, maxWidth - 3)}...`;
 }
 
 function buildTitleBorderLine(width, title) {
@@ -208,12 +164,12 @@ function wrapText(text, maxWidth) {
   const lines = [];
   let line = "";
   let lineWidth = 0;
-  for (const char of text || "") {
+  for (const char of graphemes(text || "")) {
     if (char === "\r") continue;
     if (char === "\t") {
       const tab = "  ";
       for (const tabChar of tab) {
-        const width = charWidth(tabChar);
+        const width = graphemeWidth(tabChar);
         if (lineWidth + width > maxWidth && line !== "") {
           lines.push(line);
           line = "";
@@ -229,7 +185,7 @@ function wrapText(text, maxWidth) {
       }
       continue;
     }
-    const width = charWidth(char);
+    const width = graphemeWidth(char);
     if (lineWidth + width > maxWidth && line !== "") {
       lines.push(line);
       line = "";
@@ -260,133 +216,247 @@ function wrapRows(rows, maxWidth) {
     lines.forEach((line, index) => {
       const nextType =
         index === 0 ? row.type : row.type === "label" ? "text" : row.type;
-      wrapped.push({ ...row, type: nextType, text: line });
+      const next = { ...row, type: nextType, text: line };
+      if (lines.length > 1) {
+        next.searchText = line;
+        next.searchOffset = 0;
+        next.continues = index > 0 || Boolean(row.continues);
+      }
+      wrapped.push(next);
     });
   }
   return wrapped;
 }
 
-function imagePlaceholders(payload) {
-  const images = [];
-  if (Array.isArray(payload?.images)) images.push(...payload.images);
-  if (Array.isArray(payload?.local_images)) images.push(...payload.local_images);
-  if (images.length === 0) return [];
-  return images.map((_, index) => `[image ${index + 1}]`);
+function markRedactedRows(rows) {
+  return rows.map((row) => {
+    if (!row.text?.includes("[REDACTED")) return row;
+    const spans = [];
+    for (const span of row.spans || [{ text: row.text }]) {
+      let cursor = 0;
+      for (const match of span.text.matchAll(REDACTION_MARKER_PATTERN)) {
+        if (match.index > cursor) {
+          spans.push({ ...span, text: span.text.slice(cursor, match.index) });
+        }
+        spans.push({ ...span, text: match[0], color: "red", bold: true });
+        cursor = match.index + match[0].length;
+      }
+      if (cursor < span.text.length) {
+        spans.push({ ...span, text: span.text.slice(cursor) });
+      }
+    }
+    return { ...row, spans };
+  });
 }
 
-function appendImages(text, payload) {
-  const placeholders = imagePlaceholders(payload);
-  if (placeholders.length === 0) return text;
-  const suffix = placeholders.join("\n");
-  if (!text) return suffix;
-  return `${text}\n\n${suffix}`;
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
 }
 
-function buildTextFromContent(content) {
-  if (!Array.isArray(content)) return "";
-  const parts = content
-    .filter(
-      (item) => item?.type === "input_text" || item?.type === "output_text",
-    )
-    .map((item) => item.text)
-    .filter(Boolean);
-  return parts.join("\n");
+// "Label: value" lines for the details panel. `cwd` is passed separately so
+// the caller can show a redacted copy.
+function buildDetailsLines(details, options = {}) {
+  const { cwd = details.cwd } = options;
+  const lines = [];
+  const model = details.models.length ? details.models.join(", ") : "unknown";
+  lines.push(
+    `Model: ${model}${details.modelProvider ? ` (${details.modelProvider})` : ""}`,
+  );
+  if (details.cliVersion) {
+    lines.push(
+      `CLI: ${details.cliVersion}${details.originator ? ` (${details.originator})` : ""}`,
+    );
+  }
+  lines.push(`Cwd: ${cwd || "unknown"}`);
+  if (details.startMs !== null) {
+    lines.push(
+      `Started: ${formatLocalTimestamp(new Date(details.startMs))}  Ended: ${formatLocalTimestamp(new Date(details.endMs))}  Duration: ${formatElapsed(details.durationMs)}`,
+    );
+  }
+  lines.push(
+    `Turns: ${details.turns.user} user, ${details.turns.assistant} assistant${
+      details.turns.reasoning ? `, ${details.turns.reasoning} reasoning` : ""
+    }`,
+  );
+  lines.push(
+    `Tools: ${plural(details.toolCalls, "call")}${
+      details.tools.length
+        ? ` (${details.tools.map(({ name, count }) => `${name} ${count}`).join(", ")})`
+        : ""
+    }`,
+  );
+  const { tokens } = details;
+  lines.push(
+    tokens
+      ? `Tokens: ${formatTokenCount(tokens.input)} input (${formatTokenCount(tokens.cachedInput)} cached), ${formatTokenCount(tokens.output)} output (${formatTokenCount(tokens.reasoningOutput)} reasoning), ${formatTokenCount(tokens.total)} total`
+      : "Tokens: not recorded",
+  );
+  return lines;
 }
 
-async function extractConversation(filePath) {
-  const eventMessages = [];
-  const fallbackMessages = [];
-
-  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
-  for await (const line of rl) {
-    if (!line.trim()) continue;
-    let parsed;
-    try {
-      parsed = JSON.parse(line);
-    } catch {
-      continue;
-    }
-
-    if (parsed?.type === "event_msg") {
-      const payload = parsed.payload || {};
-      const msgType = payload.type;
-      if (msgType === "user_message") {
-        const text = appendImages(payload.message || "", payload);
-        if (!shouldExcludeText(text)) {
-          eventMessages.push({ role: "user", text });
-        }
-      }
-      if (msgType === "agent_message" || msgType === "assistant_message") {
-        const text = payload.message || "";
-        if (!shouldExcludeText(text)) {
-          eventMessages.push({ role: "assistant", text });
-        }
-      }
-    }
+const DIFF_LINE_STYLES = {
+  file: { bold: true },
+  hunk: { color: "cyan" },
+  add: { color: "green" },
+  remove: { color: "red" },
+  context: { dim: true },
+};
+
+function textBodyLines(body) {
+  if (!body) return [];
+  return body
+    .replace(/\n$/u, "")
+    .split("\n")
+    .map((text) => ({ text, dim: true }));
+}
 
-    if (parsed?.type === "response_item") {
-      const payload = parsed.payload || {};
-      if (payload.type === "message") {
-        const role = payload.role;
-        if (role === "user" || role === "assistant") {
-          const text = buildTextFromContent(payload.content);
-          if (!shouldExcludeText(text)) {
-            fallbackMessages.push({ role, text });
-          }
-        }
-      }
+// apply_patch calls show their files with line counts, and the diff in
+// place of the raw patch input when expanded.
+function toolBodyLines(entry, expandTools) {
+  const lines = [{ text: entry.text || "" }];
+  if (entry.cwd) lines.push({ text: `cwd: ${entry.cwd}`, dim: true });
+  const patch = findPatchText(entry);
+  const files = patch ? parseApplyPatch(patch) : [];
+  const sections = [
+    patch
+      ? [
+          "diff",
+          patchDisplayLines(files).map(({ kind, text }) => ({
+            text,
+            ...DIFF_LINE_STYLES[kind],
+          })),
+        ]
+      : ["input", textBodyLines(entry.input)],
+    ["output", textBodyLines(entry.output)],
+  ].filter(([, body]) => body.length);
+  if (!sections.length) return lines;
+  if (!expandTools) {
+    for (const file of files) {
+      lines.push({ text: formatFileChange(file), ...DIFF_LINE_STYLES.file });
     }
+    const count = sections.reduce((sum, [, body]) => sum + body.length, 0);
+    const names = sections.map(([label]) => label).join(" and ");
+    const noun = count === 1 ? "line" : "lines";
+    lines.push({
+      text: `[+] ${count} ${noun} of ${names} (o to expand)`,
+      dim: true,
+    });
+    return lines;
   }
+  for (const [label, body] of sections) {
+    lines.push({ text: `[-] ${label}`, dim: true }, ...body);
+  }
+  return lines;
+}
 
-  if (eventMessages.length > 0) return eventMessages;
-  return fallbackMessages;
+function reasoningBodyLines(entry, expandReasoning) {
+  const lines = (entry.text || "").replace(/\n+$/u, "").split("\n");
+  if (expandReasoning) return lines.map((text) => ({ text, dim: true }));
+  const first = lines.find((line) => line.trim()) || "";
+  const rest = lines.length - 1;
+  const result = [{ text: first, dim: true }];
+  if (rest > 0) {
+    result.push({
+      text: `[+] ${rest} more lines (r to expand)`,
+      dim: true,
+    });
+  }
+  return result;
 }
 
-function buildMarkdown(entries) {
-  const blocks = entries.map((entry) => {
-    const header = entry.role === "user" ? "### User" : "### Assistant";
-    const body = entry.text || "";
-    return `${header}\n${body}`;
-  });
-  return `${blocks.join("\n\n")}\n`;
+function entryBoxTitle(entry) {
+  if (entry.role === "tool") return toolTitle(entry);
+  return roleLabel(entry.role);
 }
 
-function buildBoxRows(entries, maxWidth) {
+function buildBoxRows(entries, maxWidth, options = {}) {
   const rows = [];
-  const innerWidth = Math.max(1, maxWidth - 4);
-  const borderInnerWidth = innerWidth + 2;
-  const border = `+${"-".repeat(borderInnerWidth)}+`;
 
-  for (const entry of entries) {
-    const label = entry.role === "user" ? "User" : "Assistant";
+  entries.forEach((entry, entryIndex) => {
+    const indent = entry.role === "reasoning" ? "  " : "";
+    const innerWidth = Math.max(1, maxWidth - 4 - indent.length);
+    const borderInnerWidth = innerWidth + 2;
+    const border = `${indent}+${"-".repeat(borderInnerWidth)}+`;
+    const label = entryBoxTitle(entry);
     let labelTag = ` ${label} `;
     if (stringWidth(labelTag) > borderInnerWidth) {
-      labelTag = labelTag.slice(0, Math.max(0, borderInnerWidth));
+      labelTag = truncateByWidth(labelTag, borderInnerWidth);
     }
     const remaining = Math.max(0, borderInnerWidth - stringWidth(labelTag));
-    const topBorder = `+${labelTag}${"-".repeat(remaining)}+`;
-    rows.push({ type: "box-border", role: entry.role, text: topBorder });
-
-    const rawLines = (entry.text || "").split("\n");
-    const bodyLines = rawLines.length ? rawLines : [""];
-    for (const rawLine of bodyLines) {
-      const wrapped = wrapText(rawLine, innerWidth);
-      for (const line of wrapped) {
-        const padded = padRightByWidth(line, innerWidth);
+    const topBorder = `${indent}+${labelTag}${"-".repeat(remaining)}+`;
+    rows.push({
+      type: "box-border",
+      role: entry.role,
+      entryIndex,
+      text: topBorder,
+      searchText: "",
+    });
+
+    if (entry.role === "assistant") {
+      for (const line of renderTerminalMarkdown(entry.text, innerWidth)) {
+        const padding = " ".repeat(
+          Math.max(0, innerWidth - stringWidth(line.text)),
+        );
         rows.push({
           type: "box-text",
           role: entry.role,
-          text: `| ${padded} |`,
+          entryIndex,
+          text: `${indent}| ${line.text}${padding} |`,
+          spans: [
+            { text: `${indent}| ` },
+            ...line.spans,
+            { text: `${padding} |` },
+          ],
+          searchText: line.searchText,
+          searchOffset: indent.length + 2 + line.searchStart,
+          continues: line.continues,
         });
       }
     }
 
-    rows.push({ type: "box-border", role: entry.role, text: border });
-    rows.push({ type: "spacer", text: " " });
-    rows.push({ type: "spacer", text: " " });
-  }
+    const bodyLines =
+      entry.role === "assistant"
+        ? []
+        : entry.role === "tool"
+        ? toolBodyLines(entry, options.expandTools)
+        : entry.role === "reasoning"
+          ? reasoningBodyLines(entry, options.expandReasoning)
+          : (entry.text || "").split("\n").map((text) => ({ text }));
+    for (const bodyLine of bodyLines) {
+      const wrapped = wrapText(bodyLine.text, innerWidth);
+      wrapped.forEach((line, lineIndex) => {
+        const padded = padRightByWidth(line, innerWidth);
+        const styled = bodyLine.color || bodyLine.bold;
+        rows.push({
+          type: "box-text",
+          role: entry.role,
+          entryIndex,
+          dim: bodyLine.dim,
+          text: `${indent}| ${padded} |`,
+          spans: styled
+            ? [
+                { text: `${indent}| ` },
+                { text: line, color: bodyLine.color, bold: bodyLine.bold },
+                { text: `${padded.slice(line.length)} |` },
+              ]
+            : undefined,
+          searchText: line,
+          searchOffset: indent.length + 2,
+          continues: lineIndex > 0,
+        });
+      });
+    }
+
+    rows.push({
+      type: "box-border",
+      role: entry.role,
+      entryIndex,
+      text: border,
+      searchText: "",
+    });
+    rows.push({ type: "spacer", text: " ", searchText: "" });
+    rows.push({ type: "spacer", text: " ", searchText: "" });
+  });
 
   while (rows.length && rows[rows.length - 1].type === "spacer") {
     rows.pop();
@@ -394,11 +464,62 @@ function buildBoxRows(entries, maxWidth) {
   return rows;
 }
 
-function buildMarkdownRows(markdown) {
-  if (!markdown) return [];
-  return markdown
-    .split("\n")
-    .map((line) => ({ type: "text", text: line === "" ? " " : line }));
+function buildMarkdownRows(entries, options = {}) {
+  const rows = [];
+  entries.forEach((entry, entryIndex) => {
+    if (entry.role === "tool" && !options.includeTools) return;
+    if (entry.role === "reasoning" && !options.includeReasoning) return;
+    if (rows.length) rows.push({ type: "text", text: " " });
+    for (const line of buildMarkdownBlock(entry).split("\n")) {
+      rows.push({ type: "text", entryIndex, text: line === "" ? " " : line });
+    }
+  });
+  if (rows.length) rows.push({ type: "text", text: " " });
+  return rows;
+}
+
+function findEntryRowOffset(rows, entryIndex, query) {
+  const needle = (query || "").toLowerCase();
+  let firstRow = -1;
+  for (let index = 0; index < rows.length; index += 1) {
+    if (rows[index].entryIndex !== entryIndex) continue;
+    if (firstRow === -1) firstRow = index;
+    if (needle && rows[index].text.toLowerCase().includes(needle)) {
+      return index;
+    }
+  }
+  return Math.max(0, firstRow);
+}
+
+// Where the top visible row sits inside its entry, as a fraction of the
+// entry's rows, so the spot can be found again after re-wrapping.
+function rowAnchor(rows, offset) {
+  let index = offset;
+  while (index < rows.length && rows[index].entryIndex === undefined) {
+    index += 1;
+  }
+  if (index >= rows.length) return null;
+  const { entryIndex } = rows[index];
+  let start = index;
+  while (start > 0 && rows[start - 1].entryIndex === entryIndex) start -= 1;
+  let end = index;
+  while (end + 1 < rows.length && rows[end + 1].entryIndex === entryIndex) {
+    end += 1;
+  }
+  return { entryIndex, fraction: (index - start) / (end - start + 1) };
+}
+
+function anchorRowOffset(rows, anchor) {
+  const start = rows.findIndex((row) => row.entryIndex === anchor.entryIndex);
+  if (start === -1) return 0;
+  let end = start;
+  while (
+    end + 1 < rows.length &&
+    rows[end + 1].entryIndex === anchor.entryIndex
+  ) {
+    end += 1;
+  }
+  return start + Math.floor(anchor.fraction * (end - start + 1));
 }
 
 function collectVisibleLines(headerLines, rows, scrollOffset, visibleCount) {
@@ -471,16 +592,6 @@ async function writeToClipboard(text) {
   throw new Error("クリップボードにコピーするコマンドが見つかりません");
 }
 
-function defaultExportPath(session) {
-  const base =
-    session?.id || path.basename(session.path || "session", ".jsonl");
-  return path.join(process.cwd(), `${base}.md`);
-}
-
-function sessionResumeId(session) {
-  return session?.id || null;
-}
-
 function TitledPanel({
   title,
   width,
@@ -509,20 +620,110 @@ function TitledPanel({
   );
 }
 
+const LIST_WIDTH_STEP = 4;
+const LIST_ROWS_STEP = 2;
+const LIST_COLUMN_MAX_WIDTH = 16;
+const LIST_AGE_WIDTH = 4;
+const MIN_TITLE_WIDTH = 12;
+const WHEEL_STEP = 3;
+
+// Prompts that edit what the user records about the selected session.
+const ANNOTATION_PROMPTS = {
+  name: {
+    label: "Name",
+    hint: "Enter to save (empty to show the first message again), Esc to cancel",
+  },
+  tags: {
+    label: "Tags",
+    hint: "Separate tags with commas | Enter to save (empty clears), Esc to cancel",
+  },
+  note: {
+    label: "Note",
+    hint: "Enter to save (empty clears), Esc to cancel",
+  },
+};
+
+function listColumnValue(session, column, now) {
+  if (column === "age") return formatAge(now - session.sortKey);
+  if (column === "messages") {
+    return session.messageCount == null ? "" : String(session.messageCount);
+  }
+  if (column === "repo") {
+    return parseRepoName(
+      session.git?.repository_url || session.git?.repositoryUrl || "",
+    );
+  }
+  if (column === "branch") return session.git?.branch || "";
+  return "";
+}
+
+// Column widths fit the widest value among the listed sessions, so they stay
+// put while scrolling. Ages always get LIST_AGE_WIDTH cells since they change
+// as time passes. Columns with no values are left out.
+function measureListColumns(sessions, columns) {
+  return columns
+    .map((id) => {
+      if (id === "age") return { id, width: LIST_AGE_WIDTH, align: "right" };
+      let width = 0;
+      for (const session of sessions) {
+        width = Math.max(width, stringWidth(listColumnValue(session, id, 0)));
+      }
+      return {
+        id,
+        width: Math.min(width, LIST_COLUMN_MAX_WIDTH),
+        align: id === "messages" ? "right" : "left",
+      };
+    })
+    .filter((column) => column.width > 0);
+}
+
+// Drops columns from the end while the title would get fewer than
+// MIN_TITLE_WIDTH cells.
+function fitListColumns(columns, width) {
+  const fitted = [...columns];
+  const used = () => fitted.reduce((sum, column) => sum + column.width + 1, 0);
+  while (fitted.length && width - used() < MIN_TITLE_WIDTH) fitted.pop();
+  return { columns: fitted, titleWidth: width - used() };
+}
+
+// The star and the tags go with the title, so narrow panes cut the tags off
+// first.
+function listRowTitle(session) {
+  const star = session.starred ? "★ " : "";
+  const tags = session.tags?.length ? ` [${session.tags.join(", ")}]` : "";
+  return `${star}${sessionTitle(session)}${tags}`;
+}
+
+function formatListCell(session, column, now) {
+  const value = truncateLabel(
+    listColumnValue(session, column.id, now),
+    column.width,
+  );
+  const padding = " ".repeat(Math.max(0, column.width - stringWidth(value)));
+  return column.align === "right" ? `${padding}${value}` : `${value}${padding}`;
+}
+
 function ListView({
   sessions,
   loading,
+  loadProgress,
   error,
   selectedIndex,
   scrollOffset,
   visibleCount,
   maxLabelWidth,
+  columns,
+  markedPaths,
+  filtered,
 }) {
   if (loading) {
     return h(
       Box,
       { flexDirection: "column" },
       h(Text, null, "Loading..."),
+      loadProgress?.total
+        ? h(Text, null, `${loadProgress.loaded}/${loadProgress.total}`)
+        : null,
     );
   }
 
@@ -539,11 +740,13 @@ function ListView({
     return h(
       Box,
       { flexDirection: "column" },
-      h(Text, null, "No sessions found"),
+      h(Text, null, filtered ? "No sessions match" : "No sessions found"),
     );
   }
 
   const visibleSessions = sessions.slice(scrollOffset, scrollOffset + visibleCount);
+  const layout = fitListColumns(columns, maxLabelWidth);
+  const now = Date.now();
 
   return h(
     Box,
@@ -551,13 +754,25 @@ function ListView({
     h(Box, { flexDirection: "column" }, [
       ...visibleSessions.map((session, index) => {
         const actualIndex = scrollOffset + index;
-        const prefix = actualIndex === selectedIndex ? "> " : "  ";
-        const label = truncateLabel(session.label, maxLabelWidth);
+        const marked = markedPaths.has(session.path);
+        const prefix = `${actualIndex === selectedIndex ? ">" : " "}${marked ? "*" : " "}`;
+        const title = truncateLabel(listRowTitle(session), layout.titleWidth);
+        const cells = layout.columns.map(
+          (column) => ` ${formatListCell(session, column, now)}`,
+        );
+        const label = cells.length
+          ? `${padRightByWidth(title, layout.titleWidth)}${cells.join("")}`
+          : title;
         return h(
           Text,
           {
             key: session.path,
-            color: actualIndex === selectedIndex ? "cyan" : undefined,
+            color:
+              actualIndex === selectedIndex
+                ? "cyan"
+                : marked
+                  ? "yellow"
+                  : undefined,
             wrap: "truncate",
           },
           `${prefix}${label}`,
@@ -567,6 +782,62 @@ function ListView({
   );
 }
 
+function roleColor(role) {
+  if (role === "user") return "cyan";
+  if (role === "tool") return "yellow";
+  if (role === "reasoning") return "gray";
+  return "blueBright";
+}
+
+function spanProps(span) {
+  return {
+    color: span.color,
+    bold: span.bold,
+    italic: span.italic,
+    underline: span.underline,
+    dimColor: span.dim,
+  };
+}
+
+function renderStyledText(spans, ranges = []) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const parts = [];
+  let offset = 0;
+  const push = (span, text, highlight) => {
+    if (!text) return;
+    parts.push(
+      h(
+        Text,
+        {
+          key: parts.length,
+          ...spanProps(span),
+          ...(highlight
+            ? highlight.current
+              ? { backgroundColor: "yellow", color: "black" }
+              : { inverse: true }
+            : {}),
+        },
+        text,
+      ),
+    );
+  };
+  for (const span of spans) {
+    const end = offset + span.text.length;
+    let cursor = offset;
+    for (const range of sorted) {
+      if (range.end <= cursor || range.start >= end) continue;
+      const start = Math.max(cursor, range.start);
+      const stop = Math.min(end, range.end);
+      push(span, span.text.slice(cursor - offset, start - offset));
+      push(span, span.text.slice(start - offset, stop - offset), range);
+      cursor = stop;
+    }
+    push(span, span.text.slice(cursor - offset));
+    offset = end;
+  }
+  return parts;
+}
+
 function ConversationView({
   session,
   loading,
@@ -575,10 +846,10 @@ function ConversationView({
   scrollOffset,
   visibleCount,
   headerLines,
+  highlights,
 }) {
   const renderHeaderLine = (line, index) => {
-    const isMeta =
-      line.startsWith("Repository:") || line.startsWith("Branch:");
+    const isMeta = Boolean(line.trim());
     return h(
       Text,
       {
@@ -646,149 +917,831 @@ function ConversationView({
           visibleRows.map((row, index) => {
             const isBoxRow = row.type?.startsWith("box-");
             const color =
-              isBoxRow && row.role
-                ? row.role === "user"
-                  ? "cyan"
-                  : "blueBright"
-                : row.type === "label"
-                  ? row.role === "user"
-                    ? "cyan"
-                    : "blueBright"
-                  : undefined;
-            return h(Text, { key: index, color }, row.text);
+              (isBoxRow || row.type === "label") && row.role
+                ? roleColor(row.role)
+                : undefined;
+            const ranges = highlights?.get(scrollOffset + index);
+            return h(
+              Text,
+              { key: index, color, dimColor: row.dim },
+              ranges || row.spans
+                ? renderStyledText(row.spans || [{ text: row.text }], ranges)
+                : row.text,
+            );
           }),
         ),
   );
 }
 
-export default function App() {
-  const { exit } = useApp();
-  const { stdout } = useStdout();
-  const [sessions, setSessions] = useState([]);
-  const [selectedIndex, setSelectedIndex] = useState(0);
-  const [scrollOffset, setScrollOffset] = useState(0);
-  const [loadingSessions, setLoadingSessions] = useState(true);
-  const [sessionsError, setSessionsError] = useState("");
-
-  const [selectedSession, setSelectedSession] = useState(null);
-
-  const [conversation, setConversation] = useState([]);
-  const [loadingConversation, setLoadingConversation] = useState(false);
-  const [conversationError, setConversationError] = useState("");
-
-  const [viewMode, setViewMode] = useState("pretty");
-  const [exporting, setExporting] = useState(false);
-  const [exportPath, setExportPath] = useState("");
-  const [status, setStatus] = useState("");
-  const [statusDetail, setStatusDetail] = useState("");
-  const [rightScrollOffset, setRightScrollOffset] = useState(0);
-  const [focus, setFocus] = useState("left");
+function SearchResultsView({
+  results,
+  progress,
+  selectedIndex,
+  scrollOffset,
+  visibleCount,
+  width,
+}) {
+  const matchLabel = results.length === 1 ? "match" : "matches";
+  const summary = progress.done
+    ? `${results.length} ${matchLabel} in ${progress.scanned} sessions${
+        progress.cancelled ? " (cancelled)" : ""
+      }${progress.truncated ? " (limit reached)" : ""}`
+    : `Searching ${progress.scanned}/${progress.total}... ${results.length} ${matchLabel}`;
 
-  const launchCodexResume = (session) => {
-    const resumeId = sessionResumeId(session);
-    if (!resumeId) {
-      setStatus("session id が見つかりません");
-      setStatusDetail("");
-      return;
-    }
-    const child = spawn("codex", ["resume", resumeId], { stdio: "inherit" });
-    child.on("error", (error) => {
-      setStatus("codex 起動に失敗しました");
-      setStatusDetail(error?.message || String(error));
-    });
-    child.on("spawn", () => {
-      exit();
-    });
-  };
+  const visibleResults = results.slice(scrollOffset, scrollOffset + visibleCount);
 
-  useEffect(() => {
-    let cancelled = false;
-    const run = async () => {
-      setLoadingSessions(true);
-      setSessionsError("");
-      try {
-        const files = await findJsonlFiles(DEFAULT_SESSIONS_DIR);
-        const sessionsData = await Promise.all(
-          files.map(async (filePath) => {
-            const meta = await readSessionMeta(filePath);
-            const label = buildSessionLabel(
-              meta,
-              filePath,
-              DEFAULT_SESSIONS_DIR,
+  return h(
+    Box,
+    { flexDirection: "column" },
+    h(Text, { color: "yellow", bold: true, wrap: "truncate" }, summary),
+    h(Text, null, " "),
+    !results.length && progress.done
+      ? h(Text, null, "No matches")
+      : h(
+          Box,
+          { flexDirection: "column" },
+          visibleResults.map((result, index) => {
+            const actualIndex = scrollOffset + index;
+            const selected = actualIndex === selectedIndex;
+            const prefix = selected ? "> " : "  ";
+            const role = roleLabel(result.role);
+            const line = `${prefix}${result.session.label}  ${role}  ${result.snippet}`;
+            return h(
+              Text,
+              {
+                key: `${result.session.path}-${result.entryIndex}`,
+                color: selected ? "cyan" : undefined,
+                wrap: "truncate",
+              },
+              truncateByWidth(line, width),
             );
-            const id = meta?.payload?.id || null;
-            const tsRaw = meta?.payload?.timestamp || meta?.timestamp;
-            const metaTs = tsRaw ? Date.parse(tsRaw) : NaN;
-            let mtimeMs = 0;
-            try {
-              const stat = await fs.promises.stat(filePath);
-              if (Number.isFinite(stat?.mtimeMs)) {
-                mtimeMs = stat.mtimeMs;
-              }
-            } catch {}
-            const filenameMs = parseTimestampMsFromFilename(filePath) || 0;
-            const metaMs = Number.isNaN(metaTs) ? 0 : metaTs;
-            const sortKey = mtimeMs || metaMs || filenameMs || 0;
-    return {
-      id,
-      label,
-      path: filePath,
-      sortKey,
-      git: meta?.payload?.git || meta?.git || null,
-    };
-  }),
-        );
-        sessionsData.sort((a, b) => {
-          if (a.sortKey !== b.sortKey) return b.sortKey - a.sortKey;
-          return a.label.localeCompare(b.label);
-        });
-        if (!cancelled) {
-          setSessions(sessionsData);
-          setSelectedIndex(0);
-          setScrollOffset(0);
-        }
-      } catch (error) {
-        if (!cancelled) {
-          setSessionsError(error?.message || String(error));
-        }
-      } finally {
-        if (!cancelled) setLoadingSessions(false);
-      }
-    };
-    run();
-    return () => {
-      cancelled = true;
-    };
-  }, []);
-
-  useEffect(() => {
-    const session = sessions[selectedIndex] || null;
-    setSelectedSession(session);
-  }, [sessions, selectedIndex]);
+          }),
+        ),
+  );
+}
 
-  const paneHeight = useMemo(() => {
-    const rows = stdout?.rows || 24;
-    const headerLines = 6;
-    const footerLines = 1;
-    return Math.max(4, rows - headerLines - footerLines);
-  }, [stdout?.rows]);
+function CommandsView({
+  commands,
+  selectedIndex,
+  scrollOffset,
+  visibleCount,
+  width,
+}) {
+  const failed = commands.filter(({ exitCode }) => exitCode).length;
+  const summary = [
+    `${commands.length} ${commands.length === 1 ? "command" : "commands"}`,
+    failed ? `${failed} failed` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const selected = commands[selectedIndex];
+  const detail = selected
+    ? [describeCommand(selected), selected.cwd && `cwd: ${selected.cwd}`]
+        .filter(Boolean)
+        .join(" | ")
+    : " ";
+  const numberWidth = String(commands.length).length;
+  const visibleCommands = commands.slice(
+    scrollOffset,
+    scrollOffset + visibleCount,
+  );
 
-  const baseVisibleCount = useMemo(() => {
-    return Math.max(1, paneHeight - 2);
-  }, [paneHeight]);
-  const leftVisibleCount = baseVisibleCount;
+  return h(
+    Box,
+    { flexDirection: "column" },
+    h(Text, { color: "yellow", bold: true, wrap: "truncate" }, summary),
+    h(Text, { dimColor: true, wrap: "truncate" }, detail),
+    !commands.length
+      ? h(Text, null, "No shell commands in this session")
+      : h(
+          Box,
+          { flexDirection: "column" },
+          visibleCommands.map((command, index) => {
+            const actualIndex = scrollOffset + index;
+            const isSelected = actualIndex === selectedIndex;
+            const [firstLine, ...rest] = command.command.split("\n");
+            const text = command.patch
+              ? `apply_patch: ${command.summary}`
+              : `${firstLine}${rest.length ? " …" : ""}`;
+            const number = String(actualIndex + 1).padStart(numberWidth);
+            const line = `${isSelected ? "> " : "  "}${number}  $ ${text}`;
+            return h(
+              Text,
+              {
+                key: command.entryIndex,
+                color: isSelected
+                  ? "cyan"
+                  : command.exitCode
+                    ? "red"
+                    : undefined,
+                wrap: "truncate",
+              },
+              truncateByWidth(line, width),
+            );
+          }),
+        ),
+  );
+}
 
-  const leftWidth = useMemo(() => 25, []);
+function StoredView({
+  items,
+  error,
+  selectedIndex,
+  scrollOffset,
+  visibleCount,
+  width,
+}) {
+  const trashed = items.filter(({ store }) => store === "trash").length;
+  const summary = error
+    ? error
+    : `${items.length - trashed} archived, ${trashed} in the trash`;
+  const selected = items[selectedIndex];
+  const detail = selected
+    ? [
+        selected.originalPath,
+        selected.compressed ? "gzip" : "",
+        selected.session?.branch && `branch: ${selected.session.branch}`,
+      ]
+        .filter(Boolean)
+        .join(" | ")
+    : " ";
+  const visibleItems = items.slice(scrollOffset, scrollOffset + visibleCount);
+
+  return h(
+    Box,
+    { flexDirection: "column" },
+    h(
+      Text,
+      { color: error ? "red" : "yellow", bold: true, wrap: "truncate" },
+      summary,
+    ),
+    h(Text, { dimColor: true, wrap: "truncate" }, detail),
+    !items.length
+      ? h(Text, null, "No archived or deleted sessions")
+      : h(
+          Box,
+          { flexDirection: "column" },
+          visibleItems.map((item, index) => {
+            const actualIndex = scrollOffset + index;
+            const isSelected = actualIndex === selectedIndex;
+            const storedAt = Date.parse(item.storedAt);
+            const line = [
+              `${isSelected ? "> " : "  "}${item.store === "trash" ? "trash  " : "archive"}`,
+              Number.isNaN(storedAt)
+                ? "?".padEnd(19)
+                : formatLocalTimestamp(new Date(storedAt)),
+              item.session?.repository || "-",
+              item.session?.title || path.basename(item.originalPath),
+            ].join("  ");
+            return h(
+              Text,
+              {
+                key: `${item.store}/${item.file}`,
+                color: isSelected
+                  ? "cyan"
+                  : item.store === "trash"
+                    ? "red"
+                    : undefined,
+                wrap: "truncate",
+              },
+              truncateByWidth(line, width),
+            );
+          }),
+        ),
+  );
+}
+
+// Drops columns in USAGE_COMPACT_ORDER until the table fits `width`.
+function fitUsageTable(report, width) {
+  let columns = USAGE_COLUMNS;
+  let lines = formatUsageTable(report, { columns });
+  for (const id of USAGE_COMPACT_ORDER) {
+    if (Math.max(...lines.map(stringWidth)) <= width) break;
+    columns = columns.filter((column) => column.id !== id);
+    lines = formatUsageTable(report, { columns });
+  }
+  return lines;
+}
+
+function UsageView({
+  lines,
+  group,
+  filter,
+  progress,
+  sessionCount,
+  scrollOffset,
+  visibleCount,
+  width,
+}) {
+  const summary = [
+    `By ${group}`,
+    `${sessionCount} ${sessionCount === 1 ? "session" : "sessions"}`,
+    filter ? `filter: ${filter}` : "",
+    progress.done ? "" : `Reading ${progress.scanned}/${progress.total}...`,
+  ]
+    .filter(Boolean)
+    .join(" | ");
+  const [header, rule, ...body] = lines;
+
+  return h(
+    Box,
+    { flexDirection: "column" },
+    h(Text, { color: "yellow", bold: true, wrap: "truncate" }, summary),
+    h(Text, null, " "),
+    !lines.length
+      ? h(Text, null, progress.done ? "No sessions" : "")
+      : h(
+          Box,
+          { flexDirection: "column" },
+          h(Text, { bold: true, wrap: "truncate" }, truncateByWidth(header, width)),
+          h(Text, { dimColor: true, wrap: "truncate" }, truncateByWidth(rule, width)),
+          body
+            .slice(scrollOffset, scrollOffset + visibleCount)
+            .map((line, index) =>
+              h(
+                Text,
+                {
+                  key: scrollOffset + index,
+                  bold: scrollOffset + index === body.length - 1,
+                  dimColor: /^-+(\s+-+)*$/u.test(line),
+                  wrap: "truncate",
+                },
+                truncateByWidth(line, width),
+              ),
+            ),
+        ),
+  );
+}
+
+// Keys handled by the prompts themselves; they are not remappable.
+const PROMPT_KEYS = [
+  ["Enter", "Apply the filter, search, find or export"],
+  ["Esc", "Cancel the prompt, or a running bulk export"],
+  ["Tab", "Complete a filter value or switch the export format"],
+  ["Backspace", "Delete the last character"],
+];
+
+// Returns the new cursor or scroll position for a navigation action, or null
+// when the action does not move anything.
+function navigationTarget(action, current, last, pageSize) {
+  const half = Math.ceil(pageSize / 2);
+  const targets = {
+    up: current - 1,
+    down: current + 1,
+    "page-up": current - pageSize,
+    "page-down": current + pageSize,
+    "half-page-up": current - half,
+    "half-page-down": current + half,
+    top: 0,
+    bottom: last,
+  };
+  if (!Object.hasOwn(targets, action)) return null;
+  return Math.max(0, Math.min(last, targets[action]));
+}
+
+function wheelOffset(current, delta, maxOffset) {
+  return Math.max(0, Math.min(maxOffset, current + delta));
+}
+
+function buildHelpRows(keymap, scope) {
+  const sections = [
+    {
+      title: KEYMAP_SCOPE_LABELS[scope],
+      items: actionsForScope(scope).map((action) => [
+        describeKeys(keymap, action.id) || "(unbound)",
+        action.description,
+      ]),
+    },
+    {
+      title: KEYMAP_SCOPE_LABELS.global,
+      items: actionsForScope("global").map((action) => [
+        describeKeys(keymap, action.id) || "(unbound)",
+        action.description,
+      ]),
+    },
+    { title: "Prompts", items: PROMPT_KEYS },
+  ];
+  const keyWidth = Math.min(
+    24,
+    Math.max(
+      ...sections.flatMap(({ items }) => items.map(([keys]) => stringWidth(keys))),
+    ),
+  );
+  const rows = [];
+  for (const { title, items } of sections) {
+    rows.push({ text: title, bold: true });
+    for (const [keys, description] of items) {
+      rows.push({ text: `  ${padRightByWidth(keys, keyWidth)}  ${description}` });
+    }
+    rows.push({ text: " " });
+  }
+  if (keymap.conflicts.length) {
+    rows.push({ text: "Conflicts", bold: true, color: "yellow" });
+    for (const conflict of keymap.conflicts) {
+      rows.push({ text: `  ${conflict}`, color: "yellow" });
+    }
+  }
+  return rows;
+}
+
+function footerText(keymap, scope) {
+  const keys = (...ids) =>
+    ids
+      .map((id) => keymap.bindings[id]?.[0])
+      .filter(Boolean)
+      .map(formatKey)
+      .join("/");
+  const list = (...parts) => parts.filter(Boolean).join(", ");
+  const item = (label, value) => (value ? `${label}: ${value}` : "");
+  const move = list(
+    keys("down", "up"),
+    keys("top", "bottom"),
+    keys("page-down", "page-up"),
+  );
+  if (scope === "help") {
+    return [
+      item("Close", keys("help") ? `${keys("help")}/Esc` : "Esc"),
+      item("Scroll", move),
+    ]
+      .filter(Boolean)
+      .join(" | ");
+  }
+  let items;
+  if (scope === "list") {
+    items = [
+      item("Help", keys("help")),
+      item("Quit", keys("quit")),
+      item("Move", move),
+      item(
+        "Filter",
+        list(
+          keys("filter"),
+          keys("clear-filter") && `${keys("clear-filter")} to clear`,
+        ),
+      ),
+      item(
+        "Select",
+        list(
+          keys("toggle-mark"),
+          keys("mark-range") && `${keys("mark-range")} (range)`,
+          keys("mark-all", "clear-marks") &&
+            `${keys("mark-all", "clear-marks")} (all/none)`,
+        ),
+      ),
+      item("Export", keys("export")),
+      item("Name", keys("rename")),
+      item("Star", keys("toggle-star")),
+      item("Tags", keys("edit-tags")),
+      item("Note", keys("edit-note")),
+      item("Archive", keys("archive")),
+      item("Trash", keys("delete")),
+      item("Width", keys("narrow-list", "widen-list")),
+      item("Hide", keys("toggle-list")),
+      item("Codex", keys("resume")),
+      item("Search", keys("search")),
+      item("Commands", keys("commands")),
+      item("Usage", keys("usage")),
+      item("Archived", keys("stored")),
+      item("Live", keys("toggle-live")),
+    ];
+  } else if (scope === "usage") {
+    items = [
+      item("Help", keys("help")),
+      item("Quit", keys("quit")),
+      item("Scroll", move),
+      item("Group", keys("previous-usage-group", "next-usage-group")),
+      item("Close", keys("close-usage")),
+      item("Filter", keys("filter")),
+    ];
+  } else if (scope === "commands") {
+    items = [
+      item("Help", keys("help")),
+      item("Quit", keys("quit")),
+      item("Move", move),
+      item("Show in conversation", keys("open-command")),
+      item("Export", keys("export")),
+      item("Close", keys("close-commands")),
+    ];
+  } else if (scope === "stored") {
+    items = [
+      item("Help", keys("help")),
+      item("Quit", keys("quit")),
+      item("Move", move),
+      item("Restore", keys("restore-stored")),
+      item("Delete for good", keys("purge-stored")),
+      item("Close", keys("close-stored")),
+    ];
+  } else if (scope === "results") {
+    items = [
+      item("Help", keys("help")),
+      item("Quit", keys("quit")),
+      item("Move", move),
+      item("Open", keys("open-result")),
+      item("Cancel/Close", keys("close-results")),
+      item("Search", keys("search")),
+    ];
+  } else {
+    items = [
+      item("Help", keys("help")),
+      item("Quit", keys("quit")),
+      item("Scroll", move),
+      item(
+        "Find",
+        [
+          keys("find-forward"),
+          keys("find-backward"),
+          keys("find-next"),
+          keys("find-previous"),
+        ]
+          .filter(Boolean)
+          .join(" "),
+      ),
+      item("Zoom", keys("zoom")),
+      item("Markdown", keys("toggle-view")),
+      item("Details", keys("toggle-details")),
+      item("Tool output", keys("expand-tools")),
+      item("Tools in Markdown", keys("include-tools")),
+      item("Reasoning", keys("expand-reasoning")),
+      item("Reasoning in Markdown", keys("include-reasoning")),
+      item("Export", keys("export")),
+      item("Copy to Clipboard", keys("copy")),
+      item("Redaction preview", keys("redact-preview")),
+      item("Search", keys("search")),
+      item("Commands", keys("commands")),
+      item("Usage", keys("usage")),
+      item("Live", keys("toggle-live")),
+    ];
+  }
+  return items.filter(Boolean).join(" | ");
+}
+
+function HelpView({ rows, scrollOffset, visibleCount, width }) {
+  return h(
+    Box,
+    { flexDirection: "column" },
+    rows
+      .slice(scrollOffset, scrollOffset + visibleCount)
+      .map((row, index) =>
+        h(
+          Text,
+          {
+            key: scrollOffset + index,
+            bold: row.bold,
+            color: row.color,
+            wrap: "truncate",
+          },
+          truncateByWidth(row.text, width),
+        ),
+      ),
+  );
+}
+
+// Ink re-flows its output on resize but does not re-render components, so
+// the size is kept in state.
+function useTerminalSize(stdout) {
+  const readSize = () => ({
+    columns: stdout?.columns || 120,
+    rows: stdout?.rows || 24,
+  });
+  const [size, setSize] = useState(readSize);
+  useEffect(() => {
+    if (!stdout) return undefined;
+    const handleResize = () => setSize(readSize());
+    stdout.on("resize", handleResize);
+    return () => {
+      stdout.off("resize", handleResize);
+    };
+  }, [stdout]);
+  return size;
+}
+
+export default function App({
+  loadOptions: baseLoadOptions = {},
+  redaction = {},
+  config = DEFAULT_CONFIG,
+}) {
+  const { sessionsDirs } = config;
+  // Counting messages reads every rollout to its end, so it is only done
+  // (and kept up incrementally) when the list shows the column.
+  const countMessages = config.listColumns.includes("messages");
+  const loadOptions = useMemo(
+    () => ({ ...baseLoadOptions, countMessages }),
+    [baseLoadOptions, countMessages],
+  );
+  const { exit } = useApp();
+  const { stdout } = useStdout();
+  const [sessions, setSessions] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [scrollOffset, setScrollOffset] = useState(0);
+  const [loadingSessions, setLoadingSessions] = useState(true);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [sessionsError, setSessionsError] = useState("");
+
+  const [selectedSession, setSelectedSession] = useState(null);
+
+  const [conversation, setConversation] = useState([]);
+  const [loadingConversation, setLoadingConversation] = useState(false);
+  const [conversationError, setConversationError] = useState("");
+  const [sessionDetails, setSessionDetails] = useState(null);
+  const [showDetails, setShowDetails] = useState(false);
+
+  const [viewMode, setViewMode] = useState(config.viewMode);
+  const [expandTools, setExpandTools] = useState(false);
+  const [includeTools, setIncludeTools] = useState(false);
+  const [expandReasoning, setExpandReasoning] = useState(false);
+  const [includeReasoning, setIncludeReasoning] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportPath, setExportPath] = useState("");
+  const [exportFormat, setExportFormat] = useState("markdown");
+  const [exportTargets, setExportTargets] = useState(null);
+  const [bulkExportRunning, setBulkExportRunning] = useState(false);
+  const bulkExportAbortRef = useRef(null);
+  const [markedPaths, setMarkedPaths] = useState(() => new Set());
+  const [markAnchor, setMarkAnchor] = useState(null);
+
+  const [annotations, setAnnotations] = useState(() => new Map());
+  const [annotationsLoad, setAnnotationsLoad] = useState(ANNOTATIONS_LOADING);
+  const [annotationPrompt, setAnnotationPrompt] = useState(null);
+  const [annotationInput, setAnnotationInput] = useState("");
+  const [leftWidth, setLeftWidth] = useState(config.leftWidth);
+  const [listRows, setListRows] = useState(null);
+  const [listCollapsed, setListCollapsed] = useState(false);
+  const [zoomed, setZoomed] = useState(false);
+  const [mouseEnabled, setMouseEnabled] = useState(config.mouse);
+
+  const [filterPrompt, setFilterPrompt] = useState(false);
+  const [filterInput, setFilterInput] = useState("");
+  const [filterText, setFilterText] = useState("");
+
+  const [redactor, setRedactor] = useState(() => createRedactor(redaction));
+  const [redactPreview, setRedactPreview] = useState(false);
+  const [watching, setWatching] = useState(true);
+  const [pinToBottom, setPinToBottom] = useState(false);
+  const conversationTailRef = useRef(null);
+  const sessionsRef = useRef(sessions);
+  const selectedPathRef = useRef(null);
+  const sessionFilterRef = useRef(null);
+  const annotationsRef = useRef(annotations);
+  const atBottomRef = useRef(false);
+  const [status, setStatus] = useState(() =>
+    config.errors?.length ? "Invalid config, some settings were ignored" : "",
+  );
+  const [statusDetail, setStatusDetail] = useState(() =>
+    (config.errors || []).join(" | "),
+  );
+  const [rightScrollOffset, setRightScrollOffset] = useState(0);
+  const [focus, setFocus] = useState("left");
+  const [helpScope, setHelpScope] = useState(null);
+  const [helpScrollOffset, setHelpScrollOffset] = useState(0);
+  const keymap = useMemo(() => buildKeymap(config.keymap), [config.keymap]);
+
+  const [searchPrompt, setSearchPrompt] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchActive, setSearchActive] = useState(false);
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchProgress, setSearchProgress] = useState({
+    scanned: 0,
+    total: 0,
+    done: true,
+  });
+  const [searchSelectedIndex, setSearchSelectedIndex] = useState(0);
+  const [usageActive, setUsageActive] = useState(false);
+  const [usageRecords, setUsageRecords] = useState([]);
+  const [usageProgress, setUsageProgress] = useState({
+    scanned: 0,
+    total: 0,
+    done: true,
+  });
+  const [usageGroupIndex, setUsageGroupIndex] = useState(0);
+  const [usageScrollOffset, setUsageScrollOffset] = useState(0);
+  const [commandsActive, setCommandsActive] = useState(false);
+  const [commandsSelectedIndex, setCommandsSelectedIndex] = useState(0);
+  const [commandsScrollOffset, setCommandsScrollOffset] = useState(0);
+  const [exportingCommands, setExportingCommands] = useState(false);
+  const [commandExportFormat, setCommandExportFormat] = useState("sh");
+  const [storedActive, setStoredActive] = useState(false);
+  const [storedItems, setStoredItems] = useState([]);
+  const [storedError, setStoredError] = useState("");
+  const [storedSelectedIndex, setStoredSelectedIndex] = useState(0);
+  const [storedScrollOffset, setStoredScrollOffset] = useState(0);
+  const [pendingStoreAction, setPendingStoreAction] = useState(null);
+  const [storeActionRunning, setStoreActionRunning] = useState(false);
+  const [searchScrollOffset, setSearchScrollOffset] = useState(0);
+  const [pendingJump, setPendingJump] = useState(null);
+  const [conversationPath, setConversationPath] = useState(null);
+  const searchAbortRef = useRef(null);
+
+  const [findPrompt, setFindPrompt] = useState(null);
+  const [findInput, setFindInput] = useState("");
+  const [findQuery, setFindQuery] = useState("");
+  const [findDirection, setFindDirection] = useState("forward");
+  const [findIndex, setFindIndex] = useState(-1);
+
+  const launchCodexResume = (session) => {
+    const resumeId = sessionResumeId(session);
+    if (!resumeId) {
+      setStatus("session id が見つかりません");
+      setStatusDetail("");
+      return;
+    }
+    const child = spawn("codex", ["resume", resumeId], { stdio: "inherit" });
+    child.on("error", (error) => {
+      setStatus("codex 起動に失敗しました");
+      setStatusDetail(error?.message || String(error));
+    });
+    child.on("spawn", () => {
+      exit();
+    });
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRedactor(redaction)
+      .then((loaded) => {
+        if (!cancelled) setRedactor(loaded);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setStatus("Invalid redaction rules (built-in detectors only)");
+        setStatusDetail(error?.message || String(error));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAnnotations().then(({ annotations: loaded, ...load }) => {
+      if (cancelled) return;
+      setAnnotations(loaded);
+      setAnnotationsLoad(load);
+      if (load.error) {
+        setStatus(annotationsLockReason(load));
+        setStatusDetail(load.error);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const run = async () => {
+      setLoadingSessions(true);
+      setSessionsError("");
+      try {
+        const sessionsData = await loadSessions(sessionsDirs, {
+          ...loadOptions,
+          onProgress: ({ loaded, total }) => {
+            if (!cancelled && (loaded % 100 === 0 || loaded === total)) {
+              setLoadProgress({ loaded, total });
+            }
+          },
+        });
+        if (!cancelled) {
+          setSessions(sessionsData);
+          setSelectedIndex(0);
+          setScrollOffset(0);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setSessionsError(error?.message || String(error));
+        }
+      } finally {
+        if (!cancelled) setLoadingSessions(false);
+      }
+    };
+    run();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const sessionFilter = useMemo(
+    () => parseSessionFilter(filterText),
+    [filterText],
+  );
+  const filterActive = isFilterActive(sessionFilter);
+  const namedSessions = useMemo(
+    () => applyAnnotations(sessions, annotations),
+    [sessions, annotations],
+  );
+  const listedSessions = useMemo(
+    () => filterSessions(namedSessions, sessionFilter),
+    [namedSessions, sessionFilter],
+  );
+  const listColumns = useMemo(
+    () => measureListColumns(listedSessions, config.listColumns),
+    [listedSessions, config.listColumns],
+  );
+
+  useEffect(() => {
+    const session = listedSessions[selectedIndex] || null;
+    setSelectedSession(session);
+  }, [listedSessions, selectedIndex]);
+
+  const selectedPath = selectedSession?.path || null;
+  sessionsRef.current = sessions;
+  selectedPathRef.current = selectedPath;
+  sessionFilterRef.current = sessionFilter;
+  annotationsRef.current = annotations;
+
+  useEffect(() => {
+    if (!watching || loadingSessions) return undefined;
+    let refreshing = Promise.resolve();
+    const refresh = async (paths) => {
+      const tail = conversationTailRef.current;
+      if (tail && (!paths || paths.includes(tail.path))) {
+        const atBottom = atBottomRef.current;
+        try {
+          const entries = await tail.read();
+          if (entries && conversationTailRef.current === tail) {
+            setConversation(entries);
+            setSessionDetails(tail.details());
+            if (atBottom) setPinToBottom(true);
+          }
+        } catch {}
+      }
+      try {
+        const current = sessionsRef.current;
+        const next = await refreshSessions(
+          current,
+          paths,
+          sessionsDirs,
+          loadOptions,
+        );
+        if (next === current) return;
+        setSessions(next);
+        const followPath = selectedPathRef.current;
+        if (followPath) {
+          const index = filterSessions(
+            applyAnnotations(next, annotationsRef.current),
+            sessionFilterRef.current,
+          ).findIndex((session) => session.path === followPath);
+          if (index !== -1) setSelectedIndex(index);
+        }
+      } catch {}
+    };
+    const stops = sessionsDirs.map((dir) =>
+      watchSessionsDir(dir, (paths) => {
+        refreshing = refreshing.then(() => refresh(paths));
+      }),
+    );
+    return () => {
+      for (const stop of stops) stop();
+    };
+  }, [watching, loadingSessions]);
+
+  const terminalSize = useTerminalSize(stdout);
+
+  // Mouse reporting keeps the terminal from selecting text, so it can be
+  // turned off at runtime. It is switched back off however the process ends.
+  useEffect(() => {
+    if (!mouseEnabled || !stdout?.isTTY) return undefined;
+    const disable = () => stdout.write(DISABLE_MOUSE);
+    stdout.write(ENABLE_MOUSE);
+    process.once("exit", disable);
+    return () => {
+      process.off("exit", disable);
+      disable();
+    };
+  }, [mouseEnabled, stdout]);
+  const layout = useMemo(
+    () =>
+      computeLayout({
+        columns: terminalSize.columns,
+        rows: terminalSize.rows,
+        leftWidth,
+        stackWidth: config.stackWidth,
+        listRows,
+        collapsed: listCollapsed,
+        zoomed,
+      }),
+    [
+      terminalSize,
+      leftWidth,
+      config.stackWidth,
+      listRows,
+      listCollapsed,
+      zoomed,
+    ],
+  );
+  const listVisible = layout.mode !== "single";
+  const activeFocus = listVisible ? focus : "right";
+
+  const baseVisibleCount = Math.max(1, layout.rightHeight - 2);
+  const leftVisibleCount = Math.max(1, layout.listHeight - 2);
+  const helpVisibleCount = Math.max(1, layout.height - 2);
 
   const leftContentWidth = useMemo(() => {
-    return Math.max(10, leftWidth - 2);
-  }, [leftWidth]);
+    return Math.max(10, layout.listWidth - 2);
+  }, [layout.listWidth]);
 
   const rightContentWidth = useMemo(() => {
-    const columns = stdout?.columns || 120;
-    const rightPaneWidth = Math.max(20, columns - leftWidth);
-    return Math.max(10, rightPaneWidth - 2);
-  }, [stdout?.columns, leftWidth]);
+    return Math.max(10, layout.rightWidth - 2);
+  }, [layout.rightWidth]);
   const rightPaneWidth = useMemo(() => {
     return rightContentWidth + 2;
   }, [rightContentWidth]);
@@ -807,8 +1760,25 @@ export default function App() {
     const branchName = selectedSession.git?.branch || "";
     const repoLabel = repoName || "unknown";
     const branchLabel = branchName || "unknown";
-    return [`Repository: ${repoLabel}`, `Branch: ${branchLabel}`, " "];
-  }, [selectedSession]);
+    const lines = [`Repository: ${repoLabel}`, `Branch: ${branchLabel}`];
+    if (selectedSession.tags?.length) {
+      lines.push(`Tags: ${selectedSession.tags.join(", ")}`);
+    }
+    if (selectedSession.note) {
+      const note = redactPreview
+        ? redactText(selectedSession.note, redactor).text
+        : selectedSession.note;
+      lines.push(`Note: ${note}`);
+    }
+    if (showDetails && sessionDetails) {
+      const cwd =
+        redactPreview && sessionDetails.cwd
+          ? redactText(sessionDetails.cwd, redactor).text
+          : sessionDetails.cwd;
+      lines.push(...buildDetailsLines(sessionDetails, { cwd }));
+    }
+    return [...lines, " "];
+  }, [selectedSession, showDetails, sessionDetails, redactPreview, redactor]);
 
   const rightHeaderHeight = rightHeaderLines.length;
   const rightVisibleCount = useMemo(() => {
@@ -816,86 +1786,778 @@ export default function App() {
   }, [baseVisibleCount, rightHeaderHeight]);
 
   useEffect(() => {
-    if (!sessions.length) return;
-    const maxOffset = Math.max(0, sessions.length - baseVisibleCount);
+    if (!listedSessions.length) return;
+    const maxOffset = Math.max(0, listedSessions.length - leftVisibleCount);
     setScrollOffset((prev) => {
       let next = prev;
       if (selectedIndex < next) next = selectedIndex;
-      if (selectedIndex >= next + baseVisibleCount) {
-        next = selectedIndex - baseVisibleCount + 1;
+      if (selectedIndex >= next + leftVisibleCount) {
+        next = selectedIndex - leftVisibleCount + 1;
       }
       if (next > maxOffset) next = maxOffset;
       if (next < 0) next = 0;
       return next;
     });
-  }, [selectedIndex, sessions.length, baseVisibleCount]);
+  }, [selectedIndex, listedSessions.length, leftVisibleCount]);
 
   useEffect(() => {
-    if (!selectedSession) {
+    if (!selectedPath) {
+      conversationTailRef.current = null;
       setConversation([]);
+      setSessionDetails(null);
       setConversationError("");
       return;
     }
     let cancelled = false;
+    const tail = createConversationTail(selectedPath);
+    conversationTailRef.current = tail;
     const run = async () => {
       setLoadingConversation(true);
       setConversationError("");
       setConversation([]);
+      setSessionDetails(null);
       try {
-        const entries = await extractConversation(selectedSession.path);
+        const entries = await tail.read();
         if (!cancelled) {
-          setConversation(entries);
+          setConversation(entries || []);
+          setSessionDetails(tail.details());
+          setConversationPath(selectedPath);
           setRightScrollOffset(0);
         }
       } catch (error) {
         if (!cancelled) {
           setConversationError(error?.message || String(error));
         }
-      } finally {
-        if (!cancelled) setLoadingConversation(false);
+      } finally {
+        if (!cancelled) setLoadingConversation(false);
+      }
+    };
+    run();
+    return () => {
+      cancelled = true;
+      if (conversationTailRef.current === tail) {
+        conversationTailRef.current = null;
+      }
+    };
+  }, [selectedPath]);
+
+  const redactedPreview = useMemo(
+    () =>
+      redactPreview
+        ? redactConversation(conversation, selectedSession, redactor)
+        : null,
+    [redactPreview, conversation, selectedSession, redactor],
+  );
+  const displayedConversation = redactedPreview?.entries || conversation;
+  const commandList = useMemo(
+    () => collectCommands(displayedConversation),
+    [displayedConversation],
+  );
+
+  const prettyRows = useMemo(
+    () =>
+      buildBoxRows(displayedConversation, rightContentWidth, {
+        expandTools,
+        expandReasoning,
+      }),
+    [displayedConversation, rightContentWidth, expandTools, expandReasoning],
+  );
+  const markdownRows = useMemo(
+    () =>
+      buildMarkdownRows(displayedConversation, {
+        includeTools,
+        includeReasoning,
+      }),
+    [displayedConversation, includeTools, includeReasoning],
+  );
+  const conversationRows = viewMode === "markdown" ? markdownRows : prettyRows;
+  const wrappedRows = useMemo(() => {
+    const rows = wrapRows(conversationRows, rightContentWidth);
+    return redactPreview ? markRedactedRows(rows) : rows;
+  }, [conversationRows, rightContentWidth, redactPreview]);
+  const rightTotalCount = wrappedRows.length;
+  const maxRightOffset = Math.max(0, rightTotalCount - rightVisibleCount);
+
+  const inputScope =
+    activeFocus === "left"
+      ? "list"
+      : usageActive
+        ? "usage"
+        : commandsActive
+          ? "commands"
+          : storedActive
+            ? "stored"
+            : searchActive
+              ? "results"
+              : "conversation";
+  const helpRows = useMemo(
+    () => (helpScope ? buildHelpRows(keymap, helpScope) : []),
+    [keymap, helpScope],
+  );
+  const maxHelpOffset = Math.max(0, helpRows.length - helpVisibleCount);
+
+
+  useEffect(() => {
+    setRightScrollOffset((prev) => Math.min(prev, maxRightOffset));
+  }, [maxRightOffset]);
+
+  useEffect(() => {
+    setRightScrollOffset(0);
+  }, [selectedPath, viewMode]);
+
+  // A new pane width re-wraps the conversation; keep the same spot of the
+  // same entry at the top.
+  const wrappedLayoutRef = useRef({
+    rows: wrappedRows,
+    width: rightContentWidth,
+  });
+  useEffect(() => {
+    const previous = wrappedLayoutRef.current;
+    wrappedLayoutRef.current = { rows: wrappedRows, width: rightContentWidth };
+    if (previous.width === rightContentWidth || previous.rows === wrappedRows) {
+      return;
+    }
+    const anchor = rowAnchor(previous.rows, rightScrollOffset);
+    if (anchor) {
+      setRightScrollOffset(
+        Math.min(anchorRowOffset(wrappedRows, anchor), maxRightOffset),
+      );
+    }
+  }, [wrappedRows, rightContentWidth]);
+
+  atBottomRef.current = rightScrollOffset >= maxRightOffset;
+
+  useEffect(() => {
+    if (!pinToBottom) return;
+    setRightScrollOffset(maxRightOffset);
+    setPinToBottom(false);
+  }, [pinToBottom, maxRightOffset]);
+
+  useEffect(() => {
+    if (!pendingJump || loadingConversation) return;
+    if (conversationPath !== pendingJump.path) return;
+    const offset = findEntryRowOffset(
+      wrappedRows,
+      pendingJump.entryIndex,
+      pendingJump.query,
+    );
+    setRightScrollOffset(Math.min(offset, maxRightOffset));
+    setPendingJump(null);
+  }, [
+    pendingJump,
+    loadingConversation,
+    conversationPath,
+    wrappedRows,
+    maxRightOffset,
+  ]);
+
+  const searchVisibleCount = Math.max(1, baseVisibleCount - 2);
+
+  useEffect(() => {
+    setSearchScrollOffset((prev) => {
+      let next = prev;
+      if (searchSelectedIndex < next) next = searchSelectedIndex;
+      if (searchSelectedIndex >= next + searchVisibleCount) {
+        next = searchSelectedIndex - searchVisibleCount + 1;
+      }
+      return Math.max(0, next);
+    });
+  }, [searchSelectedIndex, searchVisibleCount]);
+
+  const commandsVisibleCount = Math.max(1, baseVisibleCount - 2);
+
+  useEffect(() => {
+    setCommandsSelectedIndex(0);
+  }, [selectedPath]);
+
+  useEffect(() => {
+    setCommandsSelectedIndex((prev) =>
+      Math.max(0, Math.min(prev, commandList.length - 1)),
+    );
+  }, [commandList.length]);
+
+  useEffect(() => {
+    setCommandsScrollOffset((prev) => {
+      let next = prev;
+      if (commandsSelectedIndex < next) next = commandsSelectedIndex;
+      if (commandsSelectedIndex >= next + commandsVisibleCount) {
+        next = commandsSelectedIndex - commandsVisibleCount + 1;
+      }
+      return Math.max(0, next);
+    });
+  }, [commandsSelectedIndex, commandsVisibleCount]);
+
+  const sessionStores = useMemo(
+    () => storeDirs({ archiveDir: config.archiveDir }),
+    [config.archiveDir],
+  );
+  const storedVisibleCount = Math.max(1, baseVisibleCount - 2);
+
+  useEffect(() => {
+    setStoredSelectedIndex((prev) =>
+      Math.max(0, Math.min(prev, storedItems.length - 1)),
+    );
+  }, [storedItems.length]);
+
+  useEffect(() => {
+    setStoredScrollOffset((prev) => {
+      let next = prev;
+      if (storedSelectedIndex < next) next = storedSelectedIndex;
+      if (storedSelectedIndex >= next + storedVisibleCount) {
+        next = storedSelectedIndex - storedVisibleCount + 1;
+      }
+      return Math.max(0, next);
+    });
+  }, [storedSelectedIndex, storedVisibleCount]);
+
+  // The report follows the session list, so changing the filter or a live
+  // update re-reads it; unchanged rollouts come from the usage cache.
+  useEffect(() => {
+    if (!usageActive) return undefined;
+    const controller = new AbortController();
+    setUsageProgress({ scanned: 0, total: listedSessions.length, done: false });
+    collectUsage(listedSessions, {
+      ...loadOptions,
+      signal: controller.signal,
+      onProgress: ({ scanned, total }) => {
+        if (!controller.signal.aborted) {
+          setUsageProgress({ scanned, total, done: false });
+        }
+      },
+    })
+      .then((records) => {
+        if (controller.signal.aborted) return;
+        setUsageRecords(records);
+        setUsageProgress((prev) => ({ ...prev, done: true }));
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setUsageProgress((prev) => ({ ...prev, done: true }));
+        setStatus("Usage report failed");
+        setStatusDetail(error?.message || String(error));
+      });
+    return () => controller.abort();
+  }, [usageActive, listedSessions]);
+
+  const usageGroup = USAGE_GROUPS[usageGroupIndex];
+  const usageLines = useMemo(
+    () =>
+      usageRecords.length
+        ? fitUsageTable(
+            summarizeUsage(usageRecords, [usageGroup]),
+            rightContentWidth,
+          )
+        : [],
+    [usageRecords, usageGroup, rightContentWidth],
+  );
+  const usageVisibleCount = Math.max(1, baseVisibleCount - 4);
+  const maxUsageOffset = Math.max(
+    0,
+    usageLines.length - 2 - usageVisibleCount,
+  );
+
+  const openUsage = () => {
+    if (searchActive) {
+      searchAbortRef.current?.abort();
+      setSearchActive(false);
+    }
+    setCommandsActive(false);
+    setStoredActive(false);
+    setUsageRecords([]);
+    setUsageScrollOffset(0);
+    setUsageActive(true);
+    setFocus("right");
+  };
+
+  const openCommands = () => {
+    if (searchActive) {
+      searchAbortRef.current?.abort();
+      setSearchActive(false);
+    }
+    setUsageActive(false);
+    setStoredActive(false);
+    setCommandsActive(true);
+    setFocus("right");
+  };
+
+  const loadStoredItems = async () => {
+    try {
+      setStoredItems(await listStoredItems(sessionStores));
+      setStoredError("");
+    } catch (error) {
+      setStoredItems([]);
+      setStoredError(error?.message || String(error));
+    }
+  };
+
+  const openStored = () => {
+    if (searchActive) {
+      searchAbortRef.current?.abort();
+      setSearchActive(false);
+    }
+    setUsageActive(false);
+    setCommandsActive(false);
+    setStoredActive(true);
+    setFocus("right");
+    void loadStoredItems();
+  };
+
+  useEffect(() => {
+    return () => {
+      searchAbortRef.current?.abort();
+      bulkExportAbortRef.current?.abort();
+    };
+  }, []);
+
+  const startSearch = (query) => {
+    searchAbortRef.current?.abort();
+    const controller = new AbortController();
+    searchAbortRef.current = controller;
+    const isCurrent = () => searchAbortRef.current === controller;
+    setSearchResults([]);
+    setSearchSelectedIndex(0);
+    setSearchScrollOffset(0);
+    setSearchProgress({ scanned: 0, total: sessions.length, done: false });
+    setSearchActive(true);
+    setUsageActive(false);
+    setCommandsActive(false);
+    setStoredActive(false);
+    setFocus("right");
+    searchSessions(sessions, query, {
+      signal: controller.signal,
+      onResults: (matches) => {
+        if (isCurrent()) setSearchResults((prev) => [...prev, ...matches]);
+      },
+      onProgress: ({ scanned, total }) => {
+        if (isCurrent()) {
+          setSearchProgress((prev) => ({ ...prev, scanned, total }));
+        }
+      },
+    })
+      .then((summary) => {
+        if (isCurrent()) setSearchProgress({ ...summary, done: true });
+      })
+      .catch((error) => {
+        if (!isCurrent()) return;
+        setSearchProgress((prev) => ({ ...prev, done: true }));
+        setStatus("Search failed");
+        setStatusDetail(error?.message || String(error));
+      });
+  };
+
+  const openSearchResult = (result) => {
+    if (!result) return;
+    const isResult = (session) => session.path === result.session.path;
+    let index = listedSessions.findIndex(isResult);
+    if (index === -1) {
+      index = sessions.findIndex(isResult);
+      if (index === -1) return;
+      setFilterText("");
+    }
+    setSelectedIndex(index);
+    setPendingJump({
+      path: result.session.path,
+      entryIndex: result.entryIndex,
+      query: searchQuery,
+    });
+    setSearchActive(false);
+    setFocus("right");
+  };
+
+  const closeSearch = () => {
+    if (!searchProgress.done) {
+      searchAbortRef.current?.abort();
+      return;
+    }
+    setSearchActive(false);
+  };
+
+  const findMatches = useMemo(
+    () => findInRows(wrappedRows, findQuery),
+    [wrappedRows, findQuery],
+  );
+
+  const findHighlights = useMemo(() => {
+    const map = new Map();
+    findMatches.forEach((match, matchIndex) => {
+      for (const range of match.ranges) {
+        const list = map.get(range.rowIndex) || [];
+        list.push({ ...range, current: matchIndex === findIndex });
+        map.set(range.rowIndex, list);
+      }
+    });
+    return map;
+  }, [findMatches, findIndex]);
+
+  useEffect(() => {
+    setFindIndex(-1);
+  }, [wrappedRows]);
+
+  const jumpToMatch = (matches, index, query, direction) => {
+    const match = matches[index];
+    setFindIndex(index);
+    const offset = match.rowIndex - Math.floor(rightVisibleCount / 3);
+    setRightScrollOffset(Math.max(0, Math.min(maxRightOffset, offset)));
+    setStatus(`match ${index + 1} of ${matches.length}`);
+    setStatusDetail(`${direction === "forward" ? "/" : "?"}${query}`);
+  };
+
+  const submitFind = () => {
+    const direction = findPrompt;
+    const query = findInput || findQuery;
+    setFindPrompt(null);
+    if (!query) return;
+    setFindQuery(query);
+    setFindDirection(direction);
+    const matches = findInRows(wrappedRows, query);
+    if (!matches.length) {
+      setFindIndex(-1);
+      setStatus(`Pattern not found: ${query}`);
+      setStatusDetail("");
+      return;
+    }
+    let index;
+    if (direction === "forward") {
+      index = matches.findIndex((match) => match.rowIndex >= rightScrollOffset);
+      if (index === -1) index = 0;
+    } else {
+      const bottom = rightScrollOffset + rightVisibleCount - 1;
+      index = matches.findLastIndex((match) => match.rowIndex <= bottom);
+      if (index === -1) index = matches.length - 1;
+    }
+    jumpToMatch(matches, index, query, direction);
+  };
+
+  const stepFind = (reverse) => {
+    if (!findQuery) return;
+    if (!findMatches.length) {
+      setStatus(`Pattern not found: ${findQuery}`);
+      setStatusDetail("");
+      return;
+    }
+    const forward = (findDirection === "forward") !== reverse;
+    const total = findMatches.length;
+    const index =
+      findIndex === -1
+        ? forward
+          ? 0
+          : total - 1
+        : (findIndex + (forward ? 1 : -1) + total) % total;
+    jumpToMatch(findMatches, index, findQuery, findDirection);
+  };
+
+  const applyFilter = (text) => {
+    const filter = parseSessionFilter(text);
+    if (filter.errors.length) {
+      setStatus("Invalid filter");
+      setStatusDetail(filter.errors.join(", "));
+      return false;
+    }
+    setFilterText(filter.source);
+    setSelectedIndex(0);
+    setScrollOffset(0);
+    if (isFilterActive(filter)) {
+      const count = filterSessions(namedSessions, filter).length;
+      setStatus(`${count} of ${sessions.length} sessions match`);
+      setStatusDetail(`Filter: ${filter.source}`);
+    } else {
+      setStatus("Filter cleared");
+      setStatusDetail("");
+    }
+    return true;
+  };
+
+  // Reports why annotations cannot be edited yet, if they cannot.
+  const annotationsLocked = () => {
+    const reason = annotationsLockReason(annotationsLoad);
+    if (!reason) return false;
+    setStatus(reason);
+    setStatusDetail(annotationsLoad.error || "");
+    return true;
+  };
+
+  const saveAnnotations = async (next, session, message) => {
+    if (annotationsLocked()) return;
+    setAnnotations(next);
+    try {
+      await saveLoadedAnnotations(annotationsLoad, next);
+      setStatus(message);
+      setStatusDetail(session.id || session.path);
+    } catch (error) {
+      setStatus("Could not save the session annotations");
+      setStatusDetail(error?.message || String(error));
+    }
+  };
+
+  const openAnnotationPrompt = (field) => {
+    if (!selectedSession || annotationsLocked()) return;
+    setAnnotationInput(
+      field === "tags"
+        ? (selectedSession.tags || []).join(", ")
+        : selectedSession[field] || "",
+    );
+    setAnnotationPrompt(field);
+    setStatus("");
+    setStatusDetail("");
+  };
+
+  const submitAnnotationPrompt = () => {
+    const field = annotationPrompt;
+    const value = annotationInput.trim();
+    setAnnotationPrompt(null);
+    const session = selectedSession;
+    if (!session) return;
+    if (field === "name") {
+      void saveAnnotations(
+        setSessionName(annotations, session, value),
+        session,
+        value ? `Named session: ${value}` : "Name cleared",
+      );
+    } else if (field === "tags") {
+      const tags = parseTags(value);
+      void saveAnnotations(
+        setSessionTags(annotations, session, tags),
+        session,
+        tags.length ? `Tags: ${tags.join(", ")}` : "Tags cleared",
+      );
+    } else {
+      void saveAnnotations(
+        setSessionNote(annotations, session, value),
+        session,
+        value ? "Note saved" : "Note cleared",
+      );
+    }
+  };
+
+  // Side by side the list changes width, leaving the conversation at least
+  // MIN_CONVERSATION_WIDTH columns; stacked it changes height.
+  const resizeList = (direction) => {
+    if (layout.mode === "single") return;
+    if (layout.mode === "stacked") {
+      const next = Math.min(
+        Math.max(MIN_LIST_ROWS, layout.height - MIN_CONVERSATION_ROWS),
+        Math.max(MIN_LIST_ROWS, layout.listHeight + direction * LIST_ROWS_STEP),
+      );
+      setListRows(next);
+      setStatus(`Sessions pane height: ${next}`);
+      setStatusDetail("");
+      return;
+    }
+    const maxWidth = Math.max(
+      MIN_LEFT_WIDTH,
+      Math.min(MAX_LEFT_WIDTH, terminalSize.columns - MIN_CONVERSATION_WIDTH),
+    );
+    const next = Math.min(
+      maxWidth,
+      Math.max(MIN_LEFT_WIDTH, leftWidth + direction * LIST_WIDTH_STEP),
+    );
+    setLeftWidth(next);
+    setStatus(`Sessions pane width: ${next}`);
+    setStatusDetail("");
+  };
+
+  const showList = () => {
+    setListCollapsed(false);
+    setZoomed(false);
+    setFocus("left");
+  };
+
+  // The wheel moves the view of a pane, not its selection, like scrolling a
+  // terminal; the next key press brings the selection back into view.
+  const scrollPane = (pane, delta) => {
+    if (pane === "list") {
+      setScrollOffset((prev) =>
+        wheelOffset(prev, delta, listedSessions.length - leftVisibleCount),
+      );
+    } else if (usageActive) {
+      setUsageScrollOffset((prev) => wheelOffset(prev, delta, maxUsageOffset));
+    } else if (commandsActive) {
+      setCommandsScrollOffset((prev) =>
+        wheelOffset(prev, delta, commandList.length - commandsVisibleCount),
+      );
+    } else if (storedActive) {
+      setStoredScrollOffset((prev) =>
+        wheelOffset(prev, delta, storedItems.length - storedVisibleCount),
+      );
+    } else if (searchActive) {
+      setSearchScrollOffset((prev) =>
+        wheelOffset(prev, delta, searchResults.length - searchVisibleCount),
+      );
+    } else {
+      setRightScrollOffset((prev) => wheelOffset(prev, delta, maxRightOffset));
+    }
+  };
+
+  // A left click focuses the pane under the pointer, as 1 and 2 do, and a
+  // click on a session row also selects it.
+  const handleMouse = (events) => {
+    for (const event of events) {
+      const delta =
+        event.type === "wheel-up"
+          ? -WHEEL_STEP
+          : event.type === "wheel-down"
+            ? WHEEL_STEP
+            : 0;
+      if (helpScope) {
+        if (delta) {
+          setHelpScrollOffset((prev) =>
+            wheelOffset(prev, delta, maxHelpOffset),
+          );
+        }
+        continue;
       }
-    };
-    run();
-    return () => {
-      cancelled = true;
-    };
-  }, [selectedSession]);
+      const target = paneAt(layout, event.x, event.y);
+      if (!target) continue;
+      if (delta) {
+        scrollPane(target.pane, delta);
+        continue;
+      }
+      if (event.type !== "press" || event.button !== 0) continue;
+      if (target.pane === "right") {
+        setFocus("right");
+        continue;
+      }
+      setFocus("left");
+      const index = scrollOffset + target.row;
+      if (
+        !loadingSessions &&
+        target.row >= 0 &&
+        target.row < leftVisibleCount &&
+        index < listedSessions.length
+      ) {
+        setSelectedIndex(index);
+      }
+    }
+  };
 
-  const markdown = useMemo(
-    () => buildMarkdown(conversation),
-    [conversation],
-  );
+  const filterSuggestions = useMemo(() => {
+    if (!filterPrompt) return null;
+    const current = filterInput.match(
+      /(?:^|\s)(repo|branch|cwd|tag):"?([^\s"]*)$/iu,
+    );
+    if (!current) return null;
+    const facet = current[1].toLowerCase();
+    const prefix = current[2].toLowerCase();
+    return {
+      facet,
+      start: filterInput.length - current[0].trimStart().length,
+      values: facetValues(namedSessions, facet).filter(({ value }) =>
+        value.toLowerCase().includes(prefix),
+      ),
+    };
+  }, [filterPrompt, filterInput, namedSessions]);
+
+  const completeFilter = () => {
+    const top = filterSuggestions?.values[0];
+    if (!top) return;
+    const value = /\s/u.test(top.value) ? `"${top.value}"` : top.value;
+    setFilterInput(
+      (prev) =>
+        `${prev.slice(0, filterSuggestions.start)}${filterSuggestions.facet}:${value} `,
+    );
+  };
 
-  const prettyRows = useMemo(
-    () => buildBoxRows(conversation, rightContentWidth),
-    [conversation, rightContentWidth],
-  );
-  const markdownRows = useMemo(
-    () => buildMarkdownRows(markdown),
-    [markdown],
-  );
-  const conversationRows = viewMode === "markdown" ? markdownRows : prettyRows;
-  const wrappedRows = useMemo(
-    () => wrapRows(conversationRows, rightContentWidth),
-    [conversationRows, rightContentWidth],
-  );
-  const rightTotalCount = wrappedRows.length;
-  const maxRightOffset = Math.max(0, rightTotalCount - rightVisibleCount);
+  const toggleMark = (index) => {
+    const session = listedSessions[index];
+    if (!session) return;
+    setMarkedPaths((prev) => {
+      const next = new Set(prev);
+      if (next.has(session.path)) {
+        next.delete(session.path);
+      } else {
+        next.add(session.path);
+      }
+      return next;
+    });
+    setMarkAnchor(index);
+  };
 
+  const markRange = (index) => {
+    const anchor = markAnchor ?? index;
+    const start = Math.min(anchor, index);
+    const end = Math.max(anchor, index);
+    setMarkedPaths((prev) => {
+      const next = new Set(prev);
+      for (const session of listedSessions.slice(start, end + 1)) {
+        next.add(session.path);
+      }
+      return next;
+    });
+    setMarkAnchor(index);
+  };
 
-  useEffect(() => {
-    setRightScrollOffset((prev) => Math.min(prev, maxRightOffset));
-  }, [maxRightOffset]);
+  const redactionSummary = (counts) =>
+    redactor.enabled ? ` | ${formatRedactionReport(counts)}` : "";
 
-  useEffect(() => {
-    setRightScrollOffset(0);
-  }, [selectedSession, viewMode, rightContentWidth, rightHeaderHeight]);
+  const runBulkExport = async (targets, directory) => {
+    const controller = new AbortController();
+    bulkExportAbortRef.current = controller;
+    setBulkExportRunning(true);
+    try {
+      const { exported, failed, indexPath, redactions, cancelled } =
+        await exportSessions(
+        targets,
+        directory,
+        {
+          format: exportFormat,
+          includeTools,
+          includeReasoning,
+          redactor,
+          fileNamePattern: config.exportFileName,
+          signal: controller.signal,
+          onProgress: ({ done, total, session }) => {
+            setStatus(`Exporting ${done + 1} of ${total}...`);
+            setStatusDetail(session.label || session.path);
+          },
+        },
+      );
+      const summary = `${exported.length} of ${targets.length} sessions`;
+      if (failed.length) {
+        setStatus(`Exported ${summary}, ${failed.length} failed`);
+        setStatusDetail(
+          failed
+            .map(({ session, error }) => `${session.id || session.path}: ${error}`)
+            .join(" | "),
+        );
+      } else {
+        setStatus(
+          cancelled ? `Export cancelled after ${summary}` : `Exported ${summary}`,
+        );
+        setStatusDetail(`${indexPath}${redactionSummary(redactions)}`);
+      }
+    } catch (error) {
+      setStatus("Export failed");
+      setStatusDetail(error?.message || String(error));
+    } finally {
+      bulkExportAbortRef.current = null;
+      setBulkExportRunning(false);
+    }
+  };
 
   const handleExportSubmit = async () => {
+    if (exportTargets) {
+      setExporting(false);
+      void runBulkExport(exportTargets, exportPath);
+      return;
+    }
     try {
-      await fs.promises.writeFile(exportPath, markdown, "utf8");
+      const { entries, session, counts } = redactConversation(
+        conversation,
+        selectedSession,
+        redactor,
+      );
+      const content = exportingCommands
+        ? renderCommandLog(commandExportFormat, entries, session)
+        : renderExport(exportFormat, entries, session, {
+            includeTools,
+            includeReasoning,
+          });
+      await fs.promises.mkdir(path.dirname(path.resolve(exportPath)), {
+        recursive: true,
+      });
+      await fs.promises.writeFile(exportPath, content, "utf8");
       setStatus("Export complete");
-      setStatusDetail(exportPath);
+      setStatusDetail(`${exportPath}${redactionSummary(counts)}`);
     } catch (error) {
       setStatus("Export failed");
       setStatusDetail(error?.message || String(error));
@@ -904,6 +2566,137 @@ export default function App() {
     }
   };
 
+  // Re-reads the moved rollouts so they leave (or rejoin) the list, and keeps
+  // the cursor on `followPath` or within the shorter list.
+  const reloadSessions = async (paths, followPath = null) => {
+    const next = await refreshSessions(
+      sessionsRef.current,
+      paths,
+      sessionsDirs,
+      loadOptions,
+    );
+    setSessions(next);
+    const listed = filterSessions(
+      applyAnnotations(next, annotationsRef.current),
+      sessionFilterRef.current,
+    );
+    const index = followPath
+      ? listed.findIndex((session) => path.resolve(session.path) === followPath)
+      : -1;
+    setSelectedIndex((prev) =>
+      index !== -1 ? index : Math.max(0, Math.min(prev, listed.length - 1)),
+    );
+  };
+
+  const storeFailureDetail = (failed) =>
+    failed
+      .map(
+        ({ session, item, error }) =>
+          `${session?.id || session?.path || item?.session?.id || item?.file}: ${error}`,
+      )
+      .join(" | ");
+
+  // Archiving and deleting only move files (the trash is emptied by purging
+  // an item, or with `empty-trash`), and every action here has already been
+  // confirmed.
+  const runStoreAction = async (action) => {
+    setStoreActionRunning(true);
+    try {
+      if (action.kind === "archive" || action.kind === "delete") {
+        const archiving = action.kind === "archive";
+        const dir = sessionStores[archiving ? "archive" : "trash"];
+        const { stored, failed } = await storeSessions(action.sessions, dir, {
+          compress: archiving && action.compress,
+          redactor,
+          onProgress: ({ done, total, session }) => {
+            if (done === total) return;
+            setStatus(
+              `${archiving ? "Archiving" : "Moving to the trash"} ${done + 1} of ${total}...`,
+            );
+            setStatusDetail(session.label || session.path);
+          },
+        });
+        const movedPaths = action.sessions
+          .filter(
+            (session) => !failed.some((entry) => entry.session === session),
+          )
+          .map((session) => session.path);
+        if (movedPaths.length) await reloadSessions(movedPaths);
+        setMarkedPaths((prev) => {
+          const next = new Set(prev);
+          for (const movedPath of movedPaths) next.delete(movedPath);
+          return next;
+        });
+        const summary = archiving
+          ? `Archived ${plural(stored.length, "session")}`
+          : `Moved ${plural(stored.length, "session")} to the trash`;
+        setStatus(
+          failed.length ? `${summary}, ${failed.length} failed` : summary,
+        );
+        setStatusDetail(failed.length ? storeFailureDetail(failed) : dir);
+      } else if (action.kind === "restore") {
+        const { item } = action;
+        const { restored, failed } = await restoreItems(
+          [item],
+          sessionStores[item.store],
+        );
+        if (restored.length) {
+          await reloadSessions([item.originalPath], item.originalPath);
+          setStatus(`Restored ${item.session?.title || item.file}`);
+          setStatusDetail(item.originalPath);
+        } else {
+          setStatus("Restore failed");
+          setStatusDetail(storeFailureDetail(failed));
+        }
+      } else if (action.kind === "purge") {
+        const { item } = action;
+        const { purged, failed } = await purgeItems(
+          [item],
+          sessionStores.trash,
+        );
+        if (purged.length) {
+          setStatus(`Deleted ${item.session?.title || item.file} for good`);
+          setStatusDetail(path.join(sessionStores.trash, item.file));
+        } else {
+          setStatus("Delete failed");
+          setStatusDetail(storeFailureDetail(failed));
+        }
+      }
+    } catch (error) {
+      setStatus("Could not move the sessions");
+      setStatusDetail(error?.message || String(error));
+    } finally {
+      setStoreActionRunning(false);
+      await loadStoredItems();
+    }
+  };
+
+  // Archive and delete act on the selected sessions, or the current one,
+  // like export.
+  const requestStoreAction = (kind) => {
+    if (storeActionRunning) {
+      setStatus("Wait for the sessions being moved");
+      setStatusDetail("");
+      return;
+    }
+    const marked = namedSessions.filter((session) =>
+      markedPaths.has(session.path),
+    );
+    const targets = marked.length
+      ? marked
+      : selectedSession
+        ? [selectedSession]
+        : [];
+    if (!targets.length) return;
+    setPendingStoreAction({
+      kind,
+      sessions: targets,
+      compress: config.compressArchives,
+    });
+    setStatus("");
+    setStatusDetail("");
+  };
+
   const handleCopyToClipboard = async () => {
     const lines = collectVisibleLines(
       rightHeaderLines,
@@ -911,7 +2704,7 @@ export default function App() {
       rightScrollOffset,
       rightVisibleCount,
     );
-    const text = lines.join("\n");
+    const { text, counts } = redactText(lines.join("\n"), redactor);
     if (!text.trim()) {
       setStatus("コピーする内容がありません");
       setStatusDetail("");
@@ -920,7 +2713,7 @@ export default function App() {
     try {
       await writeToClipboard(text);
       setStatus("クリップボードにコピーしました");
-      setStatusDetail(`行数 ${lines.length}`);
+      setStatusDetail(`行数 ${lines.length}${redactionSummary(counts)}`);
     } catch (error) {
       setStatus("クリップボードへのコピーに失敗しました");
       setStatusDetail(error?.message || String(error));
@@ -928,6 +2721,19 @@ export default function App() {
   };
 
   useInput((input, key) => {
+    const mouseEvents = parseMouseInput(input);
+    if (mouseEvents) {
+      const prompting =
+        exporting ||
+        pendingStoreAction ||
+        annotationPrompt ||
+        filterPrompt ||
+        findPrompt ||
+        searchPrompt;
+      if (!prompting) handleMouse(mouseEvents);
+      return;
+    }
+
     if (exporting) {
       if (key.escape) {
         setExporting(false);
@@ -939,6 +2745,20 @@ export default function App() {
         handleExportSubmit();
         return;
       }
+      if (key.tab && exportingCommands) {
+        const nextFormat = nextCommandLogFormat(commandExportFormat);
+        setCommandExportFormat(nextFormat);
+        setExportPath((prev) => replaceCommandLogExtension(prev, nextFormat));
+        return;
+      }
+      if (key.tab) {
+        const nextFormat = nextExportFormat(exportFormat);
+        setExportFormat(nextFormat);
+        if (!exportTargets) {
+          setExportPath((prev) => replaceExportExtension(prev, nextFormat));
+        }
+        return;
+      }
       if (key.backspace || key.delete) {
         setExportPath((prev) => prev.slice(0, -1));
         return;
@@ -949,130 +2769,589 @@ export default function App() {
       return;
     }
 
-    if (key.tab) {
-      setFocus((prev) => (prev === "left" ? "right" : "left"));
-      return;
-    }
-    if (input === "1") {
-      setFocus("left");
-      return;
-    }
-    if (input === "2") {
-      setFocus("right");
+    if (pendingStoreAction) {
+      if (key.tab && pendingStoreAction.kind === "archive") {
+        setPendingStoreAction((prev) => ({
+          ...prev,
+          compress: !prev.compress,
+        }));
+        return;
+      }
+      setPendingStoreAction(null);
+      if (input === "y" || input === "Y") {
+        void runStoreAction(pendingStoreAction);
+      } else {
+        setStatus("Cancelled");
+        setStatusDetail("");
+      }
       return;
     }
 
-    if (input === "q") {
-      exit();
+    if (annotationPrompt) {
+      if (key.escape) {
+        setAnnotationPrompt(null);
+        return;
+      }
+      if (key.return) {
+        submitAnnotationPrompt();
+        return;
+      }
+      if (key.backspace || key.delete) {
+        setAnnotationInput((prev) => prev.slice(0, -1));
+        return;
+      }
+      if (input) {
+        setAnnotationInput((prev) => `${prev}${input}`);
+      }
       return;
     }
 
-    if (focus === "left") {
-      if (key.upArrow || input === "k") {
-        setSelectedIndex((prev) => Math.max(0, prev - 1));
+    if (filterPrompt) {
+      if (key.escape) {
+        setFilterPrompt(false);
         return;
       }
-      if (key.downArrow || input === "j") {
-        setSelectedIndex((prev) => Math.min(sessions.length - 1, prev + 1));
+      if (key.return) {
+        if (applyFilter(filterInput)) setFilterPrompt(false);
         return;
       }
-      if (input === "b") {
-        setSelectedIndex((prev) => Math.max(0, prev - leftVisibleCount));
+      if (key.tab) {
+        completeFilter();
         return;
       }
-      if (input === "f") {
-        setSelectedIndex((prev) =>
-          Math.min(sessions.length - 1, prev + leftVisibleCount),
-        );
+      if (key.backspace || key.delete) {
+        setFilterInput((prev) => prev.slice(0, -1));
         return;
       }
-      if (input === "g") {
-        setSelectedIndex(0);
+      if (input) {
+        setFilterInput((prev) => `${prev}${input}`);
+      }
+      return;
+    }
+
+    if (findPrompt) {
+      if (key.escape) {
+        setFindPrompt(null);
         return;
       }
-      if (input === "G") {
-        setSelectedIndex(Math.max(0, sessions.length - 1));
+      if (key.return) {
+        submitFind();
         return;
       }
-      if (input === "c") {
-        const resumeSession = selectedSession || sessions[selectedIndex] || null;
-        launchCodexResume(resumeSession);
+      if (key.backspace || key.delete) {
+        setFindInput((prev) => prev.slice(0, -1));
         return;
       }
+      if (input) {
+        setFindInput((prev) => `${prev}${input}`);
+      }
+      return;
     }
 
-    if (focus === "right") {
-      if (key.upArrow || input === "k") {
-        setRightScrollOffset((prev) => Math.max(0, prev - 1));
+    if (searchPrompt) {
+      if (key.escape) {
+        setSearchPrompt(false);
         return;
       }
-      if (key.downArrow || input === "j") {
-        setRightScrollOffset((prev) =>
-          Math.min(maxRightOffset, prev + 1),
-        );
+      if (key.return) {
+        setSearchPrompt(false);
+        if (searchQuery.trim()) startSearch(searchQuery);
         return;
       }
-      if (input === "b") {
-        setRightScrollOffset((prev) => Math.max(0, prev - rightVisibleCount));
+      if (key.backspace || key.delete) {
+        setSearchQuery((prev) => prev.slice(0, -1));
         return;
       }
-      if (input === "f") {
-        setRightScrollOffset((prev) =>
-          Math.min(maxRightOffset, prev + rightVisibleCount),
-        );
+      if (input) {
+        setSearchQuery((prev) => `${prev}${input}`);
+      }
+      return;
+    }
+
+    if (helpScope) {
+      const action = resolveAction(keymap, helpScope, keyName(input, key));
+      if (key.escape || action === "help" || action === "quit") {
+        setHelpScope(null);
         return;
       }
-      if (key.ctrl && input === "u") {
-        setRightScrollOffset((prev) =>
-          Math.max(0, prev - Math.ceil(rightVisibleCount / 2)),
-        );
+      const next = navigationTarget(
+        action,
+        helpScrollOffset,
+        maxHelpOffset,
+        helpVisibleCount,
+      );
+      if (next !== null) setHelpScrollOffset(next);
+      return;
+    }
+
+    if (bulkExportRunning && key.escape) {
+      bulkExportAbortRef.current?.abort();
+      return;
+    }
+
+    const action = resolveAction(keymap, inputScope, keyName(input, key));
+    if (!action) return;
+
+    if (inputScope === "list") {
+      const next = navigationTarget(
+        action,
+        selectedIndex,
+        listedSessions.length - 1,
+        leftVisibleCount,
+      );
+      if (next !== null) {
+        setSelectedIndex(next);
         return;
       }
-      if (key.ctrl && input === "d") {
-        setRightScrollOffset((prev) =>
-          Math.min(maxRightOffset, prev + Math.ceil(rightVisibleCount / 2)),
-        );
+    } else if (inputScope === "usage") {
+      const next = navigationTarget(
+        action,
+        usageScrollOffset,
+        maxUsageOffset,
+        usageVisibleCount,
+      );
+      if (next !== null) {
+        setUsageScrollOffset(next);
         return;
       }
-      if (input === "g") {
-        setRightScrollOffset(0);
+    } else if (inputScope === "commands") {
+      const next = navigationTarget(
+        action,
+        commandsSelectedIndex,
+        commandList.length - 1,
+        commandsVisibleCount,
+      );
+      if (next !== null) {
+        setCommandsSelectedIndex(next);
         return;
       }
-      if (input === "G") {
-        setRightScrollOffset(maxRightOffset);
+    } else if (inputScope === "stored") {
+      const next = navigationTarget(
+        action,
+        storedSelectedIndex,
+        storedItems.length - 1,
+        storedVisibleCount,
+      );
+      if (next !== null) {
+        setStoredSelectedIndex(next);
         return;
       }
-      if (input === "c") {
-        void handleCopyToClipboard();
+    } else if (inputScope === "results") {
+      const next = navigationTarget(
+        action,
+        searchSelectedIndex,
+        searchResults.length - 1,
+        searchVisibleCount,
+      );
+      if (next !== null) {
+        setSearchSelectedIndex(next);
+        return;
+      }
+    } else {
+      const next = navigationTarget(
+        action,
+        rightScrollOffset,
+        maxRightOffset,
+        rightVisibleCount,
+      );
+      if (next !== null) {
+        setRightScrollOffset(next);
         return;
       }
     }
-    if (input === "m") {
-      setViewMode((prev) => (prev === "pretty" ? "markdown" : "pretty"));
-      return;
-    }
-    if (input === "e") {
-      const nextPath = defaultExportPath(selectedSession);
-      setExportPath(nextPath);
-      setExporting(true);
-      setStatus("");
-      setStatusDetail("");
-    }
+
+    const handlers = {
+      help() {
+        setHelpScope(inputScope);
+        setHelpScrollOffset(0);
+      },
+      quit() {
+        exit();
+      },
+      "focus-next"() {
+        if (!listVisible) return;
+        setFocus((prev) => (prev === "left" ? "right" : "left"));
+      },
+      "focus-list"() {
+        showList();
+      },
+      "focus-conversation"() {
+        setFocus("right");
+      },
+      filter() {
+        setFilterInput(filterText ? `${filterText} ` : "");
+        setFilterPrompt(true);
+        showList();
+        setStatus("");
+        setStatusDetail("");
+      },
+      search() {
+        setSearchQuery("");
+        setSearchPrompt(true);
+        setStatus("");
+        setStatusDetail("");
+      },
+      usage() {
+        if (usageActive) {
+          setUsageActive(false);
+          return;
+        }
+        openUsage();
+      },
+      "next-usage-group"() {
+        setUsageGroupIndex((prev) => (prev + 1) % USAGE_GROUPS.length);
+        setUsageScrollOffset(0);
+      },
+      "previous-usage-group"() {
+        setUsageGroupIndex(
+          (prev) => (prev + USAGE_GROUPS.length - 1) % USAGE_GROUPS.length,
+        );
+        setUsageScrollOffset(0);
+      },
+      "close-usage"() {
+        setUsageActive(false);
+      },
+      commands() {
+        if (commandsActive) {
+          setCommandsActive(false);
+          return;
+        }
+        openCommands();
+      },
+      "open-command"() {
+        const command = commandList[commandsSelectedIndex];
+        if (!command) return;
+        setCommandsActive(false);
+        const offset = findEntryRowOffset(wrappedRows, command.entryIndex, "");
+        setRightScrollOffset(Math.min(offset, maxRightOffset));
+      },
+      "close-commands"() {
+        setCommandsActive(false);
+      },
+      stored() {
+        if (storedActive) {
+          setStoredActive(false);
+          return;
+        }
+        openStored();
+      },
+      "restore-stored"() {
+        const item = storedItems[storedSelectedIndex];
+        if (!item || storeActionRunning) return;
+        void runStoreAction({ kind: "restore", item });
+      },
+      "purge-stored"() {
+        const item = storedItems[storedSelectedIndex];
+        if (!item || storeActionRunning) return;
+        if (item.store !== "trash") {
+          setStatus("Only sessions in the trash can be deleted for good");
+          setStatusDetail("");
+          return;
+        }
+        setPendingStoreAction({ kind: "purge", item });
+        setStatus("");
+        setStatusDetail("");
+      },
+      "close-stored"() {
+        setStoredActive(false);
+      },
+      archive() {
+        requestStoreAction("archive");
+      },
+      delete() {
+        requestStoreAction("delete");
+      },
+      resume() {
+        const resumeSession =
+          selectedSession || listedSessions[selectedIndex] || null;
+        launchCodexResume(resumeSession);
+      },
+      "toggle-mark"() {
+        toggleMark(selectedIndex);
+      },
+      "mark-range"() {
+        markRange(selectedIndex);
+      },
+      "mark-all"() {
+        setMarkedPaths(
+          (prev) =>
+            new Set([
+              ...prev,
+              ...listedSessions.map((session) => session.path),
+            ]),
+        );
+      },
+      "clear-marks"() {
+        setMarkedPaths(new Set());
+        setMarkAnchor(null);
+      },
+      "clear-filter"() {
+        if (filterActive) applyFilter("");
+      },
+      rename() {
+        openAnnotationPrompt("name");
+      },
+      "toggle-star"() {
+        if (!selectedSession || annotationsLocked()) return;
+        const starred = !selectedSession.starred;
+        void saveAnnotations(
+          setSessionStarred(annotations, selectedSession, starred),
+          selectedSession,
+          starred ? "Starred" : "Star removed",
+        );
+      },
+      "edit-tags"() {
+        openAnnotationPrompt("tags");
+      },
+      "edit-note"() {
+        openAnnotationPrompt("note");
+      },
+      "widen-list"() {
+        resizeList(1);
+      },
+      "narrow-list"() {
+        resizeList(-1);
+      },
+      "toggle-list"() {
+        if (listCollapsed || zoomed) {
+          showList();
+          return;
+        }
+        setListCollapsed(true);
+      },
+      zoom() {
+        setZoomed((prev) => !prev);
+      },
+      "toggle-mouse"() {
+        const next = !mouseEnabled;
+        setMouseEnabled(next);
+        setStatus(
+          next
+            ? "Mouse: on"
+            : "Mouse: off (the terminal can select text again)",
+        );
+        setStatusDetail("");
+      },
+      "open-result"() {
+        openSearchResult(searchResults[searchSelectedIndex]);
+      },
+      "close-results"() {
+        closeSearch();
+      },
+      "find-forward"() {
+        setFindInput("");
+        setFindPrompt("forward");
+      },
+      "find-backward"() {
+        setFindInput("");
+        setFindPrompt("backward");
+      },
+      "find-next"() {
+        stepFind(false);
+      },
+      "find-previous"() {
+        stepFind(true);
+      },
+      "clear-find"() {
+        if (!findQuery) return;
+        setFindQuery("");
+        setFindIndex(-1);
+        setStatus("");
+        setStatusDetail("");
+      },
+      copy() {
+        void handleCopyToClipboard();
+      },
+      "toggle-live"() {
+        const next = !watching;
+        setWatching(next);
+        setStatus(`Live updates: ${next ? "on" : "off"}`);
+        setStatusDetail("");
+      },
+      "toggle-view"() {
+        setViewMode((prev) => (prev === "pretty" ? "markdown" : "pretty"));
+      },
+      "redact-preview"() {
+        const next = !redactPreview;
+        setRedactPreview(next);
+        if (!next) {
+          setStatus("Redaction preview: off");
+          setStatusDetail("");
+        } else if (!redactor.enabled) {
+          setStatus(
+            "Redaction preview: on (redaction is disabled by --no-redact)",
+          );
+          setStatusDetail("");
+        } else {
+          const { counts } = redactConversation(
+            conversation,
+            selectedSession,
+            redactor,
+          );
+          setStatus(`Redaction preview: ${formatRedactionReport(counts)}`);
+          setStatusDetail(
+            countRedactions(counts)
+              ? "Masked values are shown in red; exports and copies use the same rules"
+              : "",
+          );
+        }
+      },
+      "toggle-details"() {
+        setShowDetails((prev) => !prev);
+      },
+      "expand-tools"() {
+        setExpandTools((prev) => !prev);
+      },
+      "include-tools"() {
+        const next = !includeTools;
+        setIncludeTools(next);
+        setStatus(`Tool calls in Markdown: ${next ? "on" : "off"}`);
+        setStatusDetail("");
+      },
+      "expand-reasoning"() {
+        setExpandReasoning((prev) => !prev);
+      },
+      "include-reasoning"() {
+        const next = !includeReasoning;
+        setIncludeReasoning(next);
+        setStatus(`Reasoning in Markdown: ${next ? "on" : "off"}`);
+        setStatusDetail("");
+      },
+      export() {
+        if (bulkExportRunning) {
+          setStatus("Export in progress (Esc to cancel)");
+          return;
+        }
+        if (inputScope === "commands") {
+          setExportTargets(null);
+          setExportingCommands(true);
+          setExportPath(
+            defaultExportPath(
+              selectedSession,
+              COMMAND_LOG_FORMATS[commandExportFormat].extension,
+              exportPathOptions(config),
+            ),
+          );
+          setExporting(true);
+          setStatus("");
+          setStatusDetail("");
+          return;
+        }
+        setExportingCommands(false);
+        const targets = namedSessions.filter((session) =>
+          markedPaths.has(session.path),
+        );
+        if (targets.length) {
+          setExportTargets(targets);
+          setExportPath(exportPathOptions(config).directory);
+          setExporting(true);
+          setStatus("");
+          setStatusDetail("");
+          return;
+        }
+        setExportTargets(null);
+        const nextPath = defaultExportPath(
+          selectedSession,
+          EXPORT_FORMATS[exportFormat].extension,
+          exportPathOptions(config),
+        );
+        setExportPath(nextPath);
+        setExporting(true);
+        setStatus("");
+        setStatusDetail("");
+      },
+    };
+    handlers[action]?.();
   });
 
   const statusLine = status || "";
   const statusDetailLine = statusDetail || "";
-  const exportLine = exporting ? `Export path: ${exportPath}` : "";
-  const exportHintLine = exporting ? "Enter to save, Esc to cancel" : "";
-  const headerLine = buildHeaderLine(
-    "Codex Transcriber",
-    `Directory: ${DEFAULT_SESSIONS_DIR}`,
-    stdout?.columns || 120,
-  );
-  const footerLine =
-    focus === "left"
-      ? "Quit: q | Move: j/k, g/G, f/b | Codex: c"
-      : "Quit: q | Scroll: j/k, g/G, f/b | Markdown: m | Export: e | Copy to Clipboard: c";
+  const storeTargetLabel = (sessions) =>
+    sessions.length === 1
+      ? `"${sessionTitle(sessions[0]) || sessions[0].label || sessions[0].path}"`
+      : plural(sessions.length, "session");
+  const storePromptLine = !pendingStoreAction
+    ? ""
+    : pendingStoreAction.kind === "archive"
+      ? `Archive ${storeTargetLabel(pendingStoreAction.sessions)} to ${sessionStores.archive} (gzip: ${pendingStoreAction.compress ? "on" : "off"})? [y/N]`
+      : pendingStoreAction.kind === "delete"
+        ? `Move ${storeTargetLabel(pendingStoreAction.sessions)} to the trash? [y/N]`
+        : `Delete "${pendingStoreAction.item.session?.title || pendingStoreAction.item.file}" for good? This cannot be undone. [y/N]`;
+  const exportLine = pendingStoreAction
+    ? storePromptLine
+    : exporting
+      ? exportingCommands
+        ? `Export commands (${COMMAND_LOG_FORMATS[commandExportFormat].label}): ${exportPath}`
+        : exportTargets
+          ? `Export directory (${EXPORT_FORMATS[exportFormat].label}, ${exportTargets.length} sessions): ${exportPath}`
+          : `Export path (${EXPORT_FORMATS[exportFormat].label}): ${exportPath}`
+      : searchPrompt
+        ? `Search: ${searchQuery}`
+        : findPrompt
+          ? `${findPrompt === "forward" ? "/" : "?"}${findInput}`
+          : filterPrompt
+            ? `Filter: ${filterInput}`
+            : annotationPrompt
+              ? `${ANNOTATION_PROMPTS[annotationPrompt].label}: ${annotationInput}`
+              : "";
+  const exportHintLine = pendingStoreAction
+    ? pendingStoreAction.kind === "archive"
+      ? "y to archive, Tab to turn gzip on or off, any other key to cancel"
+      : "y to confirm, any other key to cancel"
+    : exporting
+      ? "Enter to save, Tab to change format, Esc to cancel"
+      : searchPrompt
+        ? "Enter to search all sessions, Esc to cancel"
+        : findPrompt
+          ? "Enter to find in conversation, Esc to cancel"
+          : filterSuggestions
+            ? filterSuggestions.values.length
+              ? `${filterSuggestions.values
+                  .slice(0, 8)
+                  .map(({ value, count }) => `${value} (${count})`)
+                  .join(", ")} | Tab to complete`
+              : `No ${filterSuggestions.facet} matches`
+            : filterPrompt
+              ? "repo: branch: cwd: tag: is:starred since: until: date:FROM..TO and words | Enter to apply, Esc to cancel"
+              : annotationPrompt
+                ? ANNOTATION_PROMPTS[annotationPrompt].hint
+                : "";
+  const zoomKeys = describeKeys(keymap, "zoom");
+  const headerLine = zoomed
+    ? buildHeaderLine(
+        sessionTitle(selectedSession) || "Codex Transcriber",
+        `${watching ? "[live] " : ""}${zoomKeys ? `Zoom (${zoomKeys} to exit)` : "Zoom"}`,
+        terminalSize.columns,
+      )
+    : buildHeaderLine(
+        "Codex Transcriber",
+        `${watching ? "[live] " : ""}Directory: ${sessionsDirs.join(", ")}`,
+        terminalSize.columns,
+      );
+  const footerLine = footerText(keymap, helpScope ? "help" : inputScope);
+  // Opening a prompt clears the status, so the prompt takes its place. Short
+  // terminals and zoom show the prompt, or else the status, on one line.
+  const messageLine =
+    exportLine || [statusLine, statusDetailLine].filter(Boolean).join(" | ");
+  const headerRows =
+    layout.header === "full"
+      ? [
+          headerLine,
+          exportLine || statusLine,
+          exportLine ? exportHintLine : statusDetailLine,
+        ]
+      : layout.header === "compact"
+        ? [headerLine, messageLine]
+        : [messageLine || headerLine];
+  const listTitle = [
+    "[1] Sessions",
+    markedPaths.size ? `*${markedPaths.size}` : "",
+    filterActive
+      ? `${listedSessions.length}/${sessions.length} ${sessionFilter.source}`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
 
   return h(
     React.Fragment,
@@ -1080,53 +3359,124 @@ export default function App() {
     h(
       Box,
       { flexDirection: "column" },
-      h(Text, { wrap: "truncate" }, headerLine),
-      h(Text, { wrap: "truncate" }, statusLine),
-      h(Text, { wrap: "truncate" }, statusDetailLine),
-      h(Text, { wrap: "truncate" }, exportLine),
-      h(Text, { wrap: "truncate" }, exportHintLine),
-      h(Text, null, ""),
-    ),
-    h(
-      Box,
-      { flexDirection: "row" },
-      h(
-        TitledPanel,
-        {
-          title: "[1] Sessions",
-          width: leftWidth,
-          height: paneHeight,
-          borderColor: focus === "left" ? "green" : undefined,
-        },
-        h(ListView, {
-          sessions,
-          loading: loadingSessions,
-          error: sessionsError,
-          selectedIndex,
-          scrollOffset,
-          visibleCount: leftVisibleCount,
-          maxLabelWidth,
-        }),
-      ),
-      h(
-        TitledPanel,
-        {
-          title: "[2] Conversation",
-          width: rightPaneWidth,
-          height: paneHeight,
-          borderColor: focus === "right" ? "green" : undefined,
-        },
-        h(ConversationView, {
-          session: selectedSession,
-          loading: loadingConversation,
-          error: conversationError,
-          rows: wrappedRows,
-          scrollOffset: rightScrollOffset,
-          visibleCount: rightVisibleCount,
-          headerLines: rightHeaderLines,
-        }),
+      // An empty Text has no height, so blank rows hold a space to keep
+      // the panes where the layout put them.
+      headerRows.map((line, index) =>
+        h(Text, { key: index, wrap: "truncate" }, line || " "),
       ),
     ),
-    h(Text, { wrap: "truncate" }, footerLine),
+    helpScope
+      ? h(
+          TitledPanel,
+          {
+            title: `Help: ${KEYMAP_SCOPE_LABELS[helpScope]} (keymap: ${keymap.preset})`,
+            width: terminalSize.columns,
+            height: layout.height,
+            borderColor: "green",
+          },
+          h(HelpView, {
+            rows: helpRows,
+            scrollOffset: helpScrollOffset,
+            visibleCount: helpVisibleCount,
+            width: terminalSize.columns - 2,
+          }),
+        )
+      : h(
+          Box,
+          { flexDirection: layout.mode === "stacked" ? "column" : "row" },
+          listVisible
+            ? h(
+                TitledPanel,
+                {
+                  title: listTitle,
+                  width: layout.listWidth,
+                  height: layout.listHeight,
+                  borderColor: activeFocus === "left" ? "green" : undefined,
+                },
+                h(ListView, {
+                  sessions: listedSessions,
+                  filtered: filterActive,
+                  loading: loadingSessions,
+                  loadProgress,
+                  error: sessionsError,
+                  selectedIndex,
+                  scrollOffset,
+                  visibleCount: leftVisibleCount,
+                  maxLabelWidth,
+                  columns: listColumns,
+                  markedPaths,
+                }),
+              )
+            : null,
+          h(
+            TitledPanel,
+            {
+              title: usageActive
+                ? "[2] Usage Report"
+                : commandsActive
+                  ? redactPreview
+                    ? "[2] Commands (redacted)"
+                    : "[2] Commands"
+                  : storedActive
+                    ? "[2] Archive and Trash"
+                    : searchActive
+                      ? "[2] Search Results"
+                      : redactPreview
+                        ? "[2] Conversation (redacted)"
+                        : "[2] Conversation",
+              width: rightPaneWidth,
+              height: layout.rightHeight,
+              borderColor: activeFocus === "right" ? "green" : undefined,
+            },
+            usageActive
+              ? h(UsageView, {
+                  lines: usageLines,
+                  group: usageGroup,
+                  filter: filterActive ? sessionFilter.source : "",
+                  progress: usageProgress,
+                  sessionCount: usageRecords.length,
+                  scrollOffset: usageScrollOffset,
+                  visibleCount: usageVisibleCount,
+                  width: rightContentWidth,
+                })
+              : commandsActive
+                ? h(CommandsView, {
+                    commands: commandList,
+                    selectedIndex: commandsSelectedIndex,
+                    scrollOffset: commandsScrollOffset,
+                    visibleCount: commandsVisibleCount,
+                    width: rightContentWidth,
+                  })
+                : storedActive
+                  ? h(StoredView, {
+                      items: storedItems,
+                      error: storedError,
+                      selectedIndex: storedSelectedIndex,
+                      scrollOffset: storedScrollOffset,
+                      visibleCount: storedVisibleCount,
+                      width: rightContentWidth,
+                    })
+                  : searchActive
+                    ? h(SearchResultsView, {
+                        results: searchResults,
+                        progress: searchProgress,
+                        selectedIndex: searchSelectedIndex,
+                        scrollOffset: searchScrollOffset,
+                        visibleCount: searchVisibleCount,
+                        width: rightContentWidth,
+                      })
+                    : h(ConversationView, {
+                        session: selectedSession,
+                        loading: loadingConversation,
+                        error: conversationError,
+                        rows: wrappedRows,
+                        scrollOffset: rightScrollOffset,
+                        visibleCount: rightVisibleCount,
+                        headerLines: rightHeaderLines,
+                        highlights: findHighlights,
+                      }),
+          ),
+        ),
+    layout.footerLines ? h(Text, { wrap: "truncate" }, footerLine) : null,
   );
 }
@@ -0,0 +1,302 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import zlib from "node:zlib";
+import { DEFAULT_DATA_DIR } from "./annotations.js";
+import { redactText } from "./redact.js";
+import { parseRepoName, sessionTitle } from "./sessions.js";
+
+// Archived and deleted sessions are moved out of the sessions directory into
+// two stores: the archive (optionally gzipped) and the trash. Each store keeps
+// an index of where its files came from so they can be put back, and nothing
+// is unlinked until the trash is emptied.
+
+export const STORE_INDEX_VERSION = 1;
+export const STORE_NAMES = ["archive", "trash"];
+
+const INDEX_FILE = "index.json";
+const GZIP_EXTENSION = ".gz";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_UNITS = { d: 1, w: 7, mo: 30, y: 365 };
+
+// The archive can be moved with the `archiveDir` setting; the trash always
+// lives in the data directory.
+export function storeDirs(options = {}) {
+  const { dataDir = DEFAULT_DATA_DIR, archiveDir = null } = options;
+  return {
+    archive: archiveDir || path.join(dataDir, "archive"),
+    trash: path.join(dataDir, "trash"),
+  };
+}
+
+// Ages are written as the session list shows them: `30d`, `2w`, `6mo`, `1y`.
+export function parseAge(text) {
+  const match = String(text || "")
+    .trim()
+    .match(/^(\d+)(d|w|mo|y)$/u);
+  return match ? Number(match[1]) * AGE_UNITS[match[2]] * DAY_MS : null;
+}
+
+// Sessions whose last update is more than `ageMs` ago.
+export function isOlderThan(session, ageMs, now = Date.now()) {
+  return now - (session.sortKey || 0) > ageMs;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+export async function readStoreIndex(dir) {
+  const filePath = path.join(dir, INDEX_FILE);
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return [];
+    throw error;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath}: invalid JSON (${error.message})`);
+  }
+  if (!Array.isArray(data?.items)) {
+    throw new Error(`${filePath}: expected an "items" list`);
+  }
+  return data.items.filter(
+    (item) =>
+      isPlainObject(item) &&
+      typeof item.file === "string" &&
+      typeof item.originalPath === "string",
+  );
+}
+
+async function writeStoreIndex(dir, items) {
+  const filePath = path.join(dir, INDEX_FILE);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const data = { version: STORE_INDEX_VERSION, items };
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(
+    tempPath,
+    `${JSON.stringify(data, null, 2)}\n`,
+    "utf8",
+  );
+  await fs.promises.rename(tempPath, filePath);
+}
+
+function pathExists(filePath) {
+  return fs.promises.access(filePath).then(
+    () => true,
+    () => false,
+  );
+}
+
+// Renames when possible and copies across file systems. The target must not
+// exist yet.
+async function moveFile(from, to) {
+  if (await pathExists(to)) throw new Error(`${to} already exists`);
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error?.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+    await fs.promises.unlink(from);
+  }
+}
+
+// Writes `transform(from)` to `to` and removes `from` only once the new file
+// is complete.
+async function transformFile(from, to, transform) {
+  try {
+    await pipeline(
+      fs.createReadStream(from),
+      transform,
+      fs.createWriteStream(to, { flags: "wx" }),
+    );
+  } catch (error) {
+    if (error?.code !== "EEXIST") {
+      await fs.promises.rm(to, { force: true });
+    }
+    throw error;
+  }
+  await fs.promises.unlink(from);
+}
+
+// Gzip and copies across file systems give the new file the current mtime,
+// which would sort it first and hide it from `--older-than`. The file has
+// already moved by then, so a failure here is not an error.
+async function setMtime(filePath, mtimeMs) {
+  if (!Number.isFinite(mtimeMs)) return;
+  try {
+    await fs.promises.utimes(filePath, mtimeMs / 1000, mtimeMs / 1000);
+  } catch {}
+}
+
+// Rollout names carry a timestamp and the session id, so clashes only come
+// from storing the same file twice; later copies get a numeric suffix.
+async function uniqueStoreName(dir, name, items) {
+  const used = new Set(items.map((item) => item.file));
+  const extension = name.endsWith(GZIP_EXTENSION)
+    ? `${path.extname(name.slice(0, -GZIP_EXTENSION.length))}${GZIP_EXTENSION}`
+    : path.extname(name);
+  const base = name.slice(0, name.length - extension.length);
+  let candidate = name;
+  for (
+    let index = 2;
+    used.has(candidate) || (await pathExists(path.join(dir, candidate)));
+    index += 1
+  ) {
+    candidate = `${base}-${index}${extension}`;
+  }
+  return candidate;
+}
+
+// The index sits outside the exports, so the title is stored redacted.
+function describeSession(session, redactor) {
+  const title = sessionTitle(session);
+  return {
+    id: session.id || null,
+    label: session.label || null,
+    title: title ? redactText(title, redactor).text : null,
+    repository:
+      parseRepoName(
+        session.git?.repository_url || session.git?.repositoryUrl || "",
+      ) || null,
+    branch: session.git?.branch || null,
+    updatedAt: session.sortKey ? new Date(session.sortKey).toISOString() : null,
+  };
+}
+
+// Moves sessions into the store at `dir`, one at a time, and records each in
+// the index as soon as it has moved. Failures are collected rather than
+// thrown so a bulk move reports what it did. Titles in the index are passed
+// through `redactor`.
+export async function storeSessions(sessions, dir, options = {}) {
+  const { compress = false, redactor, onProgress } = options;
+  const items = await readStoreIndex(dir);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const stored = [];
+  const failed = [];
+  for (const [index, session] of sessions.entries()) {
+    onProgress?.({ done: index, total: sessions.length, session });
+    try {
+      const name = await uniqueStoreName(
+        dir,
+        `${path.basename(session.path)}${compress ? GZIP_EXTENSION : ""}`,
+        items,
+      );
+      const target = path.join(dir, name);
+      const { mtimeMs } = await fs.promises.stat(session.path);
+      if (compress) {
+        await transformFile(session.path, target, zlib.createGzip());
+      } else {
+        await moveFile(session.path, target);
+      }
+      await setMtime(target, mtimeMs);
+      const item = {
+        file: name,
+        originalPath: path.resolve(session.path),
+        storedAt: new Date().toISOString(),
+        mtimeMs,
+        compressed: compress,
+        session: describeSession(session, redactor),
+      };
+      items.push(item);
+      await writeStoreIndex(dir, items);
+      stored.push(item);
+    } catch (error) {
+      failed.push({ session, error: error?.message || String(error) });
+    }
+  }
+  onProgress?.({ done: sessions.length, total: sessions.length });
+  return { stored, failed };
+}
+
+function removeFromIndex(items, done) {
+  const files = new Set(done.map((item) => item.file));
+  return items.filter((item) => !files.has(item.file));
+}
+
+// Puts stored files back where they came from with their original mtime,
+// refusing to overwrite a file that has since appeared there. Items stored
+// before `mtimeMs` was recorded fall back to the session's last update.
+export async function restoreItems(selected, dir) {
+  const restored = [];
+  const failed = [];
+  for (const item of selected) {
+    try {
+      const from = path.join(dir, item.file);
+      await fs.promises.mkdir(path.dirname(item.originalPath), {
+        recursive: true,
+      });
+      if (item.compressed) {
+        await transformFile(from, item.originalPath, zlib.createGunzip());
+      } else {
+        await moveFile(from, item.originalPath);
+      }
+      await setMtime(
+        item.originalPath,
+        item.mtimeMs ?? Date.parse(item.session?.updatedAt),
+      );
+      restored.push(item);
+    } catch (error) {
+      failed.push({ item, error: error?.message || String(error) });
+    }
+  }
+  if (restored.length) {
+    await writeStoreIndex(
+      dir,
+      removeFromIndex(await readStoreIndex(dir), restored),
+    );
+  }
+  return { restored, failed };
+}
+
+// Unlinks stored files for good. Files already gone are dropped from the
+// index too.
+export async function purgeItems(selected, dir) {
+  const purged = [];
+  const failed = [];
+  for (const item of selected) {
+    try {
+      await fs.promises.rm(path.join(dir, item.file), { force: true });
+      purged.push(item);
+    } catch (error) {
+      failed.push({ item, error: error?.message || String(error) });
+    }
+  }
+  if (purged.length) {
+    await writeStoreIndex(
+      dir,
+      removeFromIndex(await readStoreIndex(dir), purged),
+    );
+  }
+  return { purged, failed };
+}
+
+// Items from both stores, newest first, each tagged with its store name.
+export async function listStoredItems(dirs) {
+  const lists = await Promise.all(
+    STORE_NAMES.map(async (store) =>
+      (await readStoreIndex(dirs[store])).map((item) => ({ ...item, store })),
+    ),
+  );
+  return lists
+    .flat()
+    .sort((a, b) => String(b.storedAt).localeCompare(String(a.storedAt)));
+}
+
+// Looks items up by session id, id prefix, stored file name, or original
+// path, like session lookup does for live sessions.
+export function matchStoredItems(items, query) {
+  const resolved = path.resolve(query);
+  const exact = items.filter(
+    (item) =>
+      item.session?.id === query ||
+      item.file === query ||
+      item.originalPath === resolved,
+  );
+  if (exact.length) return exact;
+  return items.filter((item) => item.session?.id?.startsWith(query));
+}
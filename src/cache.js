@@ -0,0 +1,93 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Bumped when cached entries gain fields, so older caches are rebuilt.
+export const CACHE_VERSION = 3;
+
+export const DEFAULT_CACHE_DIR =
+  process.env.CODEX_TRANSCRIBER_CACHE_DIR ||
+  path.join(
+    process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"),
+    "codex-transcriber",
+  );
+
+const SESSION_CACHE_FILE = "sessions.json";
+const USAGE_CACHE_FILE = "usage.json";
+
+// Labels are formatted in local time, so a cache written under another
+// time zone is treated as stale.
+function currentTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "";
+}
+
+export function sessionCachePath(cacheDir = DEFAULT_CACHE_DIR) {
+  return path.join(cacheDir, SESSION_CACHE_FILE);
+}
+
+export function usageCachePath(cacheDir = DEFAULT_CACHE_DIR) {
+  return path.join(cacheDir, USAGE_CACHE_FILE);
+}
+
+// `settings` holds the options that change what is parsed from a rollout;
+// a cache written under different settings is treated as stale as well.
+async function readCacheFile(filePath, settings = null) {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    if (
+      data?.version !== CACHE_VERSION ||
+      data.timeZone !== currentTimeZone() ||
+      JSON.stringify(data.settings ?? null) !== JSON.stringify(settings) ||
+      !data.files ||
+      typeof data.files !== "object"
+    ) {
+      return new Map();
+    }
+    return new Map(Object.entries(data.files));
+  } catch {
+    return new Map();
+  }
+}
+
+async function writeCacheFile(filePath, files, settings = null) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const data = {
+    version: CACHE_VERSION,
+    timeZone: currentTimeZone(),
+    settings,
+    files: Object.fromEntries(files),
+  };
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify(data), "utf8");
+  await fs.promises.rename(tempPath, filePath);
+}
+
+export function readSessionCache(cacheDir = DEFAULT_CACHE_DIR, settings) {
+  return readCacheFile(sessionCachePath(cacheDir), settings);
+}
+
+export function writeSessionCache(
+  files,
+  cacheDir = DEFAULT_CACHE_DIR,
+  settings,
+) {
+  return writeCacheFile(sessionCachePath(cacheDir), files, settings);
+}
+
+// Session details used by the usage report, keyed like the session cache.
+export function readUsageCache(cacheDir = DEFAULT_CACHE_DIR) {
+  return readCacheFile(usageCachePath(cacheDir));
+}
+
+export function writeUsageCache(files, cacheDir = DEFAULT_CACHE_DIR) {
+  return writeCacheFile(usageCachePath(cacheDir), files);
+}
+
+export function isCacheEntryFresh(entry, stat, field = "session") {
+  return Boolean(
+    entry?.[field] &&
+    stat &&
+    entry.mtimeMs === stat.mtimeMs &&
+    entry.size === stat.size,
+  );
+}
@@ -1,6 +1,21 @@
 #!/usr/bin/env node
-import React from "react";
-import { render } from "ink";
-import App from "./app.js";
+import { parseGlobalOptions, runCommand } from "./commands.js";
+import { applyConfig, loadConfig } from "./config.js";
 
-render(React.createElement(App));
+const { argv, loadOptions, redaction } = parseGlobalOptions(
+  process.argv.slice(2),
+);
+
+const config = await loadConfig();
+applyConfig(config);
+
+if (argv.length > 0) {
+  process.exitCode = await runCommand(argv, { loadOptions, redaction, config });
+} else {
+  const [{ default: React }, { render }, { default: App }] = await Promise.all([
+    import("react"),
+    import("ink"),
+    import("./app.js"),
+  ]);
+  render(React.createElement(App, { loadOptions, redaction, config }));
+}
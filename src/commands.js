@@ -0,0 +1,999 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline/promises";
+import { parseArgs } from "node:util";
+import {
+  SessionLookupError,
+  defaultExportPath,
+  extractConversation,
+  extractConversationFromStream,
+  loadSessions,
+  parseRepoName,
+  resolveSession,
+  sessionTitle,
+} from "./sessions.js";
+import {
+  DEFAULT_DATA_DIR,
+  annotationKey,
+  applyAnnotations,
+  readAnnotations,
+  setSessionName,
+  setSessionNote,
+  setSessionStarred,
+  setSessionTags,
+  writeAnnotations,
+} from "./annotations.js";
+import {
+  isOlderThan,
+  listStoredItems,
+  matchStoredItems,
+  parseAge,
+  purgeItems,
+  readStoreIndex,
+  restoreItems,
+  storeDirs,
+  storeSessions,
+} from "./archive.js";
+import { DEFAULT_CONFIG, exportPathOptions } from "./config.js";
+import { EXPORT_FORMATS, EXPORT_FORMAT_NAMES, renderExport } from "./export.js";
+import { filterSessions, parseSessionFilter } from "./filter.js";
+import {
+  collectPatches,
+  findPatchText,
+  formatGitPatch,
+  turnEntries,
+} from "./patch.js";
+import {
+  countRedactions,
+  formatRedactionReport,
+  listRedactions,
+  loadRedactor,
+  maskPreview,
+  redactConversation,
+} from "./redact.js";
+import {
+  COMMAND_LOG_FORMATS,
+  COMMAND_LOG_FORMAT_NAMES,
+  renderCommandLog,
+} from "./replay.js";
+import {
+  USAGE_FORMATS,
+  USAGE_GROUPS,
+  collectUsage,
+  formatUsageCsv,
+  formatUsageJson,
+  formatUsageTable,
+  summarizeUsage,
+} from "./usage.js";
+
+export const EXIT_OK = 0;
+export const EXIT_ERROR = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_NOT_FOUND = 3;
+export const EXIT_AMBIGUOUS = 4;
+
+export const COMMANDS = [
+  "list",
+  "show",
+  "export",
+  "redact",
+  "patch",
+  "commands",
+  "usage",
+  "rename",
+  "star",
+  "unstar",
+  "tag",
+  "note",
+  "archive",
+  "delete",
+  "restore",
+  "empty-trash",
+  "config",
+  "help",
+];
+
+const USAGE = `Usage:
+  codex-transcriber [global options]     Start the TUI
+  codex-transcriber list [--filter <text>] [--json]
+                                         List sessions
+  codex-transcriber show <id|path|-> [options]
+                                         Print a session to stdout
+  codex-transcriber export <id|path|-> [--out <file|->] [options]
+                                         Write a session to a file
+  codex-transcriber redact <id|path|-> [--json]
+                                         Preview what exports will mask
+  codex-transcriber patch <id|path|-> [--turn <n>] [--out <file|->]
+                                         Write file edits as a git patch
+  codex-transcriber commands <id|path|-> [--format sh|json] [--out <file|->]
+                                         Print the shell commands a session ran
+  codex-transcriber usage [options]      Sum sessions, turns and tokens
+  codex-transcriber rename <id|path> [name]
+                                         Name a session (no name clears it)
+  codex-transcriber star|unstar <id|path>
+                                         Star a session or remove its star
+  codex-transcriber tag <id|path> [tag...]
+                                         Set a session's tags (none clears them)
+  codex-transcriber note <id|path> [text]
+                                         Set a session's note (no text clears it)
+  codex-transcriber archive <id|path...> | --older-than <age> [options]
+                                         Move sessions into the archive
+  codex-transcriber delete <id|path...> | --older-than <age> [options]
+                                         Move sessions to the trash
+  codex-transcriber restore <id|file...> | --list
+                                         Put archived or deleted sessions back
+  codex-transcriber empty-trash [--older-than <age>] [--yes]
+                                         Delete trashed sessions for good
+  codex-transcriber config               Print the resolved configuration
+
+Global options:
+  --rebuild-cache  Re-read every session file and rewrite the metadata cache
+  --no-cache       Neither read nor write the metadata cache
+  --no-redact      Export and copy without masking secrets and home paths
+
+Options:
+  --format <name>  Output format: markdown (default), html, json, or jsonl
+  --tools          Include tool calls and command output
+  --reasoning      Include reasoning summaries
+
+List options:
+  --filter <text>  Session list filter, e.g. "tag:postmortem is:starred"
+  --json           Print JSON with names, stars, tags and notes
+
+Archive and delete options:
+  --older-than <age>
+                   Every session last updated before this age: 30d, 2w, 6mo, 1y
+  --repo <name>    Every session in a matching repository
+  --filter <text>  Every session matching a session list filter
+  --gzip           Compress archived files (archive only)
+  --yes, -y        Do not ask for confirmation
+
+Patch options:
+  --turn <n>       Only the edits made after the n-th user message
+  --out <file|->   Output file (default: <id>.patch, or stdout for "-")
+
+Commands options:
+  --format <name>  sh (default) for a commented shell script, or json
+  --out <file|->   Output file (default: stdout)
+
+Usage options:
+  --by <groups>    Group by day (default), week, repo, branch, or model;
+                   join several with commas, e.g. repo,branch
+  --since <date>   First day to include: YYYY-MM-DD, YYYY-MM, 7d, 2w, today
+  --until <date>   Last day to include, in the same forms
+  --filter <text>  Session list filter, e.g. "repo:webapp branch:main"
+  --format <name>  table (default), csv, or json
+
+Sessions are looked up by session_meta id, id prefix, or file path.
+Use "-" (or pipe into stdin) to read a rollout JSONL from stdin.
+
+Exit codes:
+  0 success, 1 error, 2 usage error, 3 session not found, 4 ambiguous id
+`;
+
+const GLOBAL_OPTIONS = {
+  "--rebuild-cache": { loadOptions: { rebuildCache: true } },
+  "--no-cache": { loadOptions: { cache: false } },
+  "--no-redact": { redaction: { enabled: false } },
+};
+
+export function parseGlobalOptions(argv) {
+  const loadOptions = {};
+  const redaction = {};
+  const rest = [];
+  for (const arg of argv) {
+    const option = GLOBAL_OPTIONS[arg];
+    if (option) {
+      Object.assign(loadOptions, option.loadOptions);
+      Object.assign(redaction, option.redaction);
+    } else {
+      rest.push(arg);
+    }
+  }
+  return { argv: rest, loadOptions, redaction };
+}
+
+// Exits with EXIT_USAGE. `showUsage: false` is for mistakes the message
+// alone explains, where the full usage text would bury it.
+class UsageError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "UsageError";
+    this.showUsage = options.showUsage ?? true;
+  }
+}
+
+function parseCommandArgs(args, options) {
+  try {
+    return parseArgs({ args, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error?.message || String(error));
+  }
+}
+
+function sessionToJson(session) {
+  return {
+    id: session.id,
+    label: session.label,
+    title: session.title || null,
+    name: session.name || null,
+    starred: Boolean(session.starred),
+    tags: session.tags || [],
+    note: session.note || null,
+    messages: session.messageCount ?? null,
+    path: session.path,
+    updatedAt: session.sortKey ? new Date(session.sortKey).toISOString() : null,
+    repository:
+      parseRepoName(
+        session.git?.repository_url || session.git?.repositoryUrl || "",
+      ) || null,
+    branch: session.git?.branch || null,
+  };
+}
+
+const RENDER_OPTIONS = {
+  format: { type: "string" },
+  tools: { type: "boolean" },
+  reasoning: { type: "boolean" },
+};
+
+function resolveFormat(values) {
+  const format = values.format || "markdown";
+  if (!EXPORT_FORMATS[format]) {
+    throw new UsageError(
+      `unknown format: ${format} (expected ${EXPORT_FORMAT_NAMES.join(", ")})`,
+    );
+  }
+  return format;
+}
+
+function renderOptions(values) {
+  return {
+    includeTools: Boolean(values.tools),
+    includeReasoning: Boolean(values.reasoning),
+  };
+}
+
+function readsStdin(target, stdin) {
+  if (target === "-") return true;
+  return !target && !stdin.isTTY;
+}
+
+// Annotations only decorate the output, so a store that cannot be read is a
+// warning rather than an error.
+async function loadAnnotatedSessions(sessions, io) {
+  try {
+    return applyAnnotations(sessions, await readAnnotations(io.dataDir));
+  } catch (error) {
+    io.stderr.write(`codex-transcriber: warning: ${error.message}\n`);
+    return sessions;
+  }
+}
+
+async function readConversation(target, io) {
+  if (readsStdin(target, io.stdin)) {
+    const entries = await extractConversationFromStream(io.stdin);
+    return { session: null, entries };
+  }
+  if (!target) {
+    throw new UsageError("session id or path is required");
+  }
+  const [session] = await loadAnnotatedSessions(
+    [await resolveSession(target, io.sessionsDir, io.loadOptions)],
+    io,
+  );
+  return { session, entries: await extractConversation(session.path) };
+}
+
+async function readRedactedConversation(target, io) {
+  const redactor = await loadRedactor(io.redaction);
+  const { session, entries } = await readConversation(target, io);
+  return { redactor, ...redactConversation(entries, session, redactor) };
+}
+
+function writeRedactionReport(redactor, counts, io) {
+  if (!redactor.enabled || !countRedactions(counts)) return;
+  io.stderr.write(`Redaction: ${formatRedactionReport(counts)}\n`);
+}
+
+// "-" writes to stdout; files are reported on stderr.
+async function writeOutput(outPath, content, io) {
+  if (outPath === "-") {
+    io.stdout.write(content);
+    return;
+  }
+  await fs.promises.mkdir(path.dirname(path.resolve(outPath)), {
+    recursive: true,
+  });
+  await fs.promises.writeFile(outPath, content, "utf8");
+  io.stderr.write(`Exported ${outPath}\n`);
+}
+
+function parseFilterOption(text) {
+  const filter = parseSessionFilter(text);
+  if (filter.errors.length) {
+    throw new UsageError(filter.errors.join(", "));
+  }
+  return filter;
+}
+
+async function runList(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    filter: { type: "string" },
+    json: { type: "boolean" },
+  });
+  if (positionals.length) {
+    throw new UsageError(`unexpected argument: ${positionals[0]}`);
+  }
+  const filter = parseFilterOption(values.filter || "");
+  const sessions = filterSessions(
+    await loadAnnotatedSessions(
+      await loadSessions(io.sessionsDir, {
+        ...io.loadOptions,
+        countMessages: Boolean(values.json),
+      }),
+      io,
+    ),
+    filter,
+  );
+  if (values.json) {
+    const items = sessions.map(sessionToJson);
+    io.stdout.write(`${JSON.stringify(items, null, 2)}\n`);
+    return EXIT_OK;
+  }
+  for (const session of sessions) {
+    const item = sessionToJson(session);
+    const columns = [
+      item.id || "-",
+      item.label,
+      item.repository || "-",
+      item.branch || "-",
+      item.path,
+      item.name || item.title || "-",
+    ];
+    io.stdout.write(`${columns.join("\t")}\n`);
+  }
+  return EXIT_OK;
+}
+
+async function runShow(args, io) {
+  const { values, positionals } = parseCommandArgs(args, RENDER_OPTIONS);
+  if (positionals.length > 1) {
+    throw new UsageError(`unexpected argument: ${positionals[1]}`);
+  }
+  const format = resolveFormat(values);
+  const { redactor, session, entries, counts } = await readRedactedConversation(
+    positionals[0],
+    io,
+  );
+  io.stdout.write(
+    renderExport(format, entries, session, renderOptions(values)),
+  );
+  writeRedactionReport(redactor, counts, io);
+  return EXIT_OK;
+}
+
+async function runExport(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    ...RENDER_OPTIONS,
+    out: { type: "string", short: "o" },
+  });
+  if (positionals.length > 1) {
+    throw new UsageError(`unexpected argument: ${positionals[1]}`);
+  }
+  const format = resolveFormat(values);
+  const { redactor, session, entries, counts } = await readRedactedConversation(
+    positionals[0],
+    io,
+  );
+  const content = renderExport(format, entries, session, renderOptions(values));
+  const outPath =
+    values.out ||
+    (session
+      ? defaultExportPath(
+          session,
+          EXPORT_FORMATS[format].extension,
+          exportPathOptions(io.config),
+        )
+      : "-");
+  await writeOutput(outPath, content, io);
+  writeRedactionReport(redactor, counts, io);
+  return EXIT_OK;
+}
+
+async function runRedact(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    json: { type: "boolean" },
+  });
+  if (positionals.length > 1) {
+    throw new UsageError(`unexpected argument: ${positionals[1]}`);
+  }
+  const redactor = await loadRedactor(io.redaction);
+  const { session, entries } = await readConversation(positionals[0], io);
+  const findings = listRedactions(entries, session, redactor);
+  const counts = {};
+  for (const { name } of findings) counts[name] = (counts[name] || 0) + 1;
+  if (values.json) {
+    const items = findings.map((item) => ({
+      entry: item.entryIndex,
+      role: item.role,
+      field: item.field,
+      detector: item.name,
+      preview: maskPreview(item.value),
+      replacement: item.replacement,
+    }));
+    io.stdout.write(
+      `${JSON.stringify({ enabled: redactor.enabled, counts, findings: items }, null, 2)}\n`,
+    );
+    return EXIT_OK;
+  }
+  for (const item of findings) {
+    const columns = [
+      item.entryIndex === null ? "-" : `#${item.entryIndex + 1}`,
+      item.role,
+      item.field,
+      item.name,
+      `${maskPreview(item.value)} -> ${item.replacement}`,
+    ];
+    io.stdout.write(`${columns.join("\t")}\n`);
+  }
+  io.stderr.write(
+    redactor.enabled
+      ? `${formatRedactionReport(counts)}\n`
+      : "Redaction is disabled (--no-redact)\n",
+  );
+  return EXIT_OK;
+}
+
+// Patches are redacted like any export. A masked secret in a context or
+// removed line makes its hunk fail to apply, and one in an added line is
+// written masked; --no-redact writes the edits verbatim.
+async function runPatch(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    turn: { type: "string" },
+    out: { type: "string", short: "o" },
+  });
+  if (positionals.length > 1) {
+    throw new UsageError(`unexpected argument: ${positionals[1]}`);
+  }
+  const turn = values.turn === undefined ? null : Number(values.turn);
+  if (turn !== null && (!Number.isInteger(turn) || turn < 1)) {
+    throw new UsageError(`--turn must be a positive integer: ${values.turn}`);
+  }
+  const redactor = await loadRedactor(io.redaction);
+  const conversation = await readConversation(positionals[0], io);
+  const selected =
+    turn === null
+      ? conversation.entries
+      : turnEntries(conversation.entries, turn);
+  const { session, entries, counts } = redactConversation(
+    selected.filter(findPatchText),
+    conversation.session,
+    redactor,
+  );
+  const { patches, failed } = collectPatches(entries, { cwd: session?.cwd });
+  if (failed) {
+    const noun = failed === 1 ? "edit" : "edits";
+    io.stderr.write(`Skipped ${failed} ${noun} that failed to apply\n`);
+  }
+  if (!patches.length) {
+    io.stderr.write(
+      turn === null
+        ? "No file edits in this session\n"
+        : `No file edits in turn ${turn}\n`,
+    );
+    return EXIT_ERROR;
+  }
+  const title = [
+    `Edits from session ${session?.id || "(stdin)"}`,
+    turn !== null && `turn ${turn}`,
+    session?.cwd && `apply from ${session.cwd}`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const content = formatGitPatch(patches, { title });
+  const outPath =
+    values.out ||
+    (session
+      ? defaultExportPath(
+          session,
+          turn === null ? ".patch" : `-turn${turn}.patch`,
+          exportPathOptions(io.config),
+        )
+      : "-");
+  await writeOutput(outPath, content, io);
+  writeRedactionReport(redactor, counts, io);
+  return EXIT_OK;
+}
+
+async function runCommands(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    format: { type: "string" },
+    out: { type: "string", short: "o" },
+  });
+  if (positionals.length > 1) {
+    throw new UsageError(`unexpected argument: ${positionals[1]}`);
+  }
+  const format = values.format || "sh";
+  if (!COMMAND_LOG_FORMATS[format]) {
+    throw new UsageError(
+      `unknown format: ${format} (expected ${COMMAND_LOG_FORMAT_NAMES.join(", ")})`,
+    );
+  }
+  const { redactor, session, entries, counts } = await readRedactedConversation(
+    positionals[0],
+    io,
+  );
+  await writeOutput(
+    values.out || "-",
+    renderCommandLog(format, entries, session),
+    io,
+  );
+  writeRedactionReport(redactor, counts, io);
+  return EXIT_OK;
+}
+
+function parseUsageGroups(value) {
+  const groups = (value || "day")
+    .split(",")
+    .map((group) => group.trim())
+    .filter(Boolean);
+  const unknown = groups.filter((group) => !USAGE_GROUPS.includes(group));
+  if (!groups.length || unknown.length) {
+    throw new UsageError(
+      `unknown group: ${unknown.join(", ") || value} (expected ${USAGE_GROUPS.join(", ")})`,
+    );
+  }
+  return [...new Set(groups)];
+}
+
+async function runUsage(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    by: { type: "string" },
+    since: { type: "string" },
+    until: { type: "string" },
+    filter: { type: "string" },
+    format: { type: "string" },
+  });
+  if (positionals.length) {
+    throw new UsageError(`unexpected argument: ${positionals[0]}`);
+  }
+  const groups = parseUsageGroups(values.by);
+  const format = values.format || "table";
+  if (!USAGE_FORMATS.includes(format)) {
+    throw new UsageError(
+      `unknown format: ${format} (expected ${USAGE_FORMATS.join(", ")})`,
+    );
+  }
+  const filter = parseFilterOption(
+    [
+      values.filter,
+      values.since && `since:${values.since}`,
+      values.until && `until:${values.until}`,
+    ]
+      .filter(Boolean)
+      .join(" "),
+  );
+  const sessions = filterSessions(
+    await loadAnnotatedSessions(
+      await loadSessions(io.sessionsDir, io.loadOptions),
+      io,
+    ),
+    filter,
+  );
+  const report = summarizeUsage(
+    await collectUsage(sessions, io.loadOptions),
+    groups,
+  );
+  if (format === "csv") {
+    io.stdout.write(formatUsageCsv(report));
+  } else if (format === "json") {
+    io.stdout.write(
+      formatUsageJson(report, {
+        since:
+          filter.since === null ? null : new Date(filter.since).toISOString(),
+        until:
+          filter.until === null ? null : new Date(filter.until).toISOString(),
+        filter: filter.source || null,
+      }),
+    );
+  } else {
+    io.stdout.write(`${formatUsageTable(report).join("\n")}\n`);
+  }
+  return EXIT_OK;
+}
+
+// The annotation commands share the lookup and the read-modify-write of the
+// store; `update` returns the new store and the message to print.
+async function annotateSession(args, io, update) {
+  const { positionals } = parseCommandArgs(args, {});
+  if (!positionals.length) {
+    throw new UsageError("session id or path is required");
+  }
+  const [query, ...words] = positionals;
+  const session = await resolveSession(query, io.sessionsDir, io.loadOptions);
+  const { annotations, message } = update(
+    await readAnnotations(io.dataDir),
+    session,
+    words,
+  );
+  await writeAnnotations(annotations, io.dataDir);
+  io.stderr.write(`${message}\n`);
+  return EXIT_OK;
+}
+
+function runRename(args, io) {
+  return annotateSession(args, io, (annotations, session, words) => {
+    const name = words.join(" ").trim();
+    const id = session.id || session.path;
+    return {
+      annotations: setSessionName(annotations, session, name),
+      message: name ? `Named ${id}: ${name}` : `Cleared the name of ${id}`,
+    };
+  });
+}
+
+function runStar(args, io, starred) {
+  return annotateSession(args, io, (annotations, session, words) => {
+    if (words.length) throw new UsageError(`unexpected argument: ${words[0]}`);
+    const id = session.id || session.path;
+    return {
+      annotations: setSessionStarred(annotations, session, starred),
+      message: starred ? `Starred ${id}` : `Removed the star from ${id}`,
+    };
+  });
+}
+
+function runTag(args, io) {
+  return annotateSession(args, io, (annotations, session, words) => {
+    const next = setSessionTags(annotations, session, words);
+    const id = session.id || session.path;
+    const tags = next.get(annotationKey(session))?.tags || [];
+    return {
+      annotations: next,
+      message: tags.length
+        ? `Tagged ${id}: ${tags.join(", ")}`
+        : `Cleared the tags of ${id}`,
+    };
+  });
+}
+
+function runNote(args, io) {
+  return annotateSession(args, io, (annotations, session, words) => {
+    const note = words.join(" ").trim();
+    const id = session.id || session.path;
+    return {
+      annotations: setSessionNote(annotations, session, note),
+      message: note ? `Saved the note of ${id}` : `Cleared the note of ${id}`,
+    };
+  });
+}
+
+function countSessions(count) {
+  return `${count} ${count === 1 ? "session" : "sessions"}`;
+}
+
+const SELECTION_OPTIONS = {
+  "older-than": { type: "string" },
+  repo: { type: "string" },
+  filter: { type: "string" },
+  yes: { type: "boolean", short: "y" },
+};
+
+function parseAgeOption(text) {
+  const ageMs = parseAge(text);
+  if (ageMs === null) {
+    throw new UsageError(
+      `invalid age: ${text} (expected e.g. 30d, 2w, 6mo, 1y)`,
+    );
+  }
+  return ageMs;
+}
+
+// The sessions named on the command line, or every session matching the bulk
+// options. One of the two is required so that no command touches the whole
+// list by accident.
+async function selectSessions(values, positionals, io) {
+  const bulk = values["older-than"] || values.repo || values.filter;
+  if (positionals.length && bulk) {
+    throw new UsageError(
+      "give session ids or --older-than, --repo and --filter, not both",
+    );
+  }
+  if (positionals.length) {
+    const sessions = new Map();
+    for (const query of positionals) {
+      const session = await resolveSession(
+        query,
+        io.sessionsDir,
+        io.loadOptions,
+      );
+      sessions.set(session.path, session);
+    }
+    return loadAnnotatedSessions([...sessions.values()], io);
+  }
+  if (!bulk) {
+    throw new UsageError(
+      "session id or path, --older-than, --repo, or --filter is required",
+    );
+  }
+  const ageMs = values["older-than"]
+    ? parseAgeOption(values["older-than"])
+    : null;
+  const filter = parseFilterOption(
+    [values.filter, values.repo && `repo:"${values.repo}"`]
+      .filter(Boolean)
+      .join(" "),
+  );
+  const now = Date.now();
+  return filterSessions(
+    await loadAnnotatedSessions(
+      await loadSessions(io.sessionsDir, io.loadOptions),
+      io,
+    ),
+    filter,
+  ).filter((session) => ageMs === null || isOlderThan(session, ageMs, now));
+}
+
+// Destructive commands list what they will touch and ask first. Without a
+// terminal to ask on, `--yes` is required.
+async function confirmAction(question, lines, values, io) {
+  for (const line of lines) io.stderr.write(`  ${line}\n`);
+  if (values.yes) return true;
+  if (!io.stdin.isTTY) {
+    throw new UsageError(`${question} Pass --yes to confirm without a prompt`, {
+      showUsage: false,
+    });
+  }
+  const prompt = readline.createInterface({
+    input: io.stdin,
+    output: io.stderr,
+  });
+  try {
+    const answer = await prompt.question(`${question} [y/N] `);
+    return /^y(?:es)?$/iu.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+}
+
+function sessionLine(session) {
+  return [session.id || "-", session.label, sessionTitle(session) || "-"].join(
+    "\t",
+  );
+}
+
+function writeFailures(failed, io) {
+  for (const { session, item, error } of failed) {
+    const id = session
+      ? session.id || session.path
+      : item.session?.id || item.file;
+    io.stderr.write(`  ${id}: ${error}\n`);
+  }
+}
+
+// `archive` and `delete` only differ in the store they move sessions to.
+async function moveSessions(args, io, store) {
+  const { values, positionals } = parseCommandArgs(args, {
+    ...SELECTION_OPTIONS,
+    ...(store === "archive" ? { gzip: { type: "boolean" } } : {}),
+  });
+  const sessions = await selectSessions(values, positionals, io);
+  if (!sessions.length) {
+    io.stderr.write("No sessions match\n");
+    return EXIT_OK;
+  }
+  const dir = storeDirs({
+    dataDir: io.dataDir,
+    archiveDir: io.config.archiveDir,
+  })[store];
+  const compress =
+    store === "archive" && Boolean(values.gzip ?? io.config.compressArchives);
+  const question =
+    store === "archive"
+      ? `Archive ${countSessions(sessions.length)}${compress ? " (gzip)" : ""} to ${dir}?`
+      : `Move ${countSessions(sessions.length)} to the trash?`;
+  if (!(await confirmAction(question, sessions.map(sessionLine), values, io))) {
+    io.stderr.write("Cancelled\n");
+    return EXIT_OK;
+  }
+  const { stored, failed } = await storeSessions(sessions, dir, {
+    compress,
+    redactor: await loadRedactor(io.redaction),
+  });
+  io.stderr.write(
+    store === "archive"
+      ? `Archived ${countSessions(stored.length)} to ${dir}\n`
+      : `Moved ${countSessions(stored.length)} to the trash in ${dir}; "restore" brings them back\n`,
+  );
+  if (!failed.length) return EXIT_OK;
+  io.stderr.write(`Failed to move ${countSessions(failed.length)}:\n`);
+  writeFailures(failed, io);
+  return EXIT_ERROR;
+}
+
+async function runRestore(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    list: { type: "boolean" },
+  });
+  const dirs = storeDirs({
+    dataDir: io.dataDir,
+    archiveDir: io.config.archiveDir,
+  });
+  const items = await listStoredItems(dirs);
+  if (values.list) {
+    if (positionals.length) {
+      throw new UsageError(`unexpected argument: ${positionals[0]}`);
+    }
+    for (const item of items) {
+      const columns = [
+        item.store,
+        item.session?.id || "-",
+        item.storedAt || "-",
+        item.session?.repository || "-",
+        item.originalPath,
+        item.session?.title || "-",
+      ];
+      io.stdout.write(`${columns.join("\t")}\n`);
+    }
+    return EXIT_OK;
+  }
+  if (!positionals.length) {
+    throw new UsageError(
+      "session id or stored file name is required (see restore --list)",
+    );
+  }
+  const selected = new Map();
+  for (const query of positionals) {
+    const matches = matchStoredItems(items, query);
+    if (!matches.length) {
+      throw new SessionLookupError(
+        `no archived or deleted session: ${query}`,
+        "not_found",
+      );
+    }
+    if (matches.length > 1) {
+      throw new SessionLookupError(
+        `session id prefix is ambiguous: ${query}`,
+        "ambiguous",
+        matches.map((item) => ({
+          id: item.session?.id || "-",
+          path: path.join(dirs[item.store], item.file),
+        })),
+      );
+    }
+    selected.set(`${matches[0].store}/${matches[0].file}`, matches[0]);
+  }
+  const restored = [];
+  const failed = [];
+  for (const store of Object.keys(dirs)) {
+    const storeItems = [...selected.values()].filter(
+      (item) => item.store === store,
+    );
+    if (!storeItems.length) continue;
+    const result = await restoreItems(storeItems, dirs[store]);
+    restored.push(...result.restored);
+    failed.push(...result.failed);
+  }
+  for (const item of restored) {
+    io.stderr.write(`Restored ${item.originalPath}\n`);
+  }
+  if (!failed.length) return EXIT_OK;
+  io.stderr.write(`Failed to restore ${countSessions(failed.length)}:\n`);
+  writeFailures(failed, io);
+  return EXIT_ERROR;
+}
+
+async function runEmptyTrash(args, io) {
+  const { values, positionals } = parseCommandArgs(args, {
+    "older-than": SELECTION_OPTIONS["older-than"],
+    yes: SELECTION_OPTIONS.yes,
+  });
+  if (positionals.length) {
+    throw new UsageError(`unexpected argument: ${positionals[0]}`);
+  }
+  const ageMs = values["older-than"]
+    ? parseAgeOption(values["older-than"])
+    : null;
+  const dir = storeDirs({ dataDir: io.dataDir }).trash;
+  const now = Date.now();
+  const items = (await readStoreIndex(dir)).filter(
+    (item) => ageMs === null || now - Date.parse(item.storedAt) > ageMs,
+  );
+  if (!items.length) {
+    io.stderr.write("Nothing to delete in the trash\n");
+    return EXIT_OK;
+  }
+  const lines = items.map((item) =>
+    [item.session?.id || "-", item.storedAt, item.session?.title || "-"].join(
+      "\t",
+    ),
+  );
+  const question = `Delete ${countSessions(items.length)} from the trash for good?`;
+  if (!(await confirmAction(question, lines, values, io))) {
+    io.stderr.write("Cancelled\n");
+    return EXIT_OK;
+  }
+  const { purged, failed } = await purgeItems(items, dir);
+  io.stderr.write(`Deleted ${countSessions(purged.length)}\n`);
+  if (!failed.length) return EXIT_OK;
+  writeFailures(failed, io);
+  return EXIT_ERROR;
+}
+
+async function runConfig(args, io) {
+  const { positionals } = parseCommandArgs(args, {});
+  if (positionals.length) {
+    throw new UsageError(`unexpected argument: ${positionals[0]}`);
+  }
+  const { errors, ...settings } = io.config;
+  io.stdout.write(`${JSON.stringify(settings, null, 2)}\n`);
+  for (const error of errors) {
+    io.stderr.write(`codex-transcriber: ${error}\n`);
+  }
+  return errors.length ? EXIT_ERROR : EXIT_OK;
+}
+
+export async function runCommand(argv, io = {}) {
+  const config = io.config || { ...DEFAULT_CONFIG, errors: [] };
+  const context = {
+    stdin: io.stdin || process.stdin,
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    sessionsDir: io.sessionsDir || config.sessionsDirs,
+    dataDir: io.dataDir || DEFAULT_DATA_DIR,
+    config,
+    loadOptions: io.loadOptions || {},
+    redaction: io.redaction || {},
+  };
+  const [command, ...args] = argv;
+  if (command !== "config") {
+    for (const error of config.errors) {
+      context.stderr.write(`codex-transcriber: warning: ${error}\n`);
+    }
+  }
+  try {
+    if (command === "list") return await runList(args, context);
+    if (command === "show") return await runShow(args, context);
+    if (command === "export") return await runExport(args, context);
+    if (command === "redact") return await runRedact(args, context);
+    if (command === "patch") return await runPatch(args, context);
+    if (command === "commands") return await runCommands(args, context);
+    if (command === "usage") return await runUsage(args, context);
+    if (command === "rename") return await runRename(args, context);
+    if (command === "star") return await runStar(args, context, true);
+    if (command === "unstar") return await runStar(args, context, false);
+    if (command === "tag") return await runTag(args, context);
+    if (command === "note") return await runNote(args, context);
+    if (command === "archive") {
+      return await moveSessions(args, context, "archive");
+    }
+    if (command === "delete") return await moveSessions(args, context, "trash");
+    if (command === "restore") return await runRestore(args, context);
+    if (command === "empty-trash") return await runEmptyTrash(args, context);
+    if (command === "config") return await runConfig(args, context);
+    if (command === "help" || command === "--help" || command === "-h") {
+      context.stdout.write(USAGE);
+      return EXIT_OK;
+    }
+    throw new UsageError(`unknown command: ${command}`);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      context.stderr.write(
+        `codex-transcriber: ${error.message}\n${error.showUsage ? `\n${USAGE}` : ""}`,
+      );
+      return EXIT_USAGE;
+    }
+    if (error instanceof SessionLookupError) {
+      context.stderr.write(`codex-transcriber: ${error.message}\n`);
+      for (const candidate of error.candidates) {
+        context.stderr.write(`  ${candidate.id}\t${candidate.path}\n`);
+      }
+      return error.code === "ambiguous" ? EXIT_AMBIGUOUS : EXIT_NOT_FOUND;
+    }
+    context.stderr.write(
+      `codex-transcriber: ${error?.message || String(error)}\n`,
+    );
+    return EXIT_ERROR;
+  }
+}
@@ -0,0 +1,332 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  DEFAULT_EXPORT_FILE_NAME,
+  DEFAULT_SESSIONS_DIR,
+  EXPORT_FILE_NAME_FIELDS,
+  setExtraExcludePrefixes,
+} from "./sessions.js";
+import {
+  buildKeymap,
+  DEFAULT_KEYMAP,
+  isValidKeySpec,
+  KEYMAP_ACTION_IDS,
+  KEYMAP_PRESET_NAMES,
+} from "./keymap.js";
+import { getAmbiguousWidth, setAmbiguousWidth } from "./width.js";
+
+export const DEFAULT_CONFIG_PATH =
+  process.env.CODEX_TRANSCRIBER_CONFIG ||
+  path.join(
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+    "codex-transcriber",
+    "config.json",
+  );
+
+export const VIEW_MODES = ["pretty", "markdown"];
+export const DEFAULT_LEFT_WIDTH = 25;
+export const MIN_LEFT_WIDTH = 16;
+export const MAX_LEFT_WIDTH = 100;
+export const DEFAULT_STACK_WIDTH = 80;
+export const LIST_COLUMNS = ["age", "messages", "repo", "branch"];
+
+export const DEFAULT_CONFIG = {
+  sessionsDirs: [DEFAULT_SESSIONS_DIR],
+  exportDir: null,
+  archiveDir: null,
+  compressArchives: false,
+  exportFileName: DEFAULT_EXPORT_FILE_NAME,
+  leftWidth: DEFAULT_LEFT_WIDTH,
+  listColumns: ["age"],
+  stackWidth: DEFAULT_STACK_WIDTH,
+  mouse: true,
+  viewMode: "pretty",
+  excludePrefixes: [],
+  ambiguousWidth: getAmbiguousWidth(),
+  keymap: DEFAULT_KEYMAP,
+};
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+export function expandHome(filePath) {
+  if (filePath === "~") return os.homedir();
+  if (filePath.startsWith("~/")) {
+    return path.join(os.homedir(), filePath.slice(2));
+  }
+  return filePath;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((item) => typeof item === "string" && item !== "")
+  );
+}
+
+// Each setting returns its normalised value, or throws a ConfigError whose
+// message is reported after the config path and key. Relative paths are resolved
+// against the directory holding the config file.
+const SETTINGS = {
+  sessionsDirs(value, { configDir }) {
+    const dirs = typeof value === "string" ? [value] : value;
+    if (!isStringList(dirs) || !dirs.length) {
+      throw new ConfigError(
+        "must be a directory or a non-empty list of directories",
+      );
+    }
+    return dirs.map((dir) => path.resolve(configDir, expandHome(dir)));
+  },
+  exportDir(value, { configDir }) {
+    if (typeof value !== "string" || !value)
+      throw new ConfigError("must be a directory");
+    return path.resolve(configDir, expandHome(value));
+  },
+  archiveDir(value, { configDir }) {
+    if (typeof value !== "string" || !value)
+      throw new ConfigError("must be a directory");
+    return path.resolve(configDir, expandHome(value));
+  },
+  compressArchives(value) {
+    if (typeof value !== "boolean")
+      throw new ConfigError("must be true or false");
+    return value;
+  },
+  exportFileName(value) {
+    if (typeof value !== "string" || !value.trim()) {
+      throw new ConfigError(
+        'must be a file name pattern such as "{date}-{repo}-{id}"',
+      );
+    }
+    if (/[\\/]/u.test(value))
+      throw new ConfigError("must not contain path separators");
+    for (const [, field] of value.matchAll(/\{(\w*)\}/gu)) {
+      if (!EXPORT_FILE_NAME_FIELDS.includes(field)) {
+        throw new ConfigError(
+          `has unknown placeholder {${field}} (expected ${EXPORT_FILE_NAME_FIELDS.map((name) => `{${name}}`).join(" ")})`,
+        );
+      }
+    }
+    return value;
+  },
+  leftWidth(value) {
+    if (
+      !Number.isInteger(value) ||
+      value < MIN_LEFT_WIDTH ||
+      value > MAX_LEFT_WIDTH
+    ) {
+      throw new ConfigError(
+        `must be an integer from ${MIN_LEFT_WIDTH} to ${MAX_LEFT_WIDTH}`,
+      );
+    }
+    return value;
+  },
+  listColumns(value) {
+    if (
+      !Array.isArray(value) ||
+      !value.every((column) => LIST_COLUMNS.includes(column))
+    ) {
+      throw new ConfigError(
+        `must be a list of ${LIST_COLUMNS.map((column) => `"${column}"`).join(", ")}`,
+      );
+    }
+    return [...new Set(value)];
+  },
+  stackWidth(value) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new ConfigError(
+        "must be a number of columns, or 0 to keep the panes side by side",
+      );
+    }
+    return value;
+  },
+  mouse(value) {
+    if (typeof value !== "boolean")
+      throw new ConfigError("must be true or false");
+    return value;
+  },
+  viewMode(value) {
+    if (!VIEW_MODES.includes(value)) {
+      throw new ConfigError(
+        `must be ${VIEW_MODES.map((mode) => `"${mode}"`).join(" or ")}`,
+      );
+    }
+    return value;
+  },
+  excludePrefixes(value) {
+    if (!isStringList(value))
+      throw new ConfigError("must be a list of non-empty strings");
+    return value;
+  },
+  ambiguousWidth(value) {
+    if (value !== 1 && value !== 2) throw new ConfigError("must be 1 or 2");
+    return value;
+  },
+  keymap(value) {
+    if (typeof value === "string") value = { preset: value };
+    if (!isPlainObject(value)) {
+      throw new ConfigError(
+        'must be a preset name or an object with "preset" and "bindings"',
+      );
+    }
+    const { preset = DEFAULT_KEYMAP.preset, bindings = {}, ...rest } = value;
+    const unknownKeys = Object.keys(rest);
+    if (unknownKeys.length) {
+      throw new ConfigError(`has unknown key ${unknownKeys.join(", ")}`);
+    }
+    if (!KEYMAP_PRESET_NAMES.includes(preset)) {
+      throw new ConfigError(
+        `preset must be ${KEYMAP_PRESET_NAMES.map((name) => `"${name}"`).join(", ")}`,
+      );
+    }
+    if (!isPlainObject(bindings))
+      throw new ConfigError("bindings must be an object");
+    for (const [id, keys] of Object.entries(bindings)) {
+      if (!KEYMAP_ACTION_IDS.includes(id)) {
+        throw new ConfigError(`bindings has unknown action "${id}"`);
+      }
+      const list = typeof keys === "string" ? [keys] : keys;
+      if (!Array.isArray(list) || !list.every(isValidKeySpec)) {
+        throw new ConfigError(
+          `bindings.${id} must be a key such as "j", "ctrl+d", "alt+v" or "pagedown", or a list of keys`,
+        );
+      }
+    }
+    return { preset, bindings };
+  },
+};
+
+function readSettings(data, label, context, errors) {
+  const settings = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key === "projects" || key === "$schema") continue;
+    const name = `${label}${key}`;
+    if (!SETTINGS[key]) {
+      errors.push(`${context.configPath}: unknown setting ${name}`);
+      continue;
+    }
+    try {
+      settings[key] = SETTINGS[key](value, context);
+    } catch (error) {
+      errors.push(`${context.configPath}: ${name} ${error.message}`);
+    }
+  }
+  return settings;
+}
+
+function isInside(directory, cwd) {
+  const relative = path.relative(directory, cwd);
+  return (
+    relative === "" ||
+    (!relative.startsWith("..") && !path.isAbsolute(relative))
+  );
+}
+
+// Project overrides are keyed by directory. The deepest directory that
+// contains `cwd` wins, and its settings replace the top-level ones.
+function readProject(projects, cwd, context, errors) {
+  if (projects === undefined) return { project: null, settings: {} };
+  if (!isPlainObject(projects)) {
+    errors.push(`${context.configPath}: projects must be an object`);
+    return { project: null, settings: {} };
+  }
+  let match = null;
+  for (const [key, value] of Object.entries(projects)) {
+    const label = `projects["${key}"]`;
+    if (!isPlainObject(value)) {
+      errors.push(`${context.configPath}: ${label} must be an object`);
+      continue;
+    }
+    const directory = path.resolve(context.configDir, expandHome(key));
+    const settings = readSettings(value, `${label}.`, context, errors);
+    if ("projects" in value) {
+      errors.push(`${context.configPath}: ${label}.projects cannot be nested`);
+    }
+    if (
+      isInside(directory, cwd) &&
+      (!match || directory.length > match.directory.length)
+    ) {
+      match = { directory, settings };
+    }
+  }
+  return match
+    ? { project: match.directory, settings: match.settings }
+    : { project: null, settings: {} };
+}
+
+// Never throws: problems are collected in `errors` and the affected
+// settings fall back to their defaults. Environment variables win over the
+// file so a one-off run can still point somewhere else.
+export async function loadConfig(options = {}) {
+  const {
+    configPath = DEFAULT_CONFIG_PATH,
+    cwd = process.cwd(),
+    env = process.env,
+  } = options;
+  const errors = [];
+  const context = { configPath, configDir: path.dirname(configPath) };
+  let data = {};
+  let found = true;
+  try {
+    const text = await fs.promises.readFile(configPath, "utf8");
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      errors.push(`${configPath}: invalid JSON (${error.message})`);
+    }
+  } catch (error) {
+    found = false;
+    if (error?.code !== "ENOENT") {
+      errors.push(`${configPath}: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(data)) {
+    errors.push(`${configPath}: must be a JSON object`);
+    data = {};
+  }
+
+  const base = readSettings(data, "", context, errors);
+  const { project, settings } = readProject(
+    data.projects,
+    path.resolve(cwd),
+    context,
+    errors,
+  );
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...base,
+    ...settings,
+    path: found ? configPath : null,
+    project,
+    errors,
+  };
+  if (env.CODEX_SESSIONS_DIR) config.sessionsDirs = [env.CODEX_SESSIONS_DIR];
+  if (env.CODEX_TRANSCRIBER_AMBIGUOUS_WIDTH) {
+    config.ambiguousWidth = DEFAULT_CONFIG.ambiguousWidth;
+  }
+  for (const conflict of buildKeymap(config.keymap).conflicts) {
+    errors.push(`${configPath}: keymap ${conflict}`);
+  }
+  return config;
+}
+
+export function applyConfig(config) {
+  setAmbiguousWidth(config.ambiguousWidth);
+  setExtraExcludePrefixes(config.excludePrefixes);
+}
+
+export function exportPathOptions(config) {
+  return {
+    directory: config?.exportDir || process.cwd(),
+    pattern: config?.exportFileName,
+  };
+}
@@ -0,0 +1,130 @@
+// Session details gathered from the rollout lines the conversation parser
+// skips: session_meta, turn_context and token_count events, plus the first
+// and last timestamps.
+
+function emptyTokens() {
+  return {
+    input: 0,
+    cachedInput: 0,
+    output: 0,
+    reasoningOutput: 0,
+    total: 0,
+  };
+}
+
+function readTokenUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  const value = (key) => (Number.isFinite(usage[key]) ? usage[key] : 0);
+  const tokens = {
+    input: value("input_tokens"),
+    cachedInput: value("cached_input_tokens"),
+    output: value("output_tokens"),
+    reasoningOutput: value("reasoning_output_tokens"),
+    total: value("total_tokens"),
+  };
+  if (!tokens.total) tokens.total = tokens.input + tokens.output;
+  return tokens;
+}
+
+export function addTokens(target, tokens) {
+  if (!tokens) return target;
+  for (const key of Object.keys(target)) target[key] += tokens[key] || 0;
+  return target;
+}
+
+function timestampMs(value) {
+  const ms = value ? Date.parse(value) : Number.NaN;
+  return Number.isNaN(ms) ? null : ms;
+}
+
+export function createDetailsCollector() {
+  const details = {
+    cliVersion: null,
+    originator: null,
+    modelProvider: null,
+    models: [],
+    cwd: null,
+    startMs: null,
+    endMs: null,
+  };
+  // Newer rollouts report running totals in `info.total_token_usage`; older
+  // ones report each turn's usage on the payload itself.
+  let totalUsage = null;
+  const turnUsage = emptyTokens();
+  let hasTurnUsage = false;
+
+  const push = (parsed) => {
+    const ms = timestampMs(parsed?.timestamp);
+    if (ms !== null) {
+      details.startMs = Math.min(details.startMs ?? ms, ms);
+      details.endMs = Math.max(details.endMs ?? ms, ms);
+    }
+    const payload = parsed?.payload || {};
+    if (parsed?.type === "session_meta") {
+      details.cliVersion = payload.cli_version || details.cliVersion;
+      details.originator = payload.originator || details.originator;
+      details.modelProvider = payload.model_provider || details.modelProvider;
+      details.cwd = payload.cwd || details.cwd;
+      if (payload.model && !details.models.includes(payload.model)) {
+        details.models.push(payload.model);
+      }
+    }
+    if (parsed?.type === "turn_context") {
+      if (payload.model && !details.models.includes(payload.model)) {
+        details.models.push(payload.model);
+      }
+      if (payload.cwd) details.cwd = payload.cwd;
+    }
+    if (parsed?.type === "event_msg" && payload.type === "token_count") {
+      if (payload.info?.total_token_usage) {
+        totalUsage = readTokenUsage(payload.info.total_token_usage);
+      } else if (Number.isFinite(payload.input_tokens)) {
+        addTokens(turnUsage, readTokenUsage(payload));
+        hasTurnUsage = true;
+      }
+    }
+  };
+
+  const summary = (entries = []) => {
+    const turns = { user: 0, assistant: 0, reasoning: 0 };
+    const toolCounts = new Map();
+    for (const entry of entries) {
+      if (entry.role === "tool") {
+        const name = entry.kind === "exec" ? "shell" : entry.name || "unknown";
+        toolCounts.set(name, (toolCounts.get(name) || 0) + 1);
+      } else if (entry.role in turns) {
+        turns[entry.role] += 1;
+      }
+    }
+    const tools = [...toolCounts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([name, count]) => ({ name, count }));
+    return {
+      ...details,
+      models: [...details.models],
+      durationMs:
+        details.startMs === null ? null : details.endMs - details.startMs,
+      turns,
+      tools,
+      toolCalls: tools.reduce((sum, { count }) => sum + count, 0),
+      tokens: totalUsage || (hasTurnUsage ? { ...turnUsage } : null),
+    };
+  };
+
+  return { push, summary };
+}
+
+export function formatElapsed(durationMs) {
+  if (!Number.isFinite(durationMs)) return "";
+  const seconds = Math.round(durationMs / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+  if (hours) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  if (minutes) return `${minutes}m ${String(rest).padStart(2, "0")}s`;
+  return `${rest}s`;
+}
+
+export function formatTokenCount(count) {
+  return Number(count || 0).toLocaleString("en-US");
+}
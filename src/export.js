@@ -0,0 +1,156 @@
+import fs from "node:fs";
+import path from "node:path";
+import { buildHtml } from "./html.js";
+import { buildJson, buildJsonl } from "./json.js";
+import {
+  addRedactionCounts,
+  redactConversation,
+  redactText,
+} from "./redact.js";
+import {
+  buildMarkdown,
+  exportFileName,
+  extractConversation,
+  parseRepoName,
+} from "./sessions.js";
+
+export const EXPORT_FORMATS = {
+  markdown: { label: "Markdown", extension: ".md" },
+  html: { label: "HTML", extension: ".html" },
+  json: { label: "JSON", extension: ".json" },
+  jsonl: { label: "JSONL", extension: ".jsonl" },
+};
+
+export const EXPORT_FORMAT_NAMES = Object.keys(EXPORT_FORMATS);
+
+export const EXPORT_INDEX_FILE = "index.md";
+
+export function nextExportFormat(format) {
+  const index = EXPORT_FORMAT_NAMES.indexOf(format);
+  return EXPORT_FORMAT_NAMES[(index + 1) % EXPORT_FORMAT_NAMES.length];
+}
+
+export function replaceExportExtension(filePath, format) {
+  const extension = EXPORT_FORMATS[format]?.extension || "";
+  for (const { extension: known } of Object.values(EXPORT_FORMATS)) {
+    if (filePath.endsWith(known)) {
+      return `${filePath.slice(0, -known.length)}${extension}`;
+    }
+  }
+  return filePath;
+}
+
+export function renderExport(format, entries, session, options = {}) {
+  if (format === "html") return buildHtml(entries, session, options);
+  if (format === "json") return buildJson(entries, session, options);
+  if (format === "jsonl") return buildJsonl(entries, session, options);
+  return buildMarkdown(entries, { ...options, session });
+}
+
+function escapeLinkText(text) {
+  return String(text || "").replace(/([[\]\\])/gu, "\\$1");
+}
+
+// Failed sessions were never redacted, so their paths and errors (which
+// usually repeat the path) are masked here.
+function buildExportIndex(exported, failed, redactor) {
+  const lines = ["# Codex sessions", ""];
+  for (const { session, fileName } of exported) {
+    const repo = parseRepoName(
+      session.git?.repository_url || session.git?.repositoryUrl || "",
+    );
+    const details = [repo, session.git?.branch].filter(Boolean).join(" / ");
+    const link = `[${escapeLinkText(session.label || fileName)}](${encodeURI(fileName)})`;
+    lines.push(`- ${link}${details ? ` - ${details}` : ""}`);
+  }
+  if (failed.length) {
+    lines.push("", "## Failed", "");
+    for (const { session, error } of failed) {
+      const { text } = redactText(
+        `${session.label || session.path}: ${error}`,
+        redactor,
+      );
+      lines.push(`- ${text}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// File name patterns such as `{repo}` can repeat across sessions, so later
+// files get a numeric suffix instead of overwriting earlier ones.
+function uniqueFileName(fileName, extension, usedNames) {
+  const base = fileName.slice(0, fileName.length - extension.length);
+  let candidate = fileName;
+  for (let index = 2; usedNames.has(candidate); index += 1) {
+    candidate = `${base}-${index}${extension}`;
+  }
+  usedNames.add(candidate);
+  return candidate;
+}
+
+export async function exportSessions(sessions, directory, options = {}) {
+  const {
+    format = "markdown",
+    signal,
+    onProgress,
+    redactor,
+    fileNamePattern,
+    ...renderOptions
+  } = options;
+  const { extension } = EXPORT_FORMATS[format];
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const exported = [];
+  const failed = [];
+  const redactions = {};
+  const usedNames = new Set([EXPORT_INDEX_FILE]);
+  for (const [index, session] of sessions.entries()) {
+    if (signal?.aborted) break;
+    onProgress?.({ done: index, total: sessions.length, session });
+    const fileName = uniqueFileName(
+      exportFileName(session, extension, fileNamePattern),
+      extension,
+      usedNames,
+    );
+    try {
+      const redacted = redactConversation(
+        await extractConversation(session.path),
+        session,
+        redactor,
+      );
+      const content = renderExport(
+        format,
+        redacted.entries,
+        redacted.session,
+        renderOptions,
+      );
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        content,
+        "utf8",
+      );
+      addRedactionCounts(redactions, redacted.counts);
+      exported.push({
+        session: redacted.session,
+        fileName,
+        redactions: redacted.counts,
+      });
+    } catch (error) {
+      failed.push({ session, error: error?.message || String(error) });
+    }
+  }
+
+  const indexPath = path.join(directory, EXPORT_INDEX_FILE);
+  await fs.promises.writeFile(
+    indexPath,
+    buildExportIndex(exported, failed, redactor),
+    "utf8",
+  );
+  return {
+    exported,
+    failed,
+    indexPath,
+    redactions,
+    cancelled: Boolean(signal?.aborted),
+  };
+}
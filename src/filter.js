@@ -0,0 +1,239 @@
+import { parseRepoName } from "./sessions.js";
+
+export const FILTER_FACETS = [
+  "repo",
+  "branch",
+  "cwd",
+  "since",
+  "until",
+  "date",
+  "tag",
+  "is",
+];
+
+// Values of the `is:` facet.
+const FILTER_STATES = ["starred"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfLocalDay(year, month, day) {
+  return new Date(year, month - 1, day).getTime();
+}
+
+function parseDay(value, now = Date.now()) {
+  const relative = value.match(/^(\d+)([dw])$/u);
+  if (relative) {
+    const days = Number(relative[1]) * (relative[2] === "w" ? 7 : 1);
+    const today = new Date(now);
+    return startOfLocalDay(
+      today.getFullYear(),
+      today.getMonth() + 1,
+      today.getDate() - days,
+    );
+  }
+  if (value === "today") return parseDay("0d", now);
+  if (value === "yesterday") return parseDay("1d", now);
+  const match = value.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/u);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = match[3] ? Number(match[3]) : 1;
+  // Date rolls impossible days over (2026-02-31 becomes March 3), so the
+  // parts have to come back out unchanged.
+  const date = new Date(year, month - 1, day);
+  if (
+    date.getFullYear() !== year ||
+    date.getMonth() !== month - 1 ||
+    date.getDate() !== day
+  ) {
+    return null;
+  }
+  return date.getTime();
+}
+
+function parseDayEnd(value, now) {
+  const start = parseDay(value, now);
+  if (start === null) return null;
+  const month = value.match(/^(\d{4})-(\d{1,2})$/u);
+  if (month) {
+    return startOfLocalDay(Number(month[1]), Number(month[2]) + 1, 1) - 1;
+  }
+  return start + DAY_MS - 1;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /(\S+?:)?"([^"]*)"?|\S+/gu;
+  for (const match of text.matchAll(pattern)) {
+    tokens.push(
+      match[2] !== undefined ? `${match[1] || ""}${match[2]}` : match[0],
+    );
+  }
+  return tokens;
+}
+
+export function parseSessionFilter(text, now = Date.now()) {
+  const filter = {
+    source: (text || "").trim(),
+    repo: [],
+    branch: [],
+    cwd: [],
+    tag: [],
+    starred: false,
+    since: null,
+    until: null,
+    words: [],
+    errors: [],
+  };
+
+  for (const token of tokenize(filter.source)) {
+    const separator = token.indexOf(":");
+    const facet = separator > 0 ? token.slice(0, separator).toLowerCase() : "";
+    const value = separator > 0 ? token.slice(separator + 1) : token;
+    if (!FILTER_FACETS.includes(facet)) {
+      filter.words.push(token.toLowerCase());
+      continue;
+    }
+    if (!value) {
+      filter.errors.push(`${facet}: needs a value`);
+      continue;
+    }
+    if (
+      facet === "repo" ||
+      facet === "branch" ||
+      facet === "cwd" ||
+      facet === "tag"
+    ) {
+      filter[facet].push(value.toLowerCase());
+      continue;
+    }
+    if (facet === "is") {
+      if (!FILTER_STATES.includes(value.toLowerCase())) {
+        filter.errors.push(`is: expected ${FILTER_STATES.join(", ")}`);
+        continue;
+      }
+      filter.starred = true;
+      continue;
+    }
+    const [from, to] =
+      facet === "date" && value.includes("..")
+        ? value.split("..")
+        : [value, value];
+    if (facet !== "until" && from) {
+      const since = parseDay(from, now);
+      if (since === null) {
+        filter.errors.push(`${facet}: invalid date ${from}`);
+        continue;
+      }
+      filter.since = since;
+    }
+    if (facet !== "since" && to) {
+      const until = parseDayEnd(to, now);
+      if (until === null) {
+        filter.errors.push(`${facet}: invalid date ${to}`);
+        continue;
+      }
+      filter.until = until;
+    }
+  }
+
+  return filter;
+}
+
+export function isFilterActive(filter) {
+  return Boolean(
+    filter &&
+    (filter.repo.length ||
+      filter.branch.length ||
+      filter.cwd.length ||
+      filter.tag.length ||
+      filter.starred ||
+      filter.since !== null ||
+      filter.until !== null ||
+      filter.words.length),
+  );
+}
+
+function sessionRepository(session) {
+  return session.git?.repository_url || session.git?.repositoryUrl || "";
+}
+
+function sessionTimeMs(session) {
+  const started = session.startedAt ? Date.parse(session.startedAt) : NaN;
+  return Number.isNaN(started) ? session.sortKey || 0 : started;
+}
+
+function matchesAny(values, haystack) {
+  const target = haystack.toLowerCase();
+  return values.some((value) => target.includes(value));
+}
+
+export function matchesSessionFilter(session, filter) {
+  if (!isFilterActive(filter)) return true;
+  if (filter.repo.length) {
+    const url = sessionRepository(session);
+    const repo = `${parseRepoName(url)} ${url}`;
+    if (!matchesAny(filter.repo, repo)) return false;
+  }
+  if (
+    filter.branch.length &&
+    !matchesAny(filter.branch, session.git?.branch || "")
+  ) {
+    return false;
+  }
+  if (filter.cwd.length && !matchesAny(filter.cwd, session.cwd || "")) {
+    return false;
+  }
+  if (filter.starred && !session.starred) return false;
+  // Every tag given must be on the session, compared whole.
+  if (filter.tag.length) {
+    const tags = (session.tags || []).map((tag) => tag.toLowerCase());
+    if (!filter.tag.every((tag) => tags.includes(tag))) return false;
+  }
+  if (filter.since !== null || filter.until !== null) {
+    const time = sessionTimeMs(session);
+    if (filter.since !== null && time < filter.since) return false;
+    if (filter.until !== null && time > filter.until) return false;
+  }
+  if (filter.words.length) {
+    const text = [
+      session.name,
+      session.title,
+      ...(session.tags || []),
+      session.note,
+      session.label,
+      session.id,
+      parseRepoName(sessionRepository(session)),
+      session.git?.branch,
+      session.cwd,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    if (!filter.words.every((word) => text.includes(word))) return false;
+  }
+  return true;
+}
+
+export function filterSessions(sessions, filter) {
+  if (!isFilterActive(filter)) return sessions;
+  return sessions.filter((session) => matchesSessionFilter(session, filter));
+}
+
+export function facetValues(sessions, facet) {
+  const counts = new Map();
+  for (const session of sessions) {
+    let values = [];
+    if (facet === "repo") values = [parseRepoName(sessionRepository(session))];
+    if (facet === "branch") values = [session.git?.branch];
+    if (facet === "cwd") values = [session.cwd];
+    if (facet === "tag") values = session.tags || [];
+    for (const value of values) {
+      if (!value) continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ value, count }));
+}
@@ -0,0 +1,227 @@
+const C_LIKE_COMMENTS = { line: ["//"], block: [["/*", "*/"]] };
+const HASH_COMMENTS = { line: ["#"], block: [] };
+
+function words(text) {
+  return text.split(/\s+/u).filter(Boolean);
+}
+
+const LANGUAGES = {
+  javascript: {
+    ...C_LIKE_COMMENTS,
+    strings: ["'", '"', "`"],
+    keywords: words(`
+      as async await break case catch class const continue debugger default
+      delete do else enum export extends finally for from function if
+      implements import in instanceof interface let new of private protected
+      public readonly return static super switch this throw try type typeof
+      var void while with yield
+    `),
+    literals: words("true false null undefined NaN Infinity"),
+  },
+  json: {
+    line: [],
+    block: [],
+    strings: ['"'],
+    keywords: [],
+    literals: words("true false null"),
+  },
+  python: {
+    ...HASH_COMMENTS,
+    strings: ["'", '"'],
+    keywords: words(`
+      and as assert async await break class continue def del elif else
+      except finally for from global if import in is lambda nonlocal not or
+      pass raise return try while with yield
+    `),
+    literals: words("True False None"),
+  },
+  shell: {
+    ...HASH_COMMENTS,
+    strings: ["'", '"'],
+    keywords: words(`
+      case do done elif else esac export fi for function if in local return
+      then until while
+    `),
+    literals: words("true false"),
+  },
+  go: {
+    ...C_LIKE_COMMENTS,
+    strings: ['"', "'", "`"],
+    keywords: words(`
+      break case chan const continue default defer else fallthrough for func
+      go goto if import interface map package range return select struct
+      switch type var
+    `),
+    literals: words("true false nil iota"),
+  },
+  rust: {
+    ...C_LIKE_COMMENTS,
+    strings: ['"'],
+    keywords: words(`
+      as async await break const continue crate dyn else enum extern fn for
+      if impl in let loop match mod move mut pub ref return self Self static
+      struct super trait type unsafe use where while
+    `),
+    literals: words("true false None Some Ok Err"),
+  },
+  c: {
+    ...C_LIKE_COMMENTS,
+    strings: ['"', "'"],
+    keywords: words(`
+      abstract auto break case catch char class const continue default do
+      double else enum extends extern final float for if implements import
+      int interface long namespace new package private protected public
+      return short signed sizeof static struct switch template this throw
+      throws try typedef union unsigned using var void volatile while
+    `),
+    literals: words("true false null NULL nullptr"),
+  },
+  yaml: {
+    ...HASH_COMMENTS,
+    strings: ["'", '"'],
+    keywords: [],
+    literals: words("true false null yes no"),
+  },
+};
+
+const ALIASES = {
+  js: "javascript",
+  jsx: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  ts: "javascript",
+  tsx: "javascript",
+  typescript: "javascript",
+  jsonc: "json",
+  py: "python",
+  sh: "shell",
+  bash: "shell",
+  zsh: "shell",
+  console: "shell",
+  golang: "go",
+  rs: "rust",
+  cpp: "c",
+  "c++": "c",
+  h: "c",
+  java: "c",
+  kotlin: "c",
+  cs: "c",
+  csharp: "c",
+  yml: "yaml",
+  toml: "yaml",
+};
+
+export function resolveLanguage(lang) {
+  const name = (lang || "").toLowerCase();
+  if (name === "diff" || name === "patch") return "diff";
+  if (LANGUAGES[name]) return name;
+  return ALIASES[name] || null;
+}
+
+function tokenizeDiffLine(line) {
+  if (line.startsWith("+++") || line.startsWith("---")) {
+    return [{ type: "meta", text: line }];
+  }
+  if (line.startsWith("@@")) return [{ type: "meta", text: line }];
+  if (line.startsWith("+")) return [{ type: "addition", text: line }];
+  if (line.startsWith("-")) return [{ type: "deletion", text: line }];
+  return [{ type: "plain", text: line }];
+}
+
+function pushToken(tokens, type, text) {
+  if (!text) return;
+  const last = tokens[tokens.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+    return;
+  }
+  tokens.push({ type, text });
+}
+
+export function tokenizeCode(code, lang) {
+  const name = resolveLanguage(lang);
+  if (!name) return [{ type: "plain", text: code }];
+  if (name === "diff") {
+    const tokens = [];
+    code.split("\n").forEach((line, index) => {
+      if (index > 0) pushToken(tokens, "plain", "\n");
+      tokens.push(...tokenizeDiffLine(line));
+    });
+    return tokens;
+  }
+
+  const language = LANGUAGES[name];
+  const keywords = new Set(language.keywords);
+  const literals = new Set(language.literals);
+  const tokens = [];
+  let index = 0;
+
+  while (index < code.length) {
+    const rest = code.slice(index);
+
+    const lineComment = language.line.find((marker) => rest.startsWith(marker));
+    if (lineComment) {
+      const end = code.indexOf("\n", index);
+      const stop = end === -1 ? code.length : end;
+      pushToken(tokens, "comment", code.slice(index, stop));
+      index = stop;
+      continue;
+    }
+
+    const blockComment = language.block.find(([open]) => rest.startsWith(open));
+    if (blockComment) {
+      const end = code.indexOf(blockComment[1], index + blockComment[0].length);
+      const stop = end === -1 ? code.length : end + blockComment[1].length;
+      pushToken(tokens, "comment", code.slice(index, stop));
+      index = stop;
+      continue;
+    }
+
+    const quote = language.strings.find((marker) => rest.startsWith(marker));
+    if (quote) {
+      let end = index + 1;
+      while (end < code.length) {
+        if (code[end] === "\\") {
+          end += 2;
+          continue;
+        }
+        if (code[end] === quote) {
+          end += 1;
+          break;
+        }
+        if (code[end] === "\n" && quote !== "`") break;
+        end += 1;
+      }
+      pushToken(tokens, "string", code.slice(index, end));
+      index = end;
+      continue;
+    }
+
+    const number = rest.match(/^(0x[\da-f]+|\d[\d_]*(\.\d+)?(e[+-]?\d+)?)\b/iu);
+    if (number && !/[\w$]/u.test(code[index - 1] || "")) {
+      pushToken(tokens, "number", number[0]);
+      index += number[0].length;
+      continue;
+    }
+
+    const word = rest.match(/^[A-Za-z_$][\w$]*/u);
+    if (word) {
+      const text = word[0];
+      const type = keywords.has(text)
+        ? "keyword"
+        : literals.has(text)
+          ? "literal"
+          : code[index + text.length] === "("
+            ? "function"
+            : "plain";
+      pushToken(tokens, type, text);
+      index += text.length;
+      continue;
+    }
+
+    pushToken(tokens, "plain", code[index]);
+    index += 1;
+  }
+
+  return tokens;
+}
@@ -0,0 +1,282 @@
+import { tokenizeCode } from "./highlight.js";
+import {
+  inlineToPlainText,
+  parseInline,
+  parseMarkdownBlocks,
+} from "./markdown.js";
+import {
+  filterEntries,
+  formatTimestamp,
+  parseRepoName,
+  roleLabel,
+} from "./sessions.js";
+
+const STYLE = `
+:root { color-scheme: light dark; --bg: #f6f7f9; --fg: #1f2328; --muted: #656d76;
+  --user: #dbeafe; --assistant: #ffffff; --border: #d0d7de; --code-bg: #f0f2f4;
+  --keyword: #cf222e; --string: #0a3069; --comment: #6e7781; --number: #0550ae;
+  --function: #8250df; --addition: #116329; --deletion: #82071e; }
+@media (prefers-color-scheme: dark) {
+  :root { --bg: #0d1117; --fg: #e6edf3; --muted: #8d96a0; --user: #1c2f4a;
+    --assistant: #161b22; --border: #30363d; --code-bg: #0b0f14;
+    --keyword: #ff7b72; --string: #a5d6ff; --comment: #8b949e; --number: #79c0ff;
+    --function: #d2a8ff; --addition: #7ee787; --deletion: #ffa198; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--fg);
+  font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", "Hiragino Sans", "Noto Sans JP", sans-serif; }
+main { max-width: 920px; margin: 0 auto; padding: 32px 16px 64px; }
+h1 { font-size: 22px; margin: 0 0 12px; }
+.meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px;
+  margin: 0 0 24px; padding: 12px 16px; border: 1px solid var(--border); border-radius: 8px; }
+.meta dt { color: var(--muted); }
+.meta dd { margin: 0; word-break: break-all; }
+nav.toc { margin: 0 0 32px; }
+nav.toc ol { padding-left: 24px; }
+nav.toc a { color: inherit; }
+.turn { scroll-margin-top: 16px; }
+.message { margin: 12px 0; display: flex; flex-direction: column; }
+.message.user { align-items: flex-end; }
+.bubble { max-width: 85%; padding: 10px 14px; border: 1px solid var(--border);
+  border-radius: 14px; overflow-wrap: anywhere; }
+.user .bubble { background: var(--user); border-bottom-right-radius: 4px; }
+.assistant .bubble { background: var(--assistant); border-bottom-left-radius: 4px; }
+.who { font-size: 12px; color: var(--muted); margin: 0 6px 2px; }
+.bubble > :first-child { margin-top: 0; }
+.bubble > :last-child { margin-bottom: 0; }
+code { font: 13px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+  background: var(--code-bg); padding: 1px 4px; border-radius: 4px; }
+pre { background: var(--code-bg); padding: 10px 12px; border-radius: 6px; overflow-x: auto; }
+pre code { padding: 0; background: none; white-space: pre; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid var(--border); padding: 4px 8px; }
+blockquote { margin: 0; padding-left: 12px; border-left: 3px solid var(--border); color: var(--muted); }
+details { margin: 8px 0; padding: 6px 12px; border: 1px dashed var(--border); border-radius: 8px;
+  color: var(--muted); font-size: 14px; }
+details summary { cursor: pointer; }
+.tok-keyword { color: var(--keyword); }
+.tok-string { color: var(--string); }
+.tok-comment { color: var(--comment); font-style: italic; }
+.tok-number, .tok-literal { color: var(--number); }
+.tok-function { color: var(--function); }
+.tok-addition { color: var(--addition); }
+.tok-deletion { color: var(--deletion); }
+.tok-meta { color: var(--muted); }
+`;
+
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/gu, "&amp;")
+    .replace(/</gu, "&lt;")
+    .replace(/>/gu, "&gt;")
+    .replace(/"/gu, "&quot;")
+    .replace(/'/gu, "&#39;");
+}
+
+function safeHref(href) {
+  if (/^(https?:|mailto:|#)/iu.test(href)) return href;
+  return "#";
+}
+
+function renderInline(tokens) {
+  return tokens
+    .map((token) => {
+      if (token.type === "code")
+        return `<code>${escapeHtml(token.text)}</code>`;
+      if (token.type === "strong") {
+        return `<strong>${renderInline(token.children)}</strong>`;
+      }
+      if (token.type === "em")
+        return `<em>${renderInline(token.children)}</em>`;
+      if (token.type === "link") {
+        return `<a href="${escapeHtml(safeHref(token.href))}">${renderInline(
+          token.children,
+        )}</a>`;
+      }
+      return escapeHtml(token.text).replace(/\n/gu, "<br>");
+    })
+    .join("");
+}
+
+function renderCode(code, lang) {
+  const body = tokenizeCode(code, lang)
+    .map((token) =>
+      token.type === "plain"
+        ? escapeHtml(token.text)
+        : `<span class="tok-${token.type}">${escapeHtml(token.text)}</span>`,
+    )
+    .join("");
+  const langClass = lang ? ` class="language-${escapeHtml(lang)}"` : "";
+  return `<pre><code${langClass}>${body}</code></pre>`;
+}
+
+function renderList(items) {
+  let html = "";
+  const stack = [];
+  for (const item of items) {
+    while (stack.length > item.depth + 1) {
+      html += `</li></${stack.pop()}>`;
+    }
+    if (stack.length === item.depth + 1) {
+      html += "</li>";
+    } else {
+      while (stack.length < item.depth + 1) {
+        const tag = item.ordered ? "ol" : "ul";
+        const start =
+          item.ordered && item.number !== 1 ? ` start="${item.number}"` : "";
+        html += `<${tag}${start}>`;
+        stack.push(tag);
+      }
+    }
+    html += `<li>${renderInline(parseInline(item.text))}`;
+  }
+  while (stack.length) html += `</li></${stack.pop()}>`;
+  return html;
+}
+
+function renderTable(block) {
+  const cell = (tag, text, index) => {
+    const align = block.align[index];
+    const style = align ? ` style="text-align:${align}"` : "";
+    return `<${tag}${style}>${renderInline(parseInline(text))}</${tag}>`;
+  };
+  const head = block.header
+    .map((text, index) => cell("th", text, index))
+    .join("");
+  const rows = block.rows
+    .map(
+      (row) =>
+        `<tr>${block.header.map((_, index) => cell("td", row[index] || "", index)).join("")}</tr>`,
+    )
+    .join("");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderBlocks(blocks) {
+  return blocks
+    .map((block) => {
+      if (block.type === "code") return renderCode(block.text, block.lang);
+      if (block.type === "heading") {
+        const level = Math.min(6, block.level + 2);
+        return `<h${level}>${renderInline(parseInline(block.text))}</h${level}>`;
+      }
+      if (block.type === "rule") return "<hr>";
+      if (block.type === "table") return renderTable(block);
+      if (block.type === "list") return renderList(block.items);
+      if (block.type === "quote") {
+        return `<blockquote>${renderBlocks(block.blocks)}</blockquote>`;
+      }
+      return `<p>${renderInline(parseInline(block.text))}</p>`;
+    })
+    .join("\n");
+}
+
+export function renderMarkdownHtml(text) {
+  return renderBlocks(parseMarkdownBlocks(text));
+}
+
+function renderToolEntry(entry) {
+  const parts = [
+    `<summary>${renderInline(parseInline(entry.text || ""))}</summary>`,
+  ];
+  if (entry.cwd)
+    parts.push(`<div>cwd: <code>${escapeHtml(entry.cwd)}</code></div>`);
+  if (entry.input) parts.push(renderCode(entry.input.replace(/\n$/u, ""), ""));
+  if (entry.output)
+    parts.push(renderCode(entry.output.replace(/\n$/u, ""), ""));
+  return `<details class="tool">${parts.join("")}</details>`;
+}
+
+function renderReasoningEntry(entry) {
+  return `<details class="reasoning"><summary>Reasoning</summary>${renderMarkdownHtml(
+    entry.text,
+  )}</details>`;
+}
+
+function renderMessageEntry(entry) {
+  const time = formatTimestamp(entry.timestamp);
+  const who = `${roleLabel(entry.role)}${time ? ` · ${time}` : ""}`;
+  return `<div class="message ${entry.role}"><div class="who">${escapeHtml(
+    who,
+  )}</div><div class="bubble">${renderMarkdownHtml(entry.text)}</div></div>`;
+}
+
+function turnTitle(entry) {
+  const firstLine =
+    inlineToPlainText(parseInline(entry.text || ""))
+      .split("\n")
+      .find((line) => line.trim()) || "";
+  return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+}
+
+function buildMetaRows(session, entries) {
+  const git = session?.git || {};
+  const repositoryUrl = git.repository_url || git.repositoryUrl || "";
+  const timestamps = entries.map((entry) => entry.timestamp).filter(Boolean);
+  const started = session?.startedAt || timestamps[0];
+  const ended = timestamps[timestamps.length - 1];
+  return [
+    [
+      "Repository",
+      repositoryUrl ? `${parseRepoName(repositoryUrl)} (${repositoryUrl})` : "",
+    ],
+    ["Branch", git.branch],
+    ["Session ID", session?.id],
+    ["Working directory", session?.cwd],
+    ["Started", formatTimestamp(started)],
+    ["Ended", formatTimestamp(ended)],
+  ].filter(([, value]) => value);
+}
+
+export function buildHtml(entries, session, options = {}) {
+  const visible = filterEntries(entries, options);
+  const title = `Codex session ${session?.label || session?.id || ""}`.trim();
+
+  const toc = [];
+  const body = [];
+  let turn = 0;
+  for (const entry of visible) {
+    if (entry.role === "user") {
+      if (turn > 0) body.push("</section>");
+      turn += 1;
+      toc.push(
+        `<li><a href="#turn-${turn}">${escapeHtml(turnTitle(entry) || `Turn ${turn}`)}</a></li>`,
+      );
+      body.push(`<section class="turn" id="turn-${turn}">`);
+    }
+    if (entry.role === "tool") {
+      body.push(renderToolEntry(entry));
+    } else if (entry.role === "reasoning") {
+      body.push(renderReasoningEntry(entry));
+    } else {
+      body.push(renderMessageEntry(entry));
+    }
+  }
+  if (turn > 0) body.push("</section>");
+
+  const meta = buildMetaRows(session, entries)
+    .map(
+      ([label, value]) =>
+        `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`,
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${meta ? `<dl class="meta">${meta}</dl>` : ""}
+${toc.length ? `<nav class="toc"><h2>Turns</h2><ol>${toc.join("")}</ol></nav>` : ""}
+${body.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,91 @@
+import { filterEntries, parseRepoName } from "./sessions.js";
+
+export const JSON_SCHEMA_ID = "codex-transcriber/transcript";
+export const JSON_SCHEMA_VERSION = 1;
+
+function toIsoTimestamp(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString();
+}
+
+export function buildJsonSession(session, entries) {
+  const git = session?.git || {};
+  const repositoryUrl = git.repository_url || git.repositoryUrl || null;
+  const timestamps = entries.map((entry) => entry.timestamp).filter(Boolean);
+  return {
+    id: session?.id || null,
+    path: session?.path || null,
+    label: session?.label || null,
+    cwd: session?.cwd || null,
+    startedAt: toIsoTimestamp(session?.startedAt || timestamps[0]),
+    endedAt: toIsoTimestamp(timestamps[timestamps.length - 1]),
+    git: {
+      repositoryUrl,
+      repository: parseRepoName(repositoryUrl || "") || null,
+      branch: git.branch || null,
+      commit: git.commit_hash || git.commitHash || null,
+    },
+  };
+}
+
+export function buildJsonEntry(entry, index) {
+  const base = {
+    index,
+    type:
+      entry.role === "tool"
+        ? "tool_call"
+        : entry.role === "reasoning"
+          ? "reasoning"
+          : "message",
+    role: entry.role,
+    timestamp: toIsoTimestamp(entry.timestamp),
+    text: entry.text || "",
+  };
+  if (entry.role === "user" || entry.role === "assistant") {
+    return { ...base, images: entry.images || [] };
+  }
+  if (entry.role === "tool") {
+    return {
+      ...base,
+      kind: entry.kind,
+      name: entry.name,
+      callId: entry.callId,
+      command: entry.command,
+      cwd: entry.cwd,
+      input: entry.input,
+      output: entry.output,
+      exitCode: entry.exitCode,
+      durationMs: entry.durationMs,
+    };
+  }
+  return base;
+}
+
+export function buildJsonDocument(entries, session, options = {}) {
+  return {
+    schema: JSON_SCHEMA_ID,
+    schemaVersion: JSON_SCHEMA_VERSION,
+    session: buildJsonSession(session, entries),
+    entries: filterEntries(entries, options).map(buildJsonEntry),
+  };
+}
+
+export function buildJson(entries, session, options = {}) {
+  return `${JSON.stringify(buildJsonDocument(entries, session, options), null, 2)}\n`;
+}
+
+export function buildJsonl(entries, session, options = {}) {
+  const document = buildJsonDocument(entries, session, options);
+  const lines = [
+    {
+      type: "session",
+      schema: document.schema,
+      schemaVersion: document.schemaVersion,
+      ...document.session,
+    },
+    ...document.entries,
+  ];
+  return `${lines.map((line) => JSON.stringify(line)).join("\n")}\n`;
+}
@@ -0,0 +1,528 @@
+export const KEYMAP_SCOPES = [
+  "global",
+  "list",
+  "conversation",
+  "results",
+  "usage",
+  "commands",
+  "stored",
+];
+
+export const KEYMAP_SCOPE_LABELS = {
+  global: "Everywhere",
+  list: "Sessions pane",
+  conversation: "Conversation pane",
+  results: "Search results",
+  usage: "Usage report",
+  commands: "Command list",
+  stored: "Archive and trash",
+};
+
+const PANES = [
+  "list",
+  "conversation",
+  "results",
+  "usage",
+  "commands",
+  "stored",
+];
+
+// Every remappable action. Navigation actions are shared by all panes so a
+// single binding moves the list, the conversation and the search results.
+export const KEYMAP_ACTIONS = [
+  { id: "help", scopes: ["global"], description: "Show or hide this help" },
+  { id: "quit", scopes: ["global"], description: "Quit" },
+  { id: "focus-next", scopes: ["global"], description: "Switch pane focus" },
+  {
+    id: "focus-list",
+    scopes: ["global"],
+    description: "Focus the sessions pane",
+  },
+  {
+    id: "focus-conversation",
+    scopes: ["global"],
+    description: "Focus the conversation pane",
+  },
+  { id: "filter", scopes: ["global"], description: "Filter the session list" },
+  { id: "search", scopes: ["global"], description: "Search all sessions" },
+  {
+    id: "usage",
+    scopes: ["global"],
+    description: "Show token usage for the listed sessions",
+  },
+  {
+    id: "commands",
+    scopes: ["global"],
+    description: "List the shell commands the session ran",
+  },
+  {
+    id: "stored",
+    scopes: ["global"],
+    description: "Show archived and deleted sessions",
+  },
+  {
+    id: "export",
+    scopes: ["global"],
+    description:
+      "Export (selected sessions, the current one, or the command list)",
+  },
+  {
+    id: "toggle-view",
+    scopes: ["global"],
+    description: "Switch between Pretty and Markdown view",
+  },
+  {
+    id: "toggle-details",
+    scopes: ["global"],
+    description: "Show or hide session details",
+  },
+  {
+    id: "expand-tools",
+    scopes: ["global"],
+    description: "Expand or collapse tool call input and output",
+  },
+  {
+    id: "include-tools",
+    scopes: ["global"],
+    description: "Include tool calls in Markdown view and export",
+  },
+  {
+    id: "expand-reasoning",
+    scopes: ["global"],
+    description: "Expand or fold reasoning summaries",
+  },
+  {
+    id: "include-reasoning",
+    scopes: ["global"],
+    description: "Include reasoning in Markdown view and export",
+  },
+  {
+    id: "redact-preview",
+    scopes: ["global"],
+    description: "Preview redaction",
+  },
+  {
+    id: "toggle-live",
+    scopes: ["global"],
+    description: "Turn live updates on or off",
+  },
+  {
+    id: "widen-list",
+    scopes: ["global"],
+    description: "Widen the sessions pane (make it taller when stacked)",
+  },
+  {
+    id: "narrow-list",
+    scopes: ["global"],
+    description: "Narrow the sessions pane (make it shorter when stacked)",
+  },
+  {
+    id: "toggle-list",
+    scopes: ["global"],
+    description: "Hide or show the sessions pane",
+  },
+  {
+    id: "zoom",
+    scopes: ["global"],
+    description: "Show the conversation full screen",
+  },
+  {
+    id: "toggle-mouse",
+    scopes: ["global"],
+    description:
+      "Turn mouse support off or on (off lets the terminal select text)",
+  },
+  { id: "up", scopes: PANES, description: "Move up" },
+  { id: "down", scopes: PANES, description: "Move down" },
+  { id: "page-up", scopes: PANES, description: "Page up" },
+  { id: "page-down", scopes: PANES, description: "Page down" },
+  { id: "half-page-up", scopes: PANES, description: "Half page up" },
+  { id: "half-page-down", scopes: PANES, description: "Half page down" },
+  { id: "top", scopes: PANES, description: "Go to the top" },
+  { id: "bottom", scopes: PANES, description: "Go to the bottom" },
+  {
+    id: "resume",
+    scopes: ["list"],
+    description: "Resume the session in Codex",
+  },
+  {
+    id: "toggle-mark",
+    scopes: ["list"],
+    description: "Select or unselect the session",
+  },
+  {
+    id: "mark-range",
+    scopes: ["list"],
+    description: "Select from the last toggled session to the cursor",
+  },
+  {
+    id: "mark-all",
+    scopes: ["list"],
+    description: "Select every listed session",
+  },
+  { id: "clear-marks", scopes: ["list"], description: "Clear the selection" },
+  { id: "clear-filter", scopes: ["list"], description: "Clear the filter" },
+  {
+    id: "rename",
+    scopes: ["list"],
+    description: "Name the session (an empty name restores the title)",
+  },
+  {
+    id: "toggle-star",
+    scopes: ["list"],
+    description: "Star the session or remove its star",
+  },
+  {
+    id: "edit-tags",
+    scopes: ["list"],
+    description: "Edit the session's tags (comma-separated)",
+  },
+  {
+    id: "edit-note",
+    scopes: ["list"],
+    description: "Edit the session's note",
+  },
+  {
+    id: "archive",
+    scopes: ["list"],
+    description: "Archive the selected sessions (or the current one)",
+  },
+  {
+    id: "delete",
+    scopes: ["list"],
+    description: "Move the selected sessions (or the current one) to the trash",
+  },
+  {
+    id: "find-forward",
+    scopes: ["conversation"],
+    description: "Find forward in the conversation",
+  },
+  {
+    id: "find-backward",
+    scopes: ["conversation"],
+    description: "Find backward in the conversation",
+  },
+  { id: "find-next", scopes: ["conversation"], description: "Next match" },
+  {
+    id: "find-previous",
+    scopes: ["conversation"],
+    description: "Previous match",
+  },
+  {
+    id: "clear-find",
+    scopes: ["conversation"],
+    description: "Clear find highlights",
+  },
+  {
+    id: "copy",
+    scopes: ["conversation"],
+    description: "Copy the visible lines to the clipboard",
+  },
+  {
+    id: "open-result",
+    scopes: ["results"],
+    description: "Open the session at the hit",
+  },
+  {
+    id: "close-results",
+    scopes: ["results"],
+    description: "Stop the search or close the results",
+  },
+  {
+    id: "next-usage-group",
+    scopes: ["usage"],
+    description: "Group by the next column (day, week, repo, branch, model)",
+  },
+  {
+    id: "previous-usage-group",
+    scopes: ["usage"],
+    description: "Group by the previous column",
+  },
+  {
+    id: "close-usage",
+    scopes: ["usage"],
+    description: "Close the usage report",
+  },
+  {
+    id: "open-command",
+    scopes: ["commands"],
+    description: "Show the command in the conversation",
+  },
+  {
+    id: "close-commands",
+    scopes: ["commands"],
+    description: "Close the command list",
+  },
+  {
+    id: "restore-stored",
+    scopes: ["stored"],
+    description: "Put the session back in the sessions directory",
+  },
+  {
+    id: "purge-stored",
+    scopes: ["stored"],
+    description: "Delete the session in the trash for good",
+  },
+  {
+    id: "close-stored",
+    scopes: ["stored"],
+    description: "Close the archive and trash",
+  },
+];
+
+export const KEYMAP_ACTION_IDS = KEYMAP_ACTIONS.map(({ id }) => id);
+
+const DEFAULT_BINDINGS = {
+  help: ["?"],
+  quit: ["q"],
+  "focus-next": ["tab"],
+  "focus-list": ["1"],
+  "focus-conversation": ["2"],
+  filter: ["F"],
+  search: ["s"],
+  usage: ["u"],
+  commands: ["!"],
+  stored: ["T"],
+  export: ["e"],
+  "toggle-view": ["m"],
+  "toggle-details": ["i"],
+  "expand-tools": ["o"],
+  "include-tools": ["t"],
+  "expand-reasoning": ["r"],
+  "include-reasoning": ["R"],
+  "redact-preview": ["x"],
+  "toggle-live": ["w"],
+  "widen-list": [">"],
+  "narrow-list": ["<"],
+  "toggle-list": ["\\"],
+  zoom: ["z"],
+  "toggle-mouse": ["M"],
+  up: ["k", "up"],
+  down: ["j", "down"],
+  "page-up": ["b", "pageup"],
+  "page-down": ["f", "pagedown"],
+  "half-page-up": ["ctrl+u"],
+  "half-page-down": ["ctrl+d"],
+  top: ["g", "home"],
+  bottom: ["G", "end"],
+  resume: ["c"],
+  "toggle-mark": ["space"],
+  "mark-range": ["V"],
+  "mark-all": ["a"],
+  "clear-marks": ["A"],
+  "clear-filter": ["esc"],
+  rename: ["n"],
+  "toggle-star": ["*"],
+  "edit-tags": ["#"],
+  "edit-note": ["N"],
+  archive: ["X"],
+  delete: ["D"],
+  "find-forward": ["/"],
+  "find-backward": ["ctrl+r"],
+  "find-next": ["n"],
+  "find-previous": ["N"],
+  "clear-find": ["esc"],
+  copy: ["c"],
+  "open-result": ["enter"],
+  "close-results": ["esc"],
+  "next-usage-group": ["l", "right"],
+  "previous-usage-group": ["h", "left"],
+  "close-usage": ["esc"],
+  "open-command": ["enter"],
+  "close-commands": ["esc"],
+  "restore-stored": ["enter"],
+  "purge-stored": ["D"],
+  "close-stored": ["esc"],
+};
+
+export const KEYMAP_PRESETS = {
+  default: DEFAULT_BINDINGS,
+  vim: {
+    ...DEFAULT_BINDINGS,
+    help: ["H"],
+    up: ["k", "up", "ctrl+y", "ctrl+p"],
+    down: ["j", "down", "ctrl+e", "ctrl+n"],
+    "page-up": ["b", "pageup", "ctrl+b"],
+    "page-down": ["f", "pagedown", "ctrl+f"],
+    "find-backward": ["?"],
+    copy: ["c", "y"],
+  },
+  emacs: {
+    ...DEFAULT_BINDINGS,
+    up: ["up", "ctrl+p"],
+    down: ["down", "ctrl+n"],
+    "page-up": ["pageup", "alt+v"],
+    "page-down": ["pagedown", "ctrl+v"],
+    "half-page-up": ["alt+u"],
+    "half-page-down": ["alt+d"],
+    top: ["home", "alt+<"],
+    bottom: ["end", "alt+>"],
+    "find-forward": ["ctrl+s"],
+    "find-backward": ["ctrl+r"],
+    "clear-filter": ["esc", "ctrl+g"],
+    "clear-find": ["esc", "ctrl+g"],
+    "close-results": ["esc", "ctrl+g"],
+    "next-usage-group": ["right", "ctrl+f"],
+    "previous-usage-group": ["left", "ctrl+b"],
+    "close-usage": ["esc", "ctrl+g"],
+    "close-commands": ["esc", "ctrl+g"],
+    "close-stored": ["esc", "ctrl+g"],
+    copy: ["alt+w"],
+  },
+};
+
+export const KEYMAP_PRESET_NAMES = Object.keys(KEYMAP_PRESETS);
+
+export const DEFAULT_KEYMAP = { preset: "default", bindings: {} };
+
+const NAMED_KEYS = [
+  "up",
+  "down",
+  "left",
+  "right",
+  "pageup",
+  "pagedown",
+  "home",
+  "end",
+  "enter",
+  "esc",
+  "tab",
+  "shift+tab",
+  "space",
+  "backspace",
+  "delete",
+];
+
+const KEY_LABELS = {
+  up: "Up",
+  down: "Down",
+  left: "Left",
+  right: "Right",
+  pageup: "PgUp",
+  pagedown: "PgDn",
+  home: "Home",
+  end: "End",
+  enter: "Enter",
+  esc: "Esc",
+  tab: "Tab",
+  "shift+tab": "Shift+Tab",
+  space: "Space",
+  backspace: "Backspace",
+  delete: "Delete",
+};
+
+export function isValidKeySpec(spec) {
+  if (typeof spec !== "string") return false;
+  if (NAMED_KEYS.includes(spec)) return true;
+  if (/^ctrl\+[a-z]$/u.test(spec)) return true;
+  if (/^alt\+\S$/u.test(spec)) return true;
+  return [...spec].length === 1 && /^\S$/u.test(spec);
+}
+
+// Maps Ink's `(input, key)` pair to the names used in keymaps.
+export function keyName(input, key) {
+  if (key.escape) return "esc";
+  if (key.return) return "enter";
+  if (key.tab) return key.shift ? "shift+tab" : "tab";
+  if (key.upArrow) return "up";
+  if (key.downArrow) return "down";
+  if (key.leftArrow) return "left";
+  if (key.rightArrow) return "right";
+  if (key.pageUp) return "pageup";
+  if (key.pageDown) return "pagedown";
+  if (key.home) return "home";
+  if (key.end) return "end";
+  if (key.backspace) return "backspace";
+  if (key.delete) return "delete";
+  if (!input) return "";
+  if (key.ctrl) return `ctrl+${input.toLowerCase()}`;
+  if (key.meta) return `alt+${input}`;
+  if (input === " ") return "space";
+  return input;
+}
+
+export function formatKey(spec) {
+  if (KEY_LABELS[spec]) return KEY_LABELS[spec];
+  const modifier = spec.match(/^(ctrl|alt)\+(.)$/u);
+  if (modifier) {
+    return `${modifier[1] === "ctrl" ? "Ctrl" : "Alt"}+${modifier[2]}`;
+  }
+  return spec;
+}
+
+function toKeyList(keys) {
+  return typeof keys === "string" ? [keys] : keys;
+}
+
+// Builds the lookup tables for a preset plus user overrides. A key that
+// would trigger two actions in the same pane (including global actions) is
+// reported in `conflicts`. Within one table the action listed first keeps
+// the key, and `resolveAction` lets a pane binding win over a global one.
+export function buildKeymap(options = {}) {
+  const { preset = "default", bindings: overrides = {} } = options;
+  const bindings = {
+    ...(KEYMAP_PRESETS[preset] || DEFAULT_BINDINGS),
+  };
+  for (const [id, keys] of Object.entries(overrides)) {
+    if (KEYMAP_ACTION_IDS.includes(id)) bindings[id] = toKeyList(keys);
+  }
+
+  const lookup = new Map(KEYMAP_SCOPES.map((scope) => [scope, new Map()]));
+  for (const action of KEYMAP_ACTIONS) {
+    for (const scope of action.scopes) {
+      const table = lookup.get(scope);
+      for (const spec of bindings[action.id] || []) {
+        if (!table.has(spec)) table.set(spec, action.id);
+      }
+    }
+  }
+
+  const conflicts = [];
+  const reported = new Set();
+  for (const scope of KEYMAP_SCOPES) {
+    const claims = new Map();
+    for (const action of KEYMAP_ACTIONS) {
+      if (!action.scopes.includes(scope) && !action.scopes.includes("global")) {
+        continue;
+      }
+      for (const spec of bindings[action.id] || []) {
+        const ids = claims.get(spec) || [];
+        if (!ids.includes(action.id)) ids.push(action.id);
+        claims.set(spec, ids);
+      }
+    }
+    for (const [spec, ids] of claims) {
+      if (ids.length < 2) continue;
+      const signature = `${spec} ${ids.join(" ")}`;
+      if (reported.has(signature)) continue;
+      reported.add(signature);
+      const where =
+        scope === "global"
+          ? "globally"
+          : `in the ${KEYMAP_SCOPE_LABELS[scope].toLowerCase()}`;
+      conflicts.push(
+        `"${spec}" is bound to both ${ids.join(" and ")} ${where}`,
+      );
+    }
+  }
+
+  return { preset, bindings, lookup, conflicts };
+}
+
+// Pane bindings take precedence over global ones.
+export function resolveAction(keymap, scope, name) {
+  if (!name) return null;
+  return (
+    keymap.lookup.get(scope)?.get(name) ||
+    keymap.lookup.get("global").get(name) ||
+    null
+  );
+}
+
+export function describeKeys(keymap, id) {
+  return (keymap.bindings[id] || []).map(formatKey).join(", ");
+}
+
+export function actionsForScope(scope) {
+  return KEYMAP_ACTIONS.filter((action) => action.scopes.includes(scope));
+}
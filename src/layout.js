@@ -0,0 +1,111 @@
+// Pane sizes for the TUI. The header holds the title and either the prompt
+// or the status; short terminals get a two-line header, and zoom keeps a
+// single line and drops the footer.
+
+export const FULL_HEADER_LINES = 3;
+export const COMPACT_HEADER_LINES = 2;
+export const ZOOM_HEADER_LINES = 1;
+// Ink ends each frame with a newline, so a frame as tall as the terminal
+// scrolls its first line away. One row stays free, which also keeps the
+// frame at the top of the screen wherever the cursor started.
+export const SPARE_LINES = 1;
+export const COMPACT_HEIGHT = 20;
+export const MIN_CONVERSATION_WIDTH = 20;
+export const MIN_LIST_ROWS = 3;
+export const MIN_CONVERSATION_ROWS = 5;
+
+export function headerMode(rows, zoomed) {
+  if (zoomed) return "zoom";
+  return rows < COMPACT_HEIGHT ? "compact" : "full";
+}
+
+const HEADER_LINES = {
+  full: FULL_HEADER_LINES,
+  compact: COMPACT_HEADER_LINES,
+  zoom: ZOOM_HEADER_LINES,
+};
+
+// `mode` is "split" (list on the left), "stacked" (list above the
+// conversation, used below `stackWidth` columns) or "single" (the list is
+// collapsed or the conversation is zoomed). `height` is the space for all
+// panes; pane widths and heights include their borders. `listRows` is the
+// stacked list height chosen with the resize keys, or null for a third of
+// the space.
+export function computeLayout(options) {
+  const {
+    columns,
+    rows,
+    leftWidth,
+    stackWidth = 0,
+    listRows = null,
+    collapsed = false,
+    zoomed = false,
+  } = options;
+  const header = headerMode(rows, zoomed);
+  const footerLines = zoomed ? 0 : 1;
+  const height = Math.max(
+    4,
+    rows - HEADER_LINES[header] - footerLines - SPARE_LINES,
+  );
+  const base = {
+    header,
+    headerLines: HEADER_LINES[header],
+    footerLines,
+    height,
+  };
+  if (collapsed || zoomed) {
+    return {
+      ...base,
+      mode: "single",
+      listWidth: 0,
+      listHeight: 0,
+      rightWidth: columns,
+      rightHeight: height,
+    };
+  }
+  if (columns < stackWidth) {
+    const maxListRows = Math.max(MIN_LIST_ROWS, height - MIN_CONVERSATION_ROWS);
+    const listHeight = Math.min(
+      maxListRows,
+      Math.max(MIN_LIST_ROWS, listRows ?? Math.round(height / 3)),
+    );
+    return {
+      ...base,
+      mode: "stacked",
+      listWidth: columns,
+      listHeight,
+      rightWidth: columns,
+      rightHeight: Math.max(MIN_LIST_ROWS, height - listHeight),
+    };
+  }
+  const listWidth = Math.max(
+    1,
+    Math.min(leftWidth, columns - MIN_CONVERSATION_WIDTH),
+  );
+  return {
+    ...base,
+    mode: "split",
+    listWidth,
+    listHeight: height,
+    rightWidth: Math.max(MIN_CONVERSATION_WIDTH, columns - listWidth),
+    rightHeight: height,
+  };
+}
+
+// The pane under a 0-based screen cell, or null for the header and footer.
+// The frame is one row shorter than the terminal, so Ink draws it from the
+// top and the panes start under the header. `row` counts lines inside the
+// border, from 0 for the first line under the title.
+export function paneAt(layout, x, y) {
+  const paneY = y - layout.headerLines;
+  if (paneY < 0 || paneY >= layout.height) return null;
+  if (layout.mode === "stacked") {
+    return paneY < layout.listHeight
+      ? { pane: "list", row: paneY - 1 }
+      : { pane: "right", row: paneY - layout.listHeight - 1 };
+  }
+  if (layout.mode === "split" && x < layout.listWidth) {
+    return { pane: "list", row: paneY - 1 };
+  }
+  return { pane: "right", row: paneY - 1 };
+}
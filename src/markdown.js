@@ -0,0 +1,323 @@
+const FENCE_PATTERN = /^(\s*)(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/u;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/u;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/u;
+const LIST_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/u;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/u;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/u;
+
+function isTableRow(line) {
+  return line.includes("|");
+}
+
+export function splitTableRow(line) {
+  let trimmed = line.trim();
+  if (trimmed.startsWith("|")) trimmed = trimmed.slice(1);
+  if (trimmed.endsWith("|") && !trimmed.endsWith("\\|")) {
+    trimmed = trimmed.slice(0, -1);
+  }
+  const cells = [];
+  let cell = "";
+  for (let index = 0; index < trimmed.length; index += 1) {
+    const char = trimmed[index];
+    if (char === "\\" && trimmed[index + 1] === "|") {
+      cell += "|";
+      index += 1;
+      continue;
+    }
+    if (char === "|") {
+      cells.push(cell.trim());
+      cell = "";
+      continue;
+    }
+    cell += char;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function tableAlignments(line) {
+  return splitTableRow(line).map((cell) => {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "right";
+    if (left) return "left";
+    return null;
+  });
+}
+
+function startsBlock(line, nextLine) {
+  return (
+    FENCE_PATTERN.test(line) ||
+    HEADING_PATTERN.test(line) ||
+    RULE_PATTERN.test(line) ||
+    LIST_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) ||
+    (isTableRow(line) && TABLE_SEPARATOR_PATTERN.test(nextLine || ""))
+  );
+}
+
+export function parseMarkdownBlocks(text) {
+  const lines = (text || "").replace(/\r/gu, "").split("\n");
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const marker = fence[2];
+      const codeLines = [];
+      index += 1;
+      while (index < lines.length) {
+        const candidate = lines[index].trim();
+        if (
+          candidate.length >= marker.length &&
+          [...candidate].every((char) => char === marker[0])
+        ) {
+          index += 1;
+          break;
+        }
+        codeLines.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({
+        type: "code",
+        lang: fence[3].toLowerCase(),
+        text: codeLines.join("\n"),
+      });
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2],
+      });
+      index += 1;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: "rule" });
+      index += 1;
+      continue;
+    }
+
+    if (
+      isTableRow(line) &&
+      TABLE_SEPARATOR_PATTERN.test(lines[index + 1] || "")
+    ) {
+      const header = splitTableRow(line);
+      const align = tableAlignments(lines[index + 1]);
+      const rows = [];
+      index += 2;
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        isTableRow(lines[index])
+      ) {
+        rows.push(splitTableRow(lines[index]));
+        index += 1;
+      }
+      blocks.push({ type: "table", header, align, rows });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoteLines = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoteLines.push(lines[index].match(QUOTE_PATTERN)[1]);
+        index += 1;
+      }
+      blocks.push({
+        type: "quote",
+        blocks: parseMarkdownBlocks(quoteLines.join("\n")),
+      });
+      continue;
+    }
+
+    if (LIST_PATTERN.test(line)) {
+      const items = [];
+      const baseIndent = line.match(LIST_PATTERN)[1].length;
+      while (index < lines.length) {
+        const current = lines[index];
+        const item = current.match(LIST_PATTERN);
+        if (item) {
+          const marker = item[2];
+          const ordered = /\d/u.test(marker);
+          items.push({
+            ordered,
+            marker,
+            number: ordered ? Number.parseInt(marker, 10) : null,
+            depth: Math.max(0, Math.floor((item[1].length - baseIndent) / 2)),
+            text: item[3],
+          });
+          index += 1;
+          continue;
+        }
+        if (!current.trim()) {
+          const next = lines[index + 1] || "";
+          if (
+            LIST_PATTERN.test(next) ||
+            (/^\s{2,}\S/u.test(next) && items.length)
+          ) {
+            index += 1;
+            continue;
+          }
+          break;
+        }
+        if (
+          /^\s+\S/u.test(current) ||
+          !startsBlock(current, lines[index + 1])
+        ) {
+          items[items.length - 1].text += `\n${current.trim()}`;
+          index += 1;
+          continue;
+        }
+        break;
+      }
+      blocks.push({ type: "list", items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      index < lines.length &&
+      lines[index].trim() &&
+      (paragraph.length === 0 || !startsBlock(lines[index], lines[index + 1]))
+    ) {
+      paragraph.push(lines[index].trim());
+      index += 1;
+    }
+    blocks.push({ type: "paragraph", text: paragraph.join("\n") });
+  }
+
+  return blocks;
+}
+
+function findClosing(text, marker, from) {
+  let index = text.indexOf(marker, from);
+  while (index !== -1) {
+    if (index > from && text[index - 1] !== " ") return index;
+    index = text.indexOf(marker, index + 1);
+  }
+  return -1;
+}
+
+function findCodeSpanEnd(text, run, from) {
+  let index = text.indexOf(run, from);
+  while (index !== -1) {
+    const after = index + run.length;
+    if (text[index - 1] !== "`" && text[after] !== "`") return index;
+    index = text.indexOf(run, after);
+  }
+  return -1;
+}
+
+export function parseInline(text) {
+  const tokens = [];
+  let buffer = "";
+  const flush = () => {
+    if (buffer) tokens.push({ type: "text", text: buffer });
+    buffer = "";
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === "\\" && /[\\`*_[\]()#+\-.!|>~]/u.test(text[index + 1] || "")) {
+      buffer += text[index + 1];
+      index += 2;
+      continue;
+    }
+
+    if (char === "`") {
+      const run = text.slice(index).match(/^`+/u)[0];
+      const end = findCodeSpanEnd(text, run, index + run.length);
+      if (end !== -1) {
+        flush();
+        tokens.push({
+          type: "code",
+          text: text.slice(index + run.length, end).replace(/^ (.*) $/u, "$1"),
+        });
+        index = end + run.length;
+        continue;
+      }
+      buffer += run;
+      index += run.length;
+      continue;
+    }
+
+    if ((char === "*" || char === "_") && text[index + 1] === char) {
+      const marker = char.repeat(2);
+      const end = findClosing(text, marker, index + 2);
+      if (end !== -1 && text[index + 2] !== " ") {
+        flush();
+        tokens.push({
+          type: "strong",
+          children: parseInline(text.slice(index + 2, end)),
+        });
+        index = end + 2;
+        continue;
+      }
+    }
+
+    if (char === "*" || (char === "_" && !/\w/u.test(text[index - 1] || ""))) {
+      const end = findClosing(text, char, index + 1);
+      const valid =
+        end !== -1 &&
+        text[index + 1] !== " " &&
+        text[index + 1] !== char &&
+        (char === "*" || !/\w/u.test(text[end + 1] || ""));
+      if (valid) {
+        flush();
+        tokens.push({
+          type: "em",
+          children: parseInline(text.slice(index + 1, end)),
+        });
+        index = end + 1;
+        continue;
+      }
+    }
+
+    if (char === "[") {
+      const match = text
+        .slice(index)
+        .match(/^\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/u);
+      if (match) {
+        flush();
+        tokens.push({
+          type: "link",
+          href: match[2],
+          children: parseInline(match[1]),
+        });
+        index += match[0].length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    index += 1;
+  }
+
+  flush();
+  return tokens;
+}
+
+export function inlineToPlainText(tokens) {
+  return tokens
+    .map((token) =>
+      token.children ? inlineToPlainText(token.children) : token.text,
+    )
+    .join("");
+}
@@ -0,0 +1,40 @@
+// Terminal mouse reporting. Mode 1000 reports button presses and wheel turns,
+// and mode 1006 encodes them as SGR sequences (`ESC [ < b ; x ; y M`), which
+// have no column limit. Ink hands them to `useInput` with the escape removed,
+// sometimes several in one chunk.
+
+export const ENABLE_MOUSE = "\x1b[?1000h\x1b[?1006h";
+export const DISABLE_MOUSE = "\x1b[?1006l\x1b[?1000l";
+
+const SGR_MOUSE_PATTERN = /\x1b?\[<(\d+);(\d+);(\d+)([Mm])/gu;
+const SGR_MOUSE_PREFIX = /^\x1b?\[<\d/u;
+const BUTTON_BITS = 3;
+const MOTION_BIT = 32;
+const WHEEL_BIT = 64;
+
+// Returns null for keyboard input, otherwise the events in the chunk (which
+// may be none, for a sequence split across reads). `type` is "press",
+// "release", "wheel-up" or "wheel-down"; `button` is 0 (left), 1 (middle) or
+// 2 (right); `x` and `y` are 0-based screen cells.
+export function parseMouseInput(input) {
+  if (typeof input !== "string" || !SGR_MOUSE_PREFIX.test(input)) return null;
+  const events = [];
+  for (const match of input.matchAll(SGR_MOUSE_PATTERN)) {
+    const code = Number(match[1]);
+    const button = code & BUTTON_BITS;
+    const x = Number(match[2]) - 1;
+    const y = Number(match[3]) - 1;
+    if (code & WHEEL_BIT) {
+      if (button > 1) continue;
+      events.push({ type: button ? "wheel-down" : "wheel-up", button, x, y });
+    } else if (!(code & MOTION_BIT)) {
+      events.push({
+        type: match[4] === "M" ? "press" : "release",
+        button,
+        x,
+        y,
+      });
+    }
+  }
+  return events;
+}
@@ -0,0 +1,265 @@
+import path from "node:path";
+
+// Codex edits files with `apply_patch`, whose envelope looks like
+//
+//   *** Begin Patch
+//   *** Update File: src/app.js
+//   @@ function main()
+//   -old line
+//   +new line
+//   *** End Patch
+//
+// Hunks carry no line numbers: Codex finds them by their context lines and
+// the optional `@@` anchor, which is what `git apply` does too.
+
+const PATCH_PATTERN = /\*\*\* Begin Patch\r?\n[\s\S]*?\*\*\* End Patch/u;
+
+function parseJson(text) {
+  if (typeof text !== "string") return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// The envelope arrives as a custom tool input, a JSON `input` argument, or an
+// argument of a shell command (`apply_patch '…'` or a heredoc).
+export function findPatchText(entry) {
+  if (entry?.role !== "tool") return null;
+  const args = parseJson(entry.input);
+  const candidates = [args?.input, args?.patch, entry.input, entry.command];
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string") continue;
+    const match = candidate.match(PATCH_PATTERN);
+    if (!match) continue;
+    return candidate === entry.command
+      ? match[0].replace(/'\\''/gu, "'")
+      : match[0];
+  }
+  return null;
+}
+
+function countLines(file) {
+  for (const hunk of file.hunks) {
+    for (const { op } of hunk.lines) {
+      if (op === "+") file.added += 1;
+      if (op === "-") file.removed += 1;
+    }
+  }
+  return file;
+}
+
+export function parseApplyPatch(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  const startHunk = (header) => {
+    hunk = { header, lines: [], endOfFile: false };
+    file.hunks.push(hunk);
+  };
+  for (const line of String(text || "").split(/\r?\n/u)) {
+    const header = line.match(/^\*\*\* (Add|Delete|Update) File: (.+)$/u);
+    if (header) {
+      file = {
+        type: header[1].toLowerCase(),
+        path: header[2].trim(),
+        movePath: null,
+        hunks: [],
+        added: 0,
+        removed: 0,
+      };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (line === "*** End Patch") break;
+    if (!file || file.type === "delete") continue;
+    if (line.startsWith("*** Move to: ")) {
+      file.movePath = line.slice("*** Move to: ".length).trim();
+    } else if (line === "*** End of File") {
+      if (hunk) hunk.endOfFile = true;
+    } else if (file.type === "update" && line.startsWith("@@")) {
+      startHunk(line.slice(2).trim());
+    } else if (
+      file.type === "add" ? line.startsWith("+") : /^[-+ ]|^$/u.test(line)
+    ) {
+      if (!hunk) startHunk("");
+      hunk.lines.push({ op: line[0] || " ", text: line.slice(1) });
+    }
+  }
+  return files.map(countLines);
+}
+
+export function patchTotals(files) {
+  return files.reduce(
+    (totals, file) => ({
+      added: totals.added + file.added,
+      removed: totals.removed + file.removed,
+    }),
+    { added: 0, removed: 0 },
+  );
+}
+
+export function fileChangeLabel(file) {
+  if (file.type === "add") return "A";
+  if (file.type === "delete") return "D";
+  return file.movePath ? "R" : "M";
+}
+
+export function formatFileChange(file) {
+  const target = file.movePath ? `${file.path} -> ${file.movePath}` : file.path;
+  return `${fileChangeLabel(file)} ${target} +${file.added} -${file.removed}`;
+}
+
+// Diff lines for the Pretty view, one file after another.
+export function patchDisplayLines(files) {
+  const lines = [];
+  for (const file of files) {
+    lines.push({ kind: "file", text: formatFileChange(file) });
+    for (const hunk of file.hunks) {
+      if (file.type === "update") {
+        lines.push({ kind: "hunk", text: `@@ ${hunk.header}`.trimEnd() });
+      }
+      for (const { op, text } of hunk.lines) {
+        const kind = op === "+" ? "add" : op === "-" ? "remove" : "context";
+        lines.push({ kind, text: `${op}${text}` });
+      }
+      if (hunk.endOfFile) lines.push({ kind: "hunk", text: "*** End of File" });
+    }
+  }
+  return lines;
+}
+
+// The entries from the `turn`-th user message (1-based) up to the next one.
+export function turnEntries(entries, turn) {
+  let current = 0;
+  return entries.filter((entry) => {
+    if (entry.role === "user") current += 1;
+    return current === turn;
+  });
+}
+
+// Tool calls that edited files. Calls that reported a non-zero exit code
+// changed nothing and are counted in `failed` instead.
+export function collectPatches(entries, options = {}) {
+  const { cwd = null } = options;
+  const patches = [];
+  let failed = 0;
+  for (const entry of entries) {
+    const text = findPatchText(entry);
+    if (!text) continue;
+    if (entry.exitCode) {
+      failed += 1;
+      continue;
+    }
+    const files = parseApplyPatch(text);
+    if (files.length) patches.push({ cwd: entry.cwd || cwd, files });
+  }
+  return { patches, failed };
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+function repoPath(filePath, cwd) {
+  if (!path.isAbsolute(filePath)) return toPosix(path.normalize(filePath));
+  if (cwd) {
+    const relative = path.relative(cwd, filePath);
+    if (relative && !relative.startsWith("..") && !path.isAbsolute(relative)) {
+      return toPosix(relative);
+    }
+  }
+  return toPosix(filePath).replace(/^\/+/u, "");
+}
+
+function formatRange(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+// `apply_patch` appends a hunk that only adds lines to the end of the file.
+// This line is past the end of any file, and `git apply --unidiff-zero`
+// moves such a hunk back to the last line.
+const END_OF_FILE_LINE = 999999;
+
+// Without trailing context `git apply` pins a hunk to the end of the file,
+// unless it runs with `--unidiff-zero`.
+function needsUnidiffZero(hunk) {
+  return hunk.lines.length > 0 && hunk.lines.at(-1).op !== " ";
+}
+
+// Line numbers are only hints for `git apply`, which searches outward from
+// them. They start at 2 because a hunk at line 1 must match the top of the
+// file.
+function formatHunks(hunks) {
+  const lines = [];
+  let oldLine = 2;
+  let offset = 0;
+  for (const hunk of hunks) {
+    const oldCount = hunk.lines.filter(({ op }) => op !== "+").length;
+    const newCount = hunk.lines.filter(({ op }) => op !== "-").length;
+    const header = hunk.header ? ` ${hunk.header}` : "";
+    const start = oldCount ? oldLine : END_OF_FILE_LINE;
+    lines.push(
+      `@@ -${formatRange(start, oldCount)} +${formatRange(start + offset, newCount)} @@${header}`,
+      ...hunk.lines.map(({ op, text }) => `${op}${text}`),
+    );
+    if (!oldCount) continue;
+    oldLine += oldCount + 1;
+    offset += newCount - oldCount;
+  }
+  return lines;
+}
+
+function formatFileDiff(file, cwd) {
+  const from = repoPath(file.path, cwd);
+  if (file.type === "delete") {
+    return [`# ${from}: deleted, but the session does not record its contents`];
+  }
+  if (file.type === "add") {
+    const lines = file.hunks.flatMap((hunk) => hunk.lines);
+    const header = [`diff --git a/${from} b/${from}`, "new file mode 100644"];
+    if (!lines.length) return header;
+    return [
+      ...header,
+      "--- /dev/null",
+      `+++ b/${from}`,
+      `@@ -0,0 +${formatRange(1, lines.length)} @@`,
+      ...lines.map(({ text }) => `+${text}`),
+    ];
+  }
+  const to = file.movePath ? repoPath(file.movePath, cwd) : from;
+  const header = [`diff --git a/${from} b/${to}`];
+  if (to !== from) header.push(`rename from ${from}`, `rename to ${to}`);
+  if (!file.hunks.length) return header;
+  return [
+    ...header,
+    `--- a/${from}`,
+    `+++ b/${to}`,
+    ...formatHunks(file.hunks),
+  ];
+}
+
+// Builds a patch for `git apply`, run from the session's working directory.
+// Absolute paths under that directory become relative ones.
+export function formatGitPatch(patches, options = {}) {
+  const { title } = options;
+  const lines = title ? [`# ${title}`] : [];
+  const unidiffZero = patches.some((patch) =>
+    patch.files.some(
+      (file) => file.type === "update" && file.hunks.some(needsUnidiffZero),
+    ),
+  );
+  if (unidiffZero) {
+    lines.push(
+      "# Some hunks have no trailing context: apply with git apply --unidiff-zero",
+    );
+  }
+  for (const patch of patches) {
+    for (const file of patch.files) {
+      lines.push(...formatFileDiff(file, patch.cwd));
+    }
+  }
+  return lines.length ? `${lines.join("\n")}\n` : "";
+}
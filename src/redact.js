@@ -0,0 +1,366 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export const DEFAULT_REDACTION_RULES_PATH =
+  process.env.CODEX_TRANSCRIBER_REDACT_RULES ||
+  path.join(
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+    "codex-transcriber",
+    "redact.json",
+  );
+
+export const ENTROPY_MIN_LENGTH = 24;
+export const ENTROPY_THRESHOLD = 4;
+
+export const REDACTION_MARKER_PATTERN = /\[REDACTED(?::[\w.-]+)?\]/gu;
+
+// Built-in detectors, most specific first. User rules and `$HOME` run before
+// them, and when matches overlap the earlier detector wins. `group` names the
+// capture group that holds the secret, so the key name or URL stays readable.
+export const REDACTION_DETECTORS = [
+  {
+    name: "private-key",
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/gu,
+  },
+  {
+    name: "jwt",
+    pattern: /\beyJ[\w-]{8,}\.eyJ[\w-]{8,}\.[\w-]{8,}/gu,
+  },
+  { name: "anthropic-key", pattern: /\bsk-ant-[\w-]{20,}/gu },
+  {
+    name: "openai-key",
+    pattern: /\bsk-(?:proj-|svcacct-|admin-)?[\w-]{20,}/gu,
+  },
+  {
+    name: "github-token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,})/gu,
+  },
+  { name: "aws-access-key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/gu },
+  { name: "slack-token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/gu },
+  { name: "google-api-key", pattern: /\bAIza[\w-]{35}/gu },
+  {
+    name: "stripe-key",
+    pattern: /\b(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}/gu,
+  },
+  {
+    name: "bearer-token",
+    pattern: /\b(?:Bearer|Basic|Token)\s+(?<secret>[\w.~+/=-]{16,})/gu,
+    group: "secret",
+  },
+  {
+    name: "url-credentials",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<secret>[^\s@/]+)@/giu,
+    group: "secret",
+  },
+  {
+    name: "env-secret",
+    pattern:
+      /\b[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*[=:]\s*(?<quote>["']?)(?<secret>[^\s"'`]{4,})\k<quote>/gu,
+    group: "secret",
+  },
+  {
+    name: "entropy",
+    pattern: /[A-Za-z0-9+_=-]{24,}/gu,
+    test: isHighEntropy,
+  },
+];
+
+export const REDACTION_DETECTOR_NAMES = [
+  ...REDACTION_DETECTORS.map(({ name }) => name),
+  "home-path",
+];
+
+export class RedactionRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RedactionRuleError";
+  }
+}
+
+export function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Hex digests and UUIDs never reach the threshold, and words rarely mix
+// upper case, lower case and digits, which keeps false positives down.
+function isHighEntropy(value) {
+  return (
+    value.length >= ENTROPY_MIN_LENGTH &&
+    /[a-z]/u.test(value) &&
+    /[A-Z]/u.test(value) &&
+    /\d/u.test(value) &&
+    shannonEntropy(value) >= ENTROPY_THRESHOLD
+  );
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/gu, "\\$&");
+}
+
+function compileRule(rule, index) {
+  const label = `rule ${index + 1}`;
+  if (!rule || typeof rule !== "object") {
+    throw new RedactionRuleError(`${label} must be an object`);
+  }
+  if (typeof rule.pattern !== "string" || !rule.pattern) {
+    throw new RedactionRuleError(`${label} needs a "pattern" string`);
+  }
+  const name = typeof rule.name === "string" && rule.name ? rule.name : label;
+  const flags = new Set(`${rule.flags || ""}gu`);
+  let pattern;
+  try {
+    pattern = new RegExp(rule.pattern, [...flags].join(""));
+  } catch (error) {
+    throw new RedactionRuleError(`${name}: ${error.message}`);
+  }
+  return {
+    name,
+    pattern,
+    replacement:
+      typeof rule.replacement === "string" ? rule.replacement : undefined,
+  };
+}
+
+export function createRedactor(options = {}) {
+  const {
+    enabled = true,
+    rules = [],
+    disable = [],
+    home = os.homedir(),
+  } = options;
+  const disabled = new Set(disable);
+  const detectors = rules.map(compileRule);
+  if (home && home !== path.sep && !disabled.has("home-path")) {
+    detectors.push({
+      name: "home-path",
+      pattern: new RegExp(`${escapeRegExp(home)}(?![\\w.-])`, "gu"),
+      replacement: "~",
+    });
+  }
+  detectors.push(
+    ...REDACTION_DETECTORS.filter(({ name }) => !disabled.has(name)),
+  );
+  return { enabled, detectors };
+}
+
+export async function loadRedactionRules(
+  filePath = DEFAULT_REDACTION_RULES_PATH,
+) {
+  let data;
+  try {
+    data = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error?.code === "ENOENT") return { rules: [], disable: [] };
+    throw new RedactionRuleError(`${filePath}: ${error.message}`);
+  }
+  const rules = Array.isArray(data) ? data : data?.rules || [];
+  const disable = Array.isArray(data?.disable) ? data.disable : [];
+  if (!Array.isArray(rules)) {
+    throw new RedactionRuleError(`${filePath}: "rules" must be an array`);
+  }
+  const unknown = disable.filter(
+    (name) => !REDACTION_DETECTOR_NAMES.includes(name),
+  );
+  if (unknown.length) {
+    throw new RedactionRuleError(
+      `${filePath}: unknown detector ${unknown.join(", ")}`,
+    );
+  }
+  try {
+    rules.forEach(compileRule);
+  } catch (error) {
+    throw new RedactionRuleError(`${filePath}: ${error.message}`);
+  }
+  return { rules, disable };
+}
+
+function matchRange(match, group) {
+  if (!group) return [match.index, match.index + match[0].length];
+  const value = match.groups?.[group];
+  if (!value) return null;
+  const start = match.index + match[0].lastIndexOf(value);
+  return [start, start + value.length];
+}
+
+export function findRedactions(text, redactor) {
+  if (!text || !redactor?.enabled) return [];
+  const found = [];
+  const overlaps = (start, end) =>
+    found.some((item) => start < item.end && end > item.start);
+  for (const detector of redactor.detectors) {
+    for (const match of text.matchAll(detector.pattern)) {
+      if (!match[0]) continue;
+      if (detector.test && !detector.test(match[0])) continue;
+      const range = matchRange(match, detector.group);
+      if (!range || overlaps(range[0], range[1])) continue;
+      found.push({
+        name: detector.name,
+        start: range[0],
+        end: range[1],
+        value: text.slice(range[0], range[1]),
+        replacement: detector.replacement ?? `[REDACTED:${detector.name}]`,
+      });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+export function addRedactionCounts(target, counts) {
+  for (const [name, count] of Object.entries(counts)) {
+    target[name] = (target[name] || 0) + count;
+  }
+  return target;
+}
+
+export function redactText(text, redactor) {
+  const found = findRedactions(text, redactor);
+  if (!found.length) return { text, counts: {} };
+  const counts = {};
+  let result = "";
+  let cursor = 0;
+  for (const item of found) {
+    result += text.slice(cursor, item.start) + item.replacement;
+    cursor = item.end;
+    counts[item.name] = (counts[item.name] || 0) + 1;
+  }
+  return { text: result + text.slice(cursor), counts };
+}
+
+const ENTRY_TEXT_FIELDS = ["text", "command", "cwd", "input", "output"];
+const IMAGE_TEXT_FIELDS = ["path", "url"];
+const SESSION_TEXT_FIELDS = ["label", "title", "name", "cwd", "path", "note"];
+
+function redactFields(object, fields, redactor, counts) {
+  if (!object) return object;
+  let copy = object;
+  for (const field of fields) {
+    if (typeof object[field] !== "string") continue;
+    const result = redactText(object[field], redactor);
+    if (result.text === object[field]) continue;
+    if (copy === object) copy = { ...object };
+    copy[field] = result.text;
+    addRedactionCounts(counts, result.counts);
+  }
+  return copy;
+}
+
+function redactList(values, redactor, counts) {
+  let changed = false;
+  const result = values.map((value) => {
+    if (typeof value !== "string") return value;
+    const redacted = redactText(value, redactor);
+    if (redacted.text === value) return value;
+    changed = true;
+    addRedactionCounts(counts, redacted.counts);
+    return redacted.text;
+  });
+  return changed ? result : values;
+}
+
+// Image references keep the file path or URL the user attached, which can
+// name the home directory as much as a cwd does.
+function redactEntry(entry, redactor, counts) {
+  const copy = redactFields(entry, ENTRY_TEXT_FIELDS, redactor, counts);
+  if (!Array.isArray(entry.images)) return copy;
+  const images = entry.images.map((image) =>
+    redactFields(image, IMAGE_TEXT_FIELDS, redactor, counts),
+  );
+  return images.some((image, index) => image !== entry.images[index])
+    ? { ...copy, images }
+    : copy;
+}
+
+export function redactConversation(entries, session, redactor) {
+  const counts = {};
+  if (!redactor?.enabled) return { entries, session, counts };
+  const redactedEntries = entries.map((entry) =>
+    redactEntry(entry, redactor, counts),
+  );
+  let redactedSession = redactFields(
+    session,
+    SESSION_TEXT_FIELDS,
+    redactor,
+    counts,
+  );
+  if (Array.isArray(session?.tags)) {
+    const tags = redactList(session.tags, redactor, counts);
+    if (tags !== session.tags) redactedSession = { ...redactedSession, tags };
+  }
+  const repositoryUrl = session?.git?.repository_url;
+  if (typeof repositoryUrl === "string") {
+    const result = redactText(repositoryUrl, redactor);
+    if (result.text !== repositoryUrl) {
+      redactedSession = {
+        ...redactedSession,
+        git: { ...session.git, repository_url: result.text },
+      };
+      addRedactionCounts(counts, result.counts);
+    }
+  }
+  return { entries: redactedEntries, session: redactedSession, counts };
+}
+
+export function listRedactions(entries, session, redactor) {
+  const findings = [];
+  const collect = (object, fields, details) => {
+    for (const field of fields) {
+      if (typeof object?.[field] !== "string") continue;
+      for (const item of findRedactions(object[field], redactor)) {
+        findings.push({ ...details, field, ...item });
+      }
+    }
+  };
+  collect(session, SESSION_TEXT_FIELDS, { entryIndex: null, role: "session" });
+  collect(session?.git, ["repository_url"], {
+    entryIndex: null,
+    role: "session",
+  });
+  for (const tag of Array.isArray(session?.tags) ? session.tags : []) {
+    collect({ tags: tag }, ["tags"], { entryIndex: null, role: "session" });
+  }
+  entries.forEach((entry, entryIndex) => {
+    collect(entry, ENTRY_TEXT_FIELDS, { entryIndex, role: entry.role });
+    if (Array.isArray(entry.images)) {
+      for (const image of entry.images) {
+        collect(image, IMAGE_TEXT_FIELDS, { entryIndex, role: entry.role });
+      }
+    }
+  });
+  return findings;
+}
+
+export function countRedactions(counts) {
+  return Object.values(counts || {}).reduce((sum, count) => sum + count, 0);
+}
+
+export function formatRedactionReport(counts) {
+  const total = countRedactions(counts);
+  if (!total) return "nothing redacted";
+  const details = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, count]) => `${name} ${count}`)
+    .join(", ");
+  return `${total} redacted (${details})`;
+}
+
+export async function loadRedactor(options = {}) {
+  const { rulesPath, ...redactorOptions } = options;
+  if (redactorOptions.enabled === false) return createRedactor(redactorOptions);
+  const { rules, disable } = await loadRedactionRules(rulesPath);
+  return createRedactor({ rules, disable, ...redactorOptions });
+}
+
+export function maskPreview(value, visible = 4) {
+  const compact = value.replace(/\s+/gu, " ");
+  if (compact.length <= visible * 2) return "*".repeat(compact.length);
+  return `${compact.slice(0, visible)}…${compact.slice(-visible)} (${value.length} chars)`;
+}
@@ -0,0 +1,147 @@
+import { buildJsonSession } from "./json.js";
+import { findPatchText } from "./patch.js";
+import { formatLocalTimestamp, parseRepoName } from "./sessions.js";
+import { formatCommand, formatDuration } from "./tools.js";
+
+export const COMMAND_LOG_FORMATS = {
+  sh: { label: "Shell script", extension: ".sh" },
+  json: { label: "JSON log", extension: ".commands.json" },
+};
+
+export const COMMAND_LOG_FORMAT_NAMES = Object.keys(COMMAND_LOG_FORMATS);
+
+export const COMMAND_LOG_SCHEMA_ID = "codex-transcriber/commands";
+export const COMMAND_LOG_SCHEMA_VERSION = 1;
+
+export function nextCommandLogFormat(format) {
+  const index = COMMAND_LOG_FORMAT_NAMES.indexOf(format);
+  return COMMAND_LOG_FORMAT_NAMES[
+    (index + 1) % COMMAND_LOG_FORMAT_NAMES.length
+  ];
+}
+
+export function replaceCommandLogExtension(filePath, format) {
+  const extension = COMMAND_LOG_FORMATS[format]?.extension || "";
+  const known = Object.values(COMMAND_LOG_FORMATS)
+    .map((item) => item.extension)
+    .sort((a, b) => b.length - a.length);
+  for (const candidate of known) {
+    if (filePath.endsWith(candidate)) {
+      return `${filePath.slice(0, -candidate.length)}${extension}`;
+    }
+  }
+  return filePath;
+}
+
+// Shell and exec tool calls in the order they ran, with the 1-based user
+// turn they belong to. `patch` marks `apply_patch` runs, which only work
+// inside Codex.
+export function collectCommands(entries) {
+  const commands = [];
+  let turn = 0;
+  entries.forEach((entry, entryIndex) => {
+    if (entry.role === "user") turn += 1;
+    if (entry.role !== "tool" || entry.kind !== "exec") return;
+    commands.push({
+      entryIndex,
+      turn,
+      timestamp: entry.timestamp || null,
+      command: entry.command || "",
+      cwd: entry.cwd || null,
+      exitCode: entry.exitCode,
+      durationMs: entry.durationMs,
+      output: entry.output,
+      patch: Boolean(findPatchText(entry)),
+      summary: entry.text || "",
+    });
+  });
+  return commands;
+}
+
+export function describeCommand(command) {
+  const parts = [`turn ${command.turn}`];
+  if (command.exitCode != null) parts.push(`exit ${command.exitCode}`);
+  const duration = formatDuration(command.durationMs);
+  if (duration) parts.push(duration);
+  return parts.join(", ");
+}
+
+function toIsoTimestamp(timestamp) {
+  const ms = timestamp ? Date.parse(timestamp) : Number.NaN;
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+// Redaction turns the home directory into `~`, which would not expand
+// inside quotes.
+function changeDirectory(cwd) {
+  if (cwd === "~") return 'cd "$HOME" || exit 1';
+  if (cwd.startsWith("~/")) {
+    return `cd "$HOME"/${formatCommand([cwd.slice(2)])} || exit 1`;
+  }
+  return `${formatCommand(["cd", cwd])} || exit 1`;
+}
+
+// Commands are written exactly as recorded and are not stopped by failures,
+// so the script replays the session rather than a clean build. A `cd` is
+// emitted whenever the working directory changes.
+export function buildShellScript(commands, session) {
+  const repo = parseRepoName(
+    session?.git?.repository_url || session?.git?.repositoryUrl || "",
+  );
+  const branch = session?.git?.branch || "";
+  const started = Date.parse(session?.startedAt || "");
+  const lines = [
+    "#!/bin/sh",
+    `# Commands run in Codex session ${session?.id || "(stdin)"}`,
+  ];
+  if (repo) lines.push(`# Repository: ${repo}`);
+  if (branch) lines.push(`# Branch: ${branch}`);
+  if (!Number.isNaN(started)) {
+    lines.push(`# Started: ${formatLocalTimestamp(new Date(started))}`);
+  }
+  lines.push(
+    "#",
+    "# Review before running. apply_patch steps are left as comments; use",
+    "# `codex-transcriber patch` to export those edits.",
+  );
+  let cwd = null;
+  commands.forEach((command, index) => {
+    lines.push("", `# ${index + 1}. ${describeCommand(command)}`);
+    if (command.patch) {
+      lines.push(`# apply_patch: ${command.summary}`);
+      return;
+    }
+    if (command.cwd && command.cwd !== cwd) {
+      lines.push(changeDirectory(command.cwd));
+      cwd = command.cwd;
+    }
+    lines.push(command.command);
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+export function buildCommandLog(commands, session, entries = []) {
+  const document = {
+    schema: COMMAND_LOG_SCHEMA_ID,
+    schemaVersion: COMMAND_LOG_SCHEMA_VERSION,
+    session: buildJsonSession(session, entries),
+    commands: commands.map((command, index) => ({
+      index,
+      turn: command.turn,
+      timestamp: toIsoTimestamp(command.timestamp),
+      command: command.command,
+      cwd: command.cwd,
+      exitCode: command.exitCode ?? null,
+      durationMs: command.durationMs ?? null,
+      patch: command.patch,
+      output: command.output ?? null,
+    })),
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+export function renderCommandLog(format, entries, session) {
+  const commands = collectCommands(entries);
+  if (format === "json") return buildCommandLog(commands, session, entries);
+  return buildShellScript(commands, session);
+}
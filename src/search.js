@@ -0,0 +1,126 @@
+import { extractConversation } from "./sessions.js";
+
+export const SEARCH_RESULT_LIMIT = 1000;
+const SNIPPET_RADIUS = 40;
+
+export function buildSnippet(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  const body = text.slice(start, end).replace(/\s+/gu, " ").trim();
+  const prefix = start > 0 ? "..." : "";
+  const suffix = end < text.length ? "..." : "";
+  return `${prefix}${body}${suffix}`;
+}
+
+export function findMatches(entries, query) {
+  const needle = (query || "").toLowerCase();
+  if (!needle) return [];
+  const matches = [];
+  entries.forEach((entry, entryIndex) => {
+    const text = entry.text || "";
+    const index = text.toLowerCase().indexOf(needle);
+    if (index === -1) return;
+    matches.push({
+      entryIndex,
+      role: entry.role,
+      snippet: buildSnippet(text, index, needle.length),
+    });
+  });
+  return matches;
+}
+
+export async function searchSessions(sessions, query, options = {}) {
+  const { signal, onResults, onProgress } = options;
+  const limit = options.limit ?? SEARCH_RESULT_LIMIT;
+  let count = 0;
+  let scanned = 0;
+
+  for (const session of sessions) {
+    if (signal?.aborted) break;
+    let entries = [];
+    try {
+      entries = await extractConversation(session.path);
+    } catch {}
+    if (signal?.aborted) break;
+    scanned += 1;
+
+    const matches = findMatches(entries, query)
+      .slice(0, Math.max(0, limit - count))
+      .map((match) => ({ ...match, session }));
+    count += matches.length;
+    if (matches.length) onResults?.(matches);
+    onProgress?.({ scanned, total: sessions.length, count });
+    if (count >= limit) break;
+  }
+
+  return {
+    scanned,
+    total: sessions.length,
+    count,
+    cancelled: Boolean(signal?.aborted),
+    truncated: count >= limit,
+  };
+}
+
+function findSegmentIndex(segments, position) {
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (segments[mid].start <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+export function findInRows(rows, query) {
+  const needle = (query || "").toLowerCase();
+  if (!needle || !rows.length) return [];
+
+  const segments = [];
+  let corpus = "";
+  rows.forEach((row, rowIndex) => {
+    const text = row.searchText ?? row.text ?? "";
+    if (rowIndex > 0 && !row.continues) corpus += "\n";
+    segments.push({
+      rowIndex,
+      start: corpus.length,
+      end: corpus.length + text.length,
+      offset: row.searchOffset || 0,
+    });
+    corpus += text;
+  });
+
+  const haystack = corpus.toLowerCase();
+  const matches = [];
+  let from = 0;
+  while (from <= haystack.length - needle.length) {
+    const start = haystack.indexOf(needle, from);
+    if (start === -1) break;
+    const end = start + needle.length;
+    const ranges = [];
+    for (
+      let index = findSegmentIndex(segments, start);
+      index < segments.length && segments[index].start < end;
+      index += 1
+    ) {
+      const segment = segments[index];
+      const rangeStart = Math.max(start, segment.start);
+      const rangeEnd = Math.min(end, segment.end);
+      if (rangeEnd <= rangeStart) continue;
+      ranges.push({
+        rowIndex: segment.rowIndex,
+        start: segment.offset + rangeStart - segment.start,
+        end: segment.offset + rangeEnd - segment.start,
+      });
+    }
+    if (ranges.length) {
+      matches.push({ rowIndex: ranges[0].rowIndex, ranges });
+    }
+    from = end;
+  }
+  return matches;
+}
@@ -0,0 +1,1042 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import readline from "node:readline";
+import { StringDecoder } from "node:string_decoder";
+import {
+  DEFAULT_CACHE_DIR,
+  isCacheEntryFresh,
+  readSessionCache,
+  writeSessionCache,
+} from "./cache.js";
+import { createDetailsCollector } from "./details.js";
+import { findPatchText, parseApplyPatch, patchDisplayLines } from "./patch.js";
+import {
+  applyExecBegin,
+  applyExecEnd,
+  applyToolOutput,
+  createCustomToolCallEntry,
+  createExecBeginEntry,
+  createFunctionCallEntry,
+  createLocalShellCallEntry,
+  summarizeToolEntry,
+} from "./tools.js";
+
+export const DEFAULT_SESSIONS_DIR =
+  process.env.CODEX_SESSIONS_DIR || path.join(os.homedir(), ".codex", "sessions");
+
+export const SESSION_LOAD_CONCURRENCY = 16;
+
+export const DEFAULT_EXPORT_FILE_NAME = "{id}";
+
+export const EXPORT_FILE_NAME_FIELDS = ["id", "date", "time", "repo", "branch"];
+
+const EXCLUDE_PREFIXES = [
+  "# AGENTS.md",
+  "<environment_context>",
+  "<permissions instructions>",
+  "<INSTRUCTIONS>",
+];
+
+let excludePrefixes = EXCLUDE_PREFIXES;
+
+export function setExtraExcludePrefixes(prefixes = []) {
+  excludePrefixes = [...EXCLUDE_PREFIXES, ...prefixes];
+}
+
+// Settings the session cache is keyed on: titles and message counts depend
+// on which messages are excluded.
+function cacheSettings() {
+  return { excludePrefixes };
+}
+
+export function shouldExcludeText(text) {
+  if (!text) return true;
+  const trimmed = text.trimStart();
+  return excludePrefixes.some((prefix) => trimmed.startsWith(prefix));
+}
+
+// Accepts one sessions directory or a list of them.
+export function sessionDirs(baseDir) {
+  return (Array.isArray(baseDir) ? baseDir : [baseDir]).filter(Boolean);
+}
+
+function sessionDirFor(dirs, filePath) {
+  const resolved = path.resolve(filePath);
+  return (
+    dirs.find((dir) => resolved.startsWith(`${path.resolve(dir)}${path.sep}`)) ||
+    path.dirname(filePath)
+  );
+}
+
+export async function findJsonlFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      results.push(...(await findJsonlFiles(fullPath)));
+    } else if (entry.isFile() && entry.name.endsWith(".jsonl")) {
+      results.push(fullPath);
+    }
+  }
+  return results;
+}
+
+async function readFirstLine(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of rl) {
+    rl.close();
+    stream.destroy();
+    return line.trim();
+  }
+  return "";
+}
+
+export function parseTimestampMsFromFilename(filePath) {
+  const name = path.basename(filePath);
+  const match = name.match(
+    /rollout-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/u,
+  );
+  if (!match) return null;
+  const datePart = match[1];
+  const timePart = `${match[2]}:${match[3]}:${match[4]}Z`;
+  const iso = `${datePart}T${timePart}`;
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.getTime();
+}
+
+export function formatLocalTimestamp(date) {
+  const pad2 = (value) => String(value).padStart(2, "0");
+  const year = date.getFullYear();
+  const month = pad2(date.getMonth() + 1);
+  const day = pad2(date.getDate());
+  const hours = pad2(date.getHours());
+  const minutes = pad2(date.getMinutes());
+  const seconds = pad2(date.getSeconds());
+  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+}
+
+function parseTimestampFromFilename(filePath) {
+  const timestampMs = parseTimestampMsFromFilename(filePath);
+  if (!timestampMs) return null;
+  return formatLocalTimestamp(new Date(timestampMs));
+}
+
+export function parseRepoName(repositoryUrl) {
+  if (!repositoryUrl) return "";
+  try {
+    const parsed = new URL(repositoryUrl);
+    const pathname = parsed.pathname.replace(/\.git$/u, "");
+    const parts = pathname.split("/").filter(Boolean);
+    return parts[parts.length - 1] || "";
+  } catch {
+    const trimmed = repositoryUrl.replace(/\.git$/u, "");
+    return path.basename(trimmed);
+  }
+}
+
+function parseSessionMeta(line) {
+  try {
+    const parsed = JSON.parse(line);
+    if (parsed?.type === "session_meta") {
+      return parsed;
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+export async function readSessionMeta(filePath) {
+  try {
+    const line = await readFirstLine(filePath);
+    if (!line) return null;
+    return parseSessionMeta(line);
+  } catch {
+    return null;
+  }
+}
+
+export function formatTimestamp(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  return formatLocalTimestamp(date);
+}
+
+export function buildSessionLabel(meta, filePath, baseDir) {
+  const tsRaw = meta?.payload?.timestamp || meta?.timestamp;
+  const ts = formatTimestamp(tsRaw) || parseTimestampFromFilename(filePath);
+  if (ts) return ts;
+  return path.relative(baseDir, filePath);
+}
+
+const TITLE_MAX_LENGTH = 120;
+
+// The first line of a message, with whitespace collapsed.
+export function buildSessionTitle(text) {
+  const line =
+    String(text || "")
+      .split("\n")
+      .map((part) => part.replace(/\s+/gu, " ").trim())
+      .find(Boolean) || "";
+  return line.length > TITLE_MAX_LENGTH
+    ? `${line.slice(0, TITLE_MAX_LENGTH - 3)}...`
+    : line;
+}
+
+// What the session list shows: a saved custom name, the first user message,
+// or the start time.
+export function sessionTitle(session) {
+  return session?.name || session?.title || session?.label || "";
+}
+
+// Compact age such as "now", "5m", "3h", "6d", "2w", "4mo" or "1y".
+export function formatAge(ageMs) {
+  if (!Number.isFinite(ageMs)) return "";
+  const minutes = Math.floor(Math.max(0, ageMs) / 60000);
+  if (minutes < 1) return "now";
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  if (days < 14) return `${days}d`;
+  if (days < 60) return `${Math.floor(days / 7)}w`;
+  if (days < 365) return `${Math.floor(days / 30)}mo`;
+  return `${Math.floor(days / 365)}y`;
+}
+
+function imagePlaceholders(payload) {
+  const images = [];
+  if (Array.isArray(payload?.images)) images.push(...payload.images);
+  if (Array.isArray(payload?.local_images)) images.push(...payload.local_images);
+  if (images.length === 0) return [];
+  return images.map((_, index) => `[image ${index + 1}]`);
+}
+
+function imageReference(image, fallbackSource) {
+  const value = typeof image === "string" ? image : image?.url || image?.path;
+  if (!value) return { source: fallbackSource, mediaType: null };
+  const dataMatch = value.match(/^data:([^;,]+)/u);
+  if (dataMatch) return { source: "inline", mediaType: dataMatch[1] };
+  if (/^https?:/iu.test(value)) return { source: "url", url: value };
+  return { source: "file", path: value };
+}
+
+function imageReferences(payload) {
+  const images = [];
+  if (Array.isArray(payload?.images)) {
+    images.push(
+      ...payload.images.map((image) => imageReference(image, "inline")),
+    );
+  }
+  if (Array.isArray(payload?.local_images)) {
+    images.push(
+      ...payload.local_images.map((image) => imageReference(image, "file")),
+    );
+  }
+  return images;
+}
+
+function contentImageReferences(content) {
+  if (!Array.isArray(content)) return [];
+  return content
+    .filter((item) => item?.type === "input_image")
+    .map((item) => imageReference(item.image_url, "inline"));
+}
+
+function appendImages(text, payload) {
+  const placeholders = imagePlaceholders(payload);
+  if (placeholders.length === 0) return text;
+  const suffix = placeholders.join("\n");
+  if (!text) return suffix;
+  return `${text}\n\n${suffix}`;
+}
+
+function buildReasoningSummary(summary) {
+  if (!Array.isArray(summary)) return "";
+  return summary
+    .filter((item) => item?.type === "summary_text")
+    .map((item) => item.text)
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function buildTextFromContent(content) {
+  if (!Array.isArray(content)) return "";
+  const parts = content
+    .filter(
+      (item) => item?.type === "input_text" || item?.type === "output_text",
+    )
+    .map((item) => item.text)
+    .filter(Boolean);
+  return parts.join("\n");
+}
+
+export async function extractConversation(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+  return extractConversationFromStream(stream);
+}
+
+// Incremental rollout parser. Lines can be pushed as they are appended to a
+// file, `entries()` returns the conversation parsed so far and `details()`
+// the session details (model, timestamps, tokens, turn and tool counts).
+export function createConversationParser() {
+  const collector = createDetailsCollector();
+  const eventMessages = [];
+  const fallbackMessages = [];
+  const toolEntries = [];
+  const toolsByCallId = new Map();
+  let hasEventMessages = false;
+
+  const pushTool = (entry, timestamp) => {
+    entry.timestamp = timestamp;
+    toolEntries.push(entry);
+    if (entry.callId) toolsByCallId.set(entry.callId, entry);
+    eventMessages.push(entry);
+    fallbackMessages.push(entry);
+  };
+
+  const push = (line) => {
+    if (!line.trim()) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      return;
+    }
+    const timestamp = parsed?.timestamp || null;
+    collector.push(parsed);
+
+    if (parsed?.type === "event_msg") {
+      const payload = parsed.payload || {};
+      const msgType = payload.type;
+      if (msgType === "user_message") {
+        const text = appendImages(payload.message || "", payload);
+        if (!shouldExcludeText(text)) {
+          eventMessages.push({
+            role: "user",
+            text,
+            timestamp,
+            images: imageReferences(payload),
+          });
+          hasEventMessages = true;
+        }
+      }
+      if (msgType === "agent_message" || msgType === "assistant_message") {
+        const text = payload.message || "";
+        if (!shouldExcludeText(text)) {
+          eventMessages.push({ role: "assistant", text, timestamp });
+          hasEventMessages = true;
+        }
+      }
+      if (msgType === "agent_reasoning" && payload.text) {
+        eventMessages.push({
+          role: "reasoning",
+          text: payload.text,
+          timestamp,
+        });
+      }
+      if (msgType === "exec_command_begin") {
+        const existing = toolsByCallId.get(payload.call_id);
+        if (existing) {
+          applyExecBegin(existing, payload);
+        } else {
+          pushTool(createExecBeginEntry(payload), timestamp);
+        }
+      }
+      if (msgType === "exec_command_end") {
+        const existing = toolsByCallId.get(payload.call_id);
+        if (existing) applyExecEnd(existing, payload);
+      }
+    }
+
+    if (parsed?.type === "response_item") {
+      const payload = parsed.payload || {};
+      if (payload.type === "message") {
+        const role = payload.role;
+        if (role === "user" || role === "assistant") {
+          const text = buildTextFromContent(payload.content);
+          if (!shouldExcludeText(text)) {
+            fallbackMessages.push({
+              role,
+              text,
+              timestamp,
+              images:
+                role === "user" ? contentImageReferences(payload.content) : [],
+            });
+          }
+        }
+      }
+      if (payload.type === "reasoning") {
+        const text = buildReasoningSummary(payload.summary);
+        if (text) {
+          fallbackMessages.push({ role: "reasoning", text, timestamp });
+        }
+      }
+      if (
+        payload.type === "function_call" ||
+        payload.type === "local_shell_call" ||
+        payload.type === "custom_tool_call"
+      ) {
+        if (!toolsByCallId.has(payload.call_id)) {
+          pushTool(
+            payload.type === "function_call"
+              ? createFunctionCallEntry(payload)
+              : payload.type === "local_shell_call"
+                ? createLocalShellCallEntry(payload)
+                : createCustomToolCallEntry(payload),
+            timestamp,
+          );
+        }
+      }
+      if (
+        payload.type === "function_call_output" ||
+        payload.type === "custom_tool_call_output"
+      ) {
+        const existing = toolsByCallId.get(payload.call_id);
+        if (existing) applyToolOutput(existing, payload);
+      }
+    }
+  };
+
+  const entries = () => {
+    for (const entry of toolEntries) {
+      entry.text = summarizeToolEntry(entry);
+    }
+    return [...(hasEventMessages ? eventMessages : fallbackMessages)];
+  };
+
+  const details = () => collector.summary(entries());
+
+  return { push, entries, details };
+}
+
+async function parseRolloutStream(input) {
+  const parser = createConversationParser();
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of rl) {
+    parser.push(line);
+  }
+  return parser;
+}
+
+export async function extractConversationFromStream(input) {
+  return (await parseRolloutStream(input)).entries();
+}
+
+export async function extractSessionDetails(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+  return (await parseRolloutStream(stream)).details();
+}
+
+// The user or assistant message a rollout line adds to the conversation,
+// filtered like `createConversationParser` does. `source` is "event" for
+// `event_msg` lines and "fallback" for `response_item` messages, which are
+// only shown when a rollout has no message events.
+function parseMessageLine(line) {
+  if (!line.trim()) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  const payload = parsed?.payload || {};
+  let message = null;
+  if (parsed?.type === "event_msg") {
+    if (payload.type === "user_message") {
+      message = {
+        source: "event",
+        role: "user",
+        text: appendImages(payload.message || "", payload),
+      };
+    } else if (
+      payload.type === "agent_message" ||
+      payload.type === "assistant_message"
+    ) {
+      message = {
+        source: "event",
+        role: "assistant",
+        text: payload.message || "",
+      };
+    }
+  } else if (
+    parsed?.type === "response_item" &&
+    payload.type === "message" &&
+    (payload.role === "user" || payload.role === "assistant")
+  ) {
+    message = {
+      source: "fallback",
+      role: payload.role,
+      text: buildTextFromContent(payload.content),
+    };
+  }
+  return message && !shouldExcludeText(message.text) ? message : null;
+}
+
+// Reads a rollout only as far as its first user message, which titles the
+// session, along with the session_meta on the first line. Rollouts without
+// message events are titled by their first user `message` item, which can
+// only be known at the end of the file.
+async function readSessionHead(filePath) {
+  let meta = null;
+  let firstLine = true;
+  let hasEvents = false;
+  let fallbackTitle = null;
+  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of rl) {
+      if (firstLine) {
+        firstLine = false;
+        meta = parseSessionMeta(line.trim());
+      }
+      const message = parseMessageLine(line);
+      if (message?.source === "event") {
+        hasEvents = true;
+        if (message.role === "user") {
+          return { meta, title: buildSessionTitle(message.text) || null };
+        }
+      } else if (message?.role === "user" && fallbackTitle === null) {
+        fallbackTitle = message.text;
+      }
+    }
+  } catch {
+    return { meta, title: null };
+  } finally {
+    rl.close();
+    stream.destroy();
+  }
+  return {
+    meta,
+    title: hasEvents ? null : buildSessionTitle(fallbackTitle) || null,
+  };
+}
+
+function countMessageLine(scan, line) {
+  const message = parseMessageLine(line);
+  if (message) scan[message.source] += 1;
+}
+
+// Counts the messages of a rollout from where `previous` stopped, so a file
+// that only grew is read from its old end. `offset` always ends on a whole
+// line; a last line without its newline is counted once it parses.
+async function scanMessageCounts(filePath, size, previous) {
+  const scan =
+    previous && previous.offset <= size
+      ? { ...previous }
+      : { offset: 0, event: 0, fallback: 0 };
+  if (scan.offset >= size) return scan;
+  const stream = fs.createReadStream(filePath, {
+    start: scan.offset,
+    end: size - 1,
+  });
+  let pending = Buffer.alloc(0);
+  for await (const chunk of stream) {
+    const data = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    let start = 0;
+    for (
+      let end = data.indexOf(10);
+      end !== -1;
+      end = data.indexOf(10, start)
+    ) {
+      countMessageLine(scan, data.toString("utf8", start, end));
+      scan.offset += end + 1 - start;
+      start = end + 1;
+    }
+    pending = data.subarray(start);
+  }
+  const rest = pending.toString("utf8");
+  if (rest.trim()) {
+    try {
+      JSON.parse(rest);
+      countMessageLine(scan, rest);
+      scan.offset += pending.length;
+    } catch {}
+  }
+  return scan;
+}
+
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+// Follows a rollout file as it grows. Each `read()` parses only the bytes
+// appended since the previous call and resolves to the updated entries, or
+// to null when nothing changed. A truncated file is parsed again from the start.
+export function createConversationTail(filePath) {
+  let parser = createConversationParser();
+  let decoder = new StringDecoder("utf8");
+  let offset = 0;
+  let remainder = "";
+  let loaded = false;
+  let pending = Promise.resolve(null);
+
+  const pushText = (text) => {
+    const lines = `${remainder}${text}`.split("\n");
+    remainder = lines.pop();
+    for (const line of lines) parser.push(line);
+    if (remainder.trim().endsWith("}")) {
+      try {
+        JSON.parse(remainder);
+        parser.push(remainder);
+        remainder = "";
+      } catch {}
+    }
+  };
+
+  const readAppended = async () => {
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const { size } = await handle.stat();
+      if (size < offset) {
+        parser = createConversationParser();
+        decoder = new StringDecoder("utf8");
+        offset = 0;
+        remainder = "";
+        loaded = false;
+      }
+      if (loaded && size === offset) return null;
+      const buffer = Buffer.alloc(TAIL_CHUNK_SIZE);
+      while (offset < size) {
+        const { bytesRead } = await handle.read(
+          buffer,
+          0,
+          Math.min(buffer.length, size - offset),
+          offset,
+        );
+        if (bytesRead === 0) break;
+        offset += bytesRead;
+        pushText(decoder.write(buffer.subarray(0, bytesRead)));
+      }
+      loaded = true;
+      return parser.entries();
+    } finally {
+      await handle.close();
+    }
+  };
+
+  return {
+    path: filePath,
+    details() {
+      return parser.details();
+    },
+    read() {
+      pending = pending.then(readAppended, readAppended);
+      return pending;
+    },
+  };
+}
+
+export function roleLabel(role) {
+  if (role === "user") return "User";
+  if (role === "tool") return "Tool";
+  if (role === "reasoning") return "Reasoning";
+  return "Assistant";
+}
+
+function fenceFor(text) {
+  const runs = text.match(/`{3,}/gu) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+  return "`".repeat(longest + 1);
+}
+
+function buildToolMarkdownBlock(entry) {
+  const lines = [`### ${roleLabel(entry.role)}`, entry.text || ""];
+  if (entry.cwd) lines.push(`cwd: \`${entry.cwd}\``);
+  const patch = findPatchText(entry);
+  const input = patch
+    ? [
+        "Diff",
+        patchDisplayLines(parseApplyPatch(patch))
+          .map(({ text }) => text)
+          .join("\n"),
+        "diff",
+      ]
+    : ["Input", entry.input];
+  for (const [label, body, language = ""] of [
+    input,
+    ["Output", entry.output],
+  ]) {
+    if (!body) continue;
+    const fence = fenceFor(body);
+    lines.push(
+      "",
+      `${label}:`,
+      "",
+      `${fence}${language}`,
+      body.replace(/\n$/u, ""),
+      fence,
+    );
+  }
+  return lines.join("\n");
+}
+
+function buildReasoningMarkdownBlock(entry) {
+  const body = (entry.text || "").replace(/\n+$/u, "");
+  return `<details>\n<summary>Reasoning</summary>\n\n${body}\n\n</details>`;
+}
+
+export function buildMarkdownBlock(entry) {
+  if (entry.role === "tool") return buildToolMarkdownBlock(entry);
+  if (entry.role === "reasoning") return buildReasoningMarkdownBlock(entry);
+  const header = `### ${roleLabel(entry.role)}`;
+  const body = entry.text || "";
+  return `${header}\n${body}`;
+}
+
+export function filterEntries(entries, options = {}) {
+  return entries.filter((entry) => {
+    if (entry.role === "tool") return Boolean(options.includeTools);
+    if (entry.role === "reasoning") return Boolean(options.includeReasoning);
+    return true;
+  });
+}
+
+// The star, tags and note saved for a session, as a quote above the
+// conversation.
+export function buildAnnotationMarkdown(session) {
+  const paragraphs = [];
+  if (session?.starred) paragraphs.push("**Starred**");
+  if (session?.tags?.length) {
+    paragraphs.push(`**Tags:** ${session.tags.join(", ")}`);
+  }
+  if (session?.note) paragraphs.push(`**Note:** ${session.note}`);
+  if (!paragraphs.length) return "";
+  return paragraphs
+    .join("\n\n")
+    .split("\n")
+    .map((line) => (line ? `> ${line}` : ">"))
+    .join("\n");
+}
+
+export function buildMarkdown(entries, options = {}) {
+  const blocks = filterEntries(entries, options).map((entry) =>
+    buildMarkdownBlock(entry),
+  );
+  const header = buildAnnotationMarkdown(options.session);
+  if (header) blocks.unshift(header);
+  return `${blocks.join("\n\n")}\n`;
+}
+
+function sanitizeFileNamePart(value) {
+  return String(value || "")
+    .replace(/[\\/:*?"<>|\s]+/gu, "-")
+    .replace(/^-+|-+$/gu, "");
+}
+
+// `pattern` uses `{id}` `{date}` `{time}` `{repo}` `{branch}` placeholders;
+// the extension is always appended.
+export function exportFileName(
+  session,
+  extension = ".md",
+  pattern = DEFAULT_EXPORT_FILE_NAME,
+) {
+  const fallback = path.basename(session?.path || "session", ".jsonl");
+  const startedMs = session?.startedAt
+    ? Date.parse(session.startedAt)
+    : session?.sortKey;
+  const [date = "", time = ""] = Number.isFinite(startedMs)
+    ? formatLocalTimestamp(new Date(startedMs)).split(" ")
+    : [];
+  const values = {
+    id: session?.id || fallback,
+    date,
+    time: time.replaceAll(":", ""),
+    repo: parseRepoName(
+      session?.git?.repository_url || session?.git?.repositoryUrl || "",
+    ),
+    branch: session?.git?.branch || "",
+  };
+  const base = pattern
+    .replace(/\{(\w+)\}/gu, (match, field) =>
+      field in values ? sanitizeFileNamePart(values[field]) : match,
+    )
+    .replace(/([-_.])[-_.]+/gu, "$1")
+    .replace(/^[-_.]+|[-_.]+$/gu, "");
+  return `${base || fallback}${extension}`;
+}
+
+export function defaultExportPath(session, extension = ".md", options = {}) {
+  const { directory = process.cwd(), pattern } = options;
+  return path.join(directory, exportFileName(session, extension, pattern));
+}
+
+export function sessionResumeId(session) {
+  return session?.id || null;
+}
+
+async function statFile(filePath) {
+  try {
+    return await fs.promises.stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// Rollouts are append-only, so once a `previous` entry for the same file has
+// a title, its session_meta fields and title are kept and only the new lines
+// are read. Message counts are only kept up when `countMessages` is set.
+export async function buildSessionEntry(
+  filePath,
+  baseDir,
+  knownStat,
+  options = {},
+) {
+  const { previous = null, countMessages = false } = options;
+  const stat = knownStat || (await statFile(filePath));
+  let entry;
+  if (previous?.title) {
+    entry = {
+      id: previous.id,
+      label: previous.label,
+      title: previous.title,
+      startedAt: previous.startedAt,
+      cwd: previous.cwd,
+      git: previous.git,
+    };
+  } else {
+    const { meta, title } = await readSessionHead(filePath);
+    const tsRaw = meta?.payload?.timestamp || meta?.timestamp;
+    const metaTs = tsRaw ? Date.parse(tsRaw) : NaN;
+    entry = {
+      id: meta?.payload?.id || null,
+      label: buildSessionLabel(meta, filePath, baseDir),
+      title,
+      startedAt: Number.isNaN(metaTs) ? null : new Date(metaTs).toISOString(),
+      cwd: meta?.payload?.cwd || null,
+      git: meta?.payload?.git || meta?.git || null,
+    };
+  }
+  let messageScan = null;
+  if (countMessages && stat) {
+    try {
+      messageScan = await scanMessageCounts(
+        filePath,
+        stat.size,
+        previous?.messageScan,
+      );
+    } catch {}
+  }
+  const mtimeMs = Number.isFinite(stat?.mtimeMs) ? stat.mtimeMs : 0;
+  const filenameMs = parseTimestampMsFromFilename(filePath) || 0;
+  const metaMs = entry.startedAt ? Date.parse(entry.startedAt) : 0;
+  return {
+    id: entry.id,
+    label: entry.label,
+    title: entry.title,
+    messageCount: messageScan
+      ? messageScan.event || messageScan.fallback
+      : null,
+    messageScan,
+    path: filePath,
+    sortKey: mtimeMs || metaMs || filenameMs || 0,
+    startedAt: entry.startedAt,
+    cwd: entry.cwd,
+    git: entry.git,
+  };
+}
+
+export function sortSessions(sessions) {
+  return sessions.sort((a, b) => {
+    if (a.sortKey !== b.sortKey) return b.sortKey - a.sortKey;
+    return a.label.localeCompare(b.label);
+  });
+}
+
+// Session metadata, titles and message counts are cached by path, mtime and
+// size, so only new or changed rollouts are re-read. `rebuildCache` ignores
+// the existing entries.
+// `baseDir` may be a list of directories; a file found twice is loaded once.
+export async function loadSessions(baseDir = DEFAULT_SESSIONS_DIR, options = {}) {
+  const {
+    cache = true,
+    rebuildCache = false,
+    cacheDir = DEFAULT_CACHE_DIR,
+    concurrency = SESSION_LOAD_CONCURRENCY,
+    countMessages = false,
+    onProgress,
+  } = options;
+  const dirs = sessionDirs(baseDir);
+  const files = [];
+  const dirByFile = new Map();
+  for (const dir of dirs) {
+    for (const filePath of await findJsonlFiles(dir)) {
+      const key = path.resolve(filePath);
+      if (dirByFile.has(key)) continue;
+      dirByFile.set(key, dir);
+      files.push(filePath);
+    }
+  }
+  const cached = cache
+    ? await readSessionCache(cacheDir, cacheSettings())
+    : new Map();
+  let changed = rebuildCache;
+  let loaded = 0;
+
+  const sessions = await mapWithConcurrency(
+    files,
+    concurrency,
+    async (filePath) => {
+      const key = path.resolve(filePath);
+      const stat = await statFile(filePath);
+      const entry = cached.get(key);
+      let session;
+      if (
+        !rebuildCache &&
+        isCacheEntryFresh(entry, stat) &&
+        (!countMessages || entry.session.messageScan)
+      ) {
+        session = { ...entry.session, path: filePath };
+      } else {
+        session = await buildSessionEntry(filePath, dirByFile.get(key), stat, {
+          previous: rebuildCache ? null : entry?.session,
+          countMessages,
+        });
+        changed = true;
+        if (stat) {
+          cached.set(key, { mtimeMs: stat.mtimeMs, size: stat.size, session });
+        }
+      }
+      loaded += 1;
+      onProgress?.({ loaded, total: files.length });
+      return session;
+    },
+  );
+
+  if (cache) {
+    const roots = dirs.map((dir) => `${path.resolve(dir)}${path.sep}`);
+    for (const key of cached.keys()) {
+      if (roots.some((root) => key.startsWith(root)) && !dirByFile.has(key)) {
+        cached.delete(key);
+        changed = true;
+      }
+    }
+    if (changed) {
+      try {
+        await writeSessionCache(cached, cacheDir, cacheSettings());
+      } catch {}
+    }
+  }
+
+  return sortSessions(sessions);
+}
+
+// Applies watcher notifications to a loaded session list. Known files are
+// re-read individually; unknown paths (or `null`, meaning "anything") fall
+// back to a full load, which is cheap with the metadata cache. Known files
+// only have their new lines read.
+export async function refreshSessions(
+  sessions,
+  changedPaths,
+  baseDir = DEFAULT_SESSIONS_DIR,
+  options = {},
+) {
+  const paths = changedPaths?.filter((filePath) => filePath.endsWith(".jsonl"));
+  if (paths && !paths.length) return sessions;
+  const known = new Map(sessions.map((session) => [session.path, session]));
+  if (!paths || !paths.every((filePath) => known.has(filePath))) {
+    return loadSessions(baseDir, options);
+  }
+  const updated = await Promise.all(
+    paths.map(async (filePath) => {
+      const stat = await statFile(filePath);
+      return [
+        filePath,
+        stat?.isFile()
+          ? await buildSessionEntry(
+              filePath,
+              sessionDirFor(sessionDirs(baseDir), filePath),
+              stat,
+              {
+                previous: known.get(filePath),
+                countMessages: options.countMessages,
+              },
+            )
+          : null,
+      ];
+    }),
+  );
+  for (const [filePath, session] of updated) {
+    if (session) {
+      known.set(filePath, session);
+    } else {
+      known.delete(filePath);
+    }
+  }
+  return sortSessions([...known.values()]);
+}
+
+export class SessionLookupError extends Error {
+  constructor(message, code, candidates = []) {
+    super(message);
+    this.name = "SessionLookupError";
+    this.code = code;
+    this.candidates = candidates;
+  }
+}
+
+async function isFile(filePath) {
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.isFile();
+  } catch {
+    return false;
+  }
+}
+
+export async function resolveSession(
+  query,
+  baseDir = DEFAULT_SESSIONS_DIR,
+  loadOptions = {},
+) {
+  if (!query) {
+    throw new SessionLookupError("session id or path is required", "missing");
+  }
+  const looksLikePath =
+    query.includes(path.sep) || query.includes("/") || query.endsWith(".jsonl");
+  if (looksLikePath || (await isFile(query))) {
+    const filePath = path.resolve(query);
+    if (!(await isFile(filePath))) {
+      throw new SessionLookupError(`file not found: ${query}`, "not_found");
+    }
+    return buildSessionEntry(filePath, path.dirname(filePath));
+  }
+
+  const sessions = await loadSessions(baseDir, loadOptions);
+  const exact = sessions.find((session) => session.id === query);
+  if (exact) return exact;
+  const matches = sessions.filter((session) => session.id?.startsWith(query));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new SessionLookupError(
+      `session id prefix is ambiguous: ${query}`,
+      "ambiguous",
+      matches,
+    );
+  }
+  throw new SessionLookupError(`session not found: ${query}`, "not_found");
+}
@@ -0,0 +1,428 @@
+import { tokenizeCode } from "./highlight.js";
+import { parseInline, parseMarkdownBlocks } from "./markdown.js";
+import { graphemeWidth, graphemes, stringWidth } from "./width.js";
+
+// Renders Markdown into lines of styled spans that already fit `width`.
+// Each line is `{ spans, text, searchText, searchStart, continues }`: `text`
+// is the plain line, `searchText` the part that belongs to the source text
+// (without list markers or indentation, plus the space a wrap swallowed), and
+// `continues` marks a soft wrap of the previous line so find can match
+// across it.
+
+const TOKEN_STYLES = {
+  comment: { color: "gray" },
+  string: { color: "green" },
+  number: { color: "yellow" },
+  literal: { color: "yellow" },
+  keyword: { color: "magenta" },
+  function: { color: "blue" },
+  addition: { color: "green" },
+  deletion: { color: "red" },
+  meta: { color: "cyan" },
+};
+
+const CODE_SPAN_STYLE = { color: "magenta" };
+const MARKER_STYLE = { dim: true };
+
+function inlineSpans(tokens, style = {}) {
+  const spans = [];
+  for (const token of tokens) {
+    if (token.type === "code") {
+      spans.push({ ...style, ...CODE_SPAN_STYLE, text: token.text });
+    } else if (token.type === "strong") {
+      spans.push(...inlineSpans(token.children, { ...style, bold: true }));
+    } else if (token.type === "em") {
+      spans.push(...inlineSpans(token.children, { ...style, italic: true }));
+    } else if (token.type === "link") {
+      const children = inlineSpans(token.children, {
+        ...style,
+        underline: true,
+      });
+      spans.push(...children);
+      const label = children.map((span) => span.text).join("");
+      if (token.href && token.href !== label) {
+        spans.push({ ...style, dim: true, text: ` (${token.href})` });
+      }
+    } else {
+      spans.push({ ...style, text: token.text });
+    }
+  }
+  return spans;
+}
+
+function markdownSpans(text, style) {
+  return inlineSpans(parseInline(text || ""), style);
+}
+
+function spansText(spans) {
+  return spans.map((span) => span.text).join("");
+}
+
+function spansWidth(spans) {
+  return spans.reduce((sum, span) => sum + stringWidth(span.text), 0);
+}
+
+function expandTabs(text) {
+  return text.replace(/\t/gu, "  ");
+}
+
+// Splits spans into words, runs of spaces and hard breaks. A word can cross
+// span boundaries (for example `**bold**,`) and is only split when it is
+// wider than a whole line.
+function toAtoms(spans) {
+  const atoms = [];
+  for (const span of spans) {
+    const pattern = /(\n)|([ \t]+)|([^ \t\n]+)/gu;
+    for (const match of expandTabs(span.text).matchAll(pattern)) {
+      if (match[1]) {
+        atoms.push({ type: "break" });
+        continue;
+      }
+      const type = match[2] ? "space" : "word";
+      const part = { ...span, text: match[0] };
+      const last = atoms[atoms.length - 1];
+      if (last && last.type === type) {
+        last.parts.push(part);
+        last.width += stringWidth(part.text);
+      } else {
+        atoms.push({ type, parts: [part], width: stringWidth(part.text) });
+      }
+    }
+  }
+  return atoms;
+}
+
+function splitPartsByWidth(parts, maxWidth) {
+  const head = [];
+  const tail = [];
+  let width = 0;
+  for (const part of parts) {
+    if (tail.length) {
+      tail.push(part);
+      continue;
+    }
+    let taken = "";
+    let rest = "";
+    for (const cluster of graphemes(part.text)) {
+      const clusterWidth = graphemeWidth(cluster);
+      if (rest || (width + clusterWidth > maxWidth && (width > 0 || taken))) {
+        rest += cluster;
+        continue;
+      }
+      taken += cluster;
+      width += clusterWidth;
+    }
+    if (taken) head.push({ ...part, text: taken });
+    if (rest) tail.push({ ...part, text: rest });
+  }
+  return { head, tail, width };
+}
+
+function makeLine(prefix, parts, options = {}) {
+  const prefixText = spansText(prefix);
+  const content = spansText(parts);
+  return {
+    spans: [...prefix, ...parts],
+    text: `${prefixText}${content}`,
+    searchText: `${content}${options.trailing || ""}`,
+    searchStart: prefixText.length,
+    continues: Boolean(options.continues),
+  };
+}
+
+function wrapAtoms(atoms, width, firstPrefix = [], restPrefix = firstPrefix) {
+  const lines = [];
+  let prefix = firstPrefix;
+  let parts = [];
+  let lineWidth = 0;
+  let pendingSpace = null;
+  let continues = false;
+
+  const available = () => Math.max(1, width - spansWidth(prefix));
+  const flush = (trailing, nextContinues) => {
+    lines.push(makeLine(prefix, parts, { continues, trailing }));
+    prefix = restPrefix;
+    parts = [];
+    lineWidth = 0;
+    pendingSpace = null;
+    continues = nextContinues;
+  };
+
+  for (const atom of atoms) {
+    if (atom.type === "break") {
+      flush("", false);
+      continue;
+    }
+    if (atom.type === "space") {
+      if (lineWidth > 0) pendingSpace = atom;
+      continue;
+    }
+    const spaceWidth = pendingSpace ? pendingSpace.width : 0;
+    if (lineWidth + spaceWidth + atom.width <= available()) {
+      if (pendingSpace) parts.push(...pendingSpace.parts);
+      parts.push(...atom.parts);
+      lineWidth += spaceWidth + atom.width;
+      pendingSpace = null;
+      continue;
+    }
+    if (
+      lineWidth > 0 &&
+      atom.width <= Math.max(1, width - spansWidth(restPrefix))
+    ) {
+      flush(pendingSpace ? spansText(pendingSpace.parts) : "", true);
+      parts.push(...atom.parts);
+      lineWidth = atom.width;
+      continue;
+    }
+    if (pendingSpace) {
+      parts.push(...pendingSpace.parts);
+      lineWidth += spaceWidth;
+      pendingSpace = null;
+    }
+    let remaining = atom.parts;
+    while (remaining.length) {
+      const room = available() - lineWidth;
+      if (room <= 0) {
+        flush("", true);
+        continue;
+      }
+      const { head, tail, width: used } = splitPartsByWidth(remaining, room);
+      parts.push(...head);
+      lineWidth += used;
+      remaining = tail;
+      if (remaining.length) flush("", true);
+    }
+  }
+  if (parts.length || !lines.length) flush("", false);
+  return lines;
+}
+
+function wrapSpans(spans, width, firstPrefix, restPrefix) {
+  return wrapAtoms(toAtoms(spans), width, firstPrefix, restPrefix);
+}
+
+function codeAtoms(tokens) {
+  const atoms = [];
+  for (const token of tokens) {
+    const style = TOKEN_STYLES[token.type] || {};
+    const pieces =
+      token.type === "plain" ? token.text.split(/(\s+)/u) : [token.text];
+    for (const piece of pieces) {
+      if (!piece) continue;
+      atoms.push({
+        type: "word",
+        parts: [{ ...style, text: piece }],
+        width: stringWidth(piece),
+      });
+    }
+  }
+  return atoms;
+}
+
+// Code lines wrap between tokens (and at whitespace inside plain runs) rather
+// than at the column limit, so identifiers and strings stay intact.
+function renderCode(block, width) {
+  const lines = [];
+  if (block.lang) {
+    lines.push(makeLine([], [{ ...MARKER_STYLE, text: block.lang }]));
+  }
+  const indent = [{ text: "  " }];
+  const tokens = tokenizeCode(expandTabs(block.text), block.lang);
+  let current = [];
+  const flushLine = () => {
+    const atoms = codeAtoms(current);
+    const wrapped = [];
+    let parts = [];
+    let lineWidth = 0;
+    const room = Math.max(1, width - 2);
+    for (const atom of atoms) {
+      if (lineWidth + atom.width <= room) {
+        parts.push(...atom.parts);
+        lineWidth += atom.width;
+        continue;
+      }
+      if (lineWidth > 0 && atom.width <= room) {
+        wrapped.push(parts);
+        parts = [...atom.parts];
+        lineWidth = atom.width;
+        continue;
+      }
+      let remaining = atom.parts;
+      while (remaining.length) {
+        if (lineWidth >= room) {
+          wrapped.push(parts);
+          parts = [];
+          lineWidth = 0;
+        }
+        const {
+          head,
+          tail,
+          width: used,
+        } = splitPartsByWidth(remaining, room - lineWidth);
+        parts.push(...head);
+        lineWidth += used;
+        remaining = tail;
+      }
+    }
+    wrapped.push(parts);
+    wrapped.forEach((lineParts, index) => {
+      lines.push(makeLine(indent, lineParts, { continues: index > 0 }));
+    });
+    current = [];
+  };
+  for (const token of tokens) {
+    const segments = token.text.split("\n");
+    segments.forEach((segment, index) => {
+      if (index > 0) flushLine();
+      if (segment) current.push({ type: token.type, text: segment });
+    });
+  }
+  flushLine();
+  return lines;
+}
+
+function renderList(items, width) {
+  const lines = [];
+  const counters = [];
+  for (const item of items) {
+    counters.length = item.depth + 1;
+    let marker = "-";
+    if (item.ordered) {
+      const next =
+        counters[item.depth] === undefined
+          ? (item.number ?? 1)
+          : counters[item.depth] + 1;
+      counters[item.depth] = next;
+      marker = `${next}.`;
+    } else {
+      counters[item.depth] = undefined;
+    }
+    const indent = "  ".repeat(item.depth);
+    const first = [{ text: indent }, { ...MARKER_STYLE, text: `${marker} ` }];
+    const rest = [{ text: `${indent}${" ".repeat(marker.length + 1)}` }];
+    lines.push(...wrapSpans(markdownSpans(item.text), width, first, rest));
+  }
+  return lines;
+}
+
+function alignParts(parts, width, align) {
+  const gap = Math.max(0, width - spansWidth(parts));
+  if (align === "right") return [{ text: " ".repeat(gap) }, ...parts];
+  if (align === "center") {
+    const left = Math.floor(gap / 2);
+    return [
+      { text: " ".repeat(left) },
+      ...parts,
+      { text: " ".repeat(gap - left) },
+    ];
+  }
+  return [...parts, { text: " ".repeat(gap) }];
+}
+
+function columnWidths(cells, width) {
+  const count = cells[0].length;
+  const widths = Array.from({ length: count }, (_, column) =>
+    Math.max(3, ...cells.map((row) => spansWidth(row[column]))),
+  );
+  const available = width - (count - 1) * 3;
+  let total = widths.reduce((sum, value) => sum + value, 0);
+  while (total > available) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= 3) break;
+    widths[widest] -= 1;
+    total -= 1;
+  }
+  return total <= available ? widths : null;
+}
+
+function renderTable(block, width) {
+  const columns = block.header.length;
+  const header = block.header.map((text) =>
+    markdownSpans(text, { bold: true }),
+  );
+  const rows = block.rows.map((row) =>
+    Array.from({ length: columns }, (_, index) => markdownSpans(row[index])),
+  );
+  const widths = columnWidths([header, ...rows], width);
+  if (!widths) {
+    return [header, ...rows].flatMap((cells) =>
+      wrapSpans(
+        cells.flatMap((cell, index) =>
+          index ? [{ ...MARKER_STYLE, text: " | " }, ...cell] : cell,
+        ),
+        width,
+      ),
+    );
+  }
+
+  const renderRow = (cells) => {
+    const wrapped = cells.map((cell, index) =>
+      wrapSpans(cell, widths[index]).map((line) => line.spans),
+    );
+    const height = Math.max(...wrapped.map((cellLines) => cellLines.length));
+    const lines = [];
+    for (let lineIndex = 0; lineIndex < height; lineIndex += 1) {
+      const parts = [];
+      wrapped.forEach((cellLines, index) => {
+        if (index) parts.push({ ...MARKER_STYLE, text: " | " });
+        parts.push(
+          ...alignParts(
+            cellLines[lineIndex] || [],
+            widths[index],
+            block.align[index],
+          ),
+        );
+      });
+      lines.push(makeLine([], parts));
+    }
+    return lines;
+  };
+
+  const separator = makeLine(
+    [],
+    [
+      {
+        ...MARKER_STYLE,
+        text: widths.map((value) => "-".repeat(value)).join("-+-"),
+      },
+    ],
+  );
+  return [...renderRow(header), separator, ...rows.flatMap(renderRow)];
+}
+
+function renderBlock(block, width) {
+  if (block.type === "code") return renderCode(block, width);
+  if (block.type === "heading") {
+    const style = { bold: true, underline: block.level <= 2 };
+    return wrapSpans(markdownSpans(block.text, style), width);
+  }
+  if (block.type === "rule") {
+    return [makeLine([], [{ ...MARKER_STYLE, text: "-".repeat(width) }])];
+  }
+  if (block.type === "table") return renderTable(block, width);
+  if (block.type === "list") return renderList(block.items, width);
+  if (block.type === "quote") {
+    const prefix = { ...MARKER_STYLE, text: "> " };
+    return renderBlocks(block.blocks, Math.max(1, width - 2)).map((line) => ({
+      ...line,
+      spans: [prefix, ...line.spans],
+      text: `${prefix.text}${line.text}`,
+      searchStart: line.searchStart + prefix.text.length,
+    }));
+  }
+  return wrapSpans(markdownSpans(block.text), width);
+}
+
+function renderBlocks(blocks, width) {
+  const lines = [];
+  blocks.forEach((block, index) => {
+    if (index > 0) lines.push(makeLine([], []));
+    lines.push(...renderBlock(block, width));
+  });
+  return lines;
+}
+
+export function renderTerminalMarkdown(text, width) {
+  const lines = renderBlocks(parseMarkdownBlocks(text), Math.max(1, width));
+  return lines.length ? lines : [makeLine([], [])];
+}
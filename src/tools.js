@@ -0,0 +1,196 @@
+import { findPatchText, parseApplyPatch, patchTotals } from "./patch.js";
+
+const SHELL_TOOL_NAMES = new Set([
+  "shell",
+  "container.exec",
+  "local_shell",
+  "shell_command",
+  "exec_command",
+]);
+
+const SHELL_WRAPPERS = new Set([
+  "bash",
+  "sh",
+  "zsh",
+  "/bin/bash",
+  "/bin/sh",
+  "/bin/zsh",
+]);
+
+function parseJson(text) {
+  if (typeof text !== "string") return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function quoteArg(arg) {
+  if (/^[\w@%+=:,./-]+$/u.test(arg)) return arg;
+  return `'${arg.replace(/'/gu, `'\\''`)}'`;
+}
+
+export function formatCommand(command) {
+  if (typeof command === "string") return command;
+  if (!Array.isArray(command) || command.length === 0) return "";
+  if (
+    command.length === 3 &&
+    SHELL_WRAPPERS.has(command[0]) &&
+    (command[1] === "-lc" || command[1] === "-c")
+  ) {
+    return command[2];
+  }
+  return command.map((arg) => quoteArg(String(arg))).join(" ");
+}
+
+function durationToMs(duration) {
+  if (typeof duration === "number") return duration * 1000;
+  if (duration && typeof duration === "object") {
+    const secs = Number(duration.secs) || 0;
+    const nanos = Number(duration.nanos) || 0;
+    return secs * 1000 + nanos / 1e6;
+  }
+  return null;
+}
+
+export function formatDuration(durationMs) {
+  if (!Number.isFinite(durationMs)) return "";
+  if (durationMs < 1000) return `${Math.round(durationMs)}ms`;
+  return `${(durationMs / 1000).toFixed(1)}s`;
+}
+
+export function parseToolOutput(output) {
+  const raw =
+    typeof output === "string"
+      ? output
+      : typeof output?.content === "string"
+        ? output.content
+        : output == null
+          ? ""
+          : JSON.stringify(output);
+
+  const parsed = parseJson(raw);
+  if (parsed && typeof parsed === "object" && "output" in parsed) {
+    const metadata = parsed.metadata || {};
+    return {
+      text: String(parsed.output ?? ""),
+      exitCode: Number.isInteger(metadata.exit_code)
+        ? metadata.exit_code
+        : null,
+      durationMs: durationToMs(metadata.duration_seconds),
+    };
+  }
+
+  const exitMatch = raw.match(/^Exit code: (-?\d+)$/mu);
+  const wallMatch = raw.match(/^Wall time: ([\d.]+) seconds$/mu);
+  const outputIndex = raw.indexOf("\nOutput:\n");
+  if (exitMatch) {
+    return {
+      text:
+        outputIndex === -1 ? "" : raw.slice(outputIndex + "\nOutput:\n".length),
+      exitCode: Number(exitMatch[1]),
+      durationMs: wallMatch ? Number(wallMatch[1]) * 1000 : null,
+    };
+  }
+  return { text: raw, exitCode: null, durationMs: null };
+}
+
+function baseToolEntry(kind, payload) {
+  return {
+    role: "tool",
+    kind,
+    name: payload.name || null,
+    callId: payload.call_id || payload.id || null,
+    command: null,
+    cwd: null,
+    input: null,
+    output: null,
+    exitCode: null,
+    durationMs: null,
+    text: "",
+  };
+}
+
+export function createFunctionCallEntry(payload) {
+  const args = parseJson(payload.arguments);
+  if (SHELL_TOOL_NAMES.has(payload.name) && args) {
+    const entry = baseToolEntry("exec", payload);
+    entry.command = formatCommand(args.command ?? args.cmd);
+    entry.cwd = args.workdir || args.cwd || null;
+    return entry;
+  }
+  const entry = baseToolEntry("call", payload);
+  entry.input = args ? JSON.stringify(args, null, 2) : payload.arguments || "";
+  return entry;
+}
+
+export function createLocalShellCallEntry(payload) {
+  const entry = baseToolEntry("exec", { ...payload, name: "local_shell" });
+  entry.command = formatCommand(payload.action?.command);
+  entry.cwd = payload.action?.working_directory || null;
+  return entry;
+}
+
+export function createCustomToolCallEntry(payload) {
+  const entry = baseToolEntry("call", payload);
+  entry.input = typeof payload.input === "string" ? payload.input : "";
+  return entry;
+}
+
+export function createExecBeginEntry(payload) {
+  const entry = baseToolEntry("exec", { ...payload, name: "exec" });
+  entry.command = formatCommand(payload.command);
+  entry.cwd = payload.cwd || null;
+  return entry;
+}
+
+export function applyToolOutput(entry, payload) {
+  const parsed = parseToolOutput(payload.output);
+  if (entry.output == null) entry.output = parsed.text;
+  if (entry.exitCode == null) entry.exitCode = parsed.exitCode;
+  if (entry.durationMs == null) entry.durationMs = parsed.durationMs;
+}
+
+export function applyExecBegin(entry, payload) {
+  if (!entry.command) entry.command = formatCommand(payload.command);
+  if (!entry.cwd) entry.cwd = payload.cwd || null;
+}
+
+export function applyExecEnd(entry, payload) {
+  if (Number.isInteger(payload.exit_code)) entry.exitCode = payload.exit_code;
+  const durationMs = durationToMs(payload.duration);
+  if (durationMs != null) entry.durationMs = durationMs;
+  if (entry.output == null) {
+    entry.output =
+      payload.aggregated_output ??
+      payload.formatted_output ??
+      [payload.stdout, payload.stderr].filter(Boolean).join("\n");
+  }
+}
+
+export function summarizeToolEntry(entry) {
+  const patch = findPatchText(entry);
+  if (patch) {
+    const files = parseApplyPatch(patch);
+    const { added, removed } = patchTotals(files);
+    const noun = files.length === 1 ? "file" : "files";
+    const parts = [`edited ${files.length} ${noun} (+${added} -${removed})`];
+    if (entry.exitCode) parts.push(`-> exit ${entry.exitCode}`);
+    return parts.join(" ");
+  }
+  if (entry.kind === "exec") {
+    const parts = [`ran \`${entry.command || entry.name || "command"}\``];
+    if (entry.exitCode != null) parts.push(`-> exit ${entry.exitCode}`);
+    const duration = formatDuration(entry.durationMs);
+    if (duration) parts.push(`(${duration})`);
+    return parts.join(" ");
+  }
+  return `called \`${entry.name || "tool"}\``;
+}
+
+export function toolTitle(entry) {
+  if (findPatchText(entry)) return "Patch";
+  if (entry.kind === "exec") return "Command";
+  return `Tool: ${entry.name || "unknown"}`;
+}
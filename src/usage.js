@@ -0,0 +1,283 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  DEFAULT_CACHE_DIR,
+  isCacheEntryFresh,
+  readUsageCache,
+  writeUsageCache,
+} from "./cache.js";
+import { formatElapsed, formatTokenCount } from "./details.js";
+import {
+  SESSION_LOAD_CONCURRENCY,
+  extractSessionDetails,
+  formatLocalTimestamp,
+  mapWithConcurrency,
+  parseRepoName,
+} from "./sessions.js";
+import { padRightByWidth, stringWidth } from "./width.js";
+
+export const USAGE_GROUPS = ["day", "week", "repo", "branch", "model"];
+
+export const USAGE_FORMATS = ["table", "csv", "json"];
+
+export const USAGE_COLUMNS = [
+  { id: "sessions", label: "Sessions" },
+  { id: "userTurns", label: "User" },
+  { id: "assistantTurns", label: "Assistant" },
+  { id: "toolCalls", label: "Tools" },
+  { id: "durationMs", label: "Duration", format: formatElapsed },
+  { id: "inputTokens", label: "Input" },
+  { id: "cachedInputTokens", label: "Cached" },
+  { id: "outputTokens", label: "Output" },
+  { id: "reasoningOutputTokens", label: "Reasoning" },
+  { id: "totalTokens", label: "Total" },
+];
+
+// Columns the TUI hides, in this order, when the table is wider than the pane.
+export const USAGE_COMPACT_ORDER = [
+  "reasoningOutputTokens",
+  "cachedInputTokens",
+  "assistantTurns",
+  "durationMs",
+  "toolCalls",
+];
+
+const GROUP_LABELS = {
+  day: "Day",
+  week: "Week",
+  repo: "Repository",
+  branch: "Branch",
+  model: "Model",
+};
+
+const NONE = "(none)";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function statFile(filePath) {
+  try {
+    return await fs.promises.stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+// Reads the details of every session, reusing the usage cache for rollouts
+// whose mtime and size have not changed. Failed reads are skipped.
+export async function collectUsage(sessions, options = {}) {
+  const {
+    cache = true,
+    rebuildCache = false,
+    cacheDir = DEFAULT_CACHE_DIR,
+    concurrency = SESSION_LOAD_CONCURRENCY,
+    signal,
+    onProgress,
+  } = options;
+  const cached = cache ? await readUsageCache(cacheDir) : new Map();
+  let changed = rebuildCache;
+  let scanned = 0;
+
+  const records = await mapWithConcurrency(
+    sessions,
+    concurrency,
+    async (session) => {
+      if (signal?.aborted) return null;
+      const key = path.resolve(session.path);
+      const stat = await statFile(session.path);
+      const entry = cached.get(key);
+      let details = null;
+      if (!rebuildCache && isCacheEntryFresh(entry, stat, "details")) {
+        details = entry.details;
+      } else if (stat) {
+        try {
+          details = await extractSessionDetails(session.path);
+          changed = true;
+          cached.set(key, {
+            mtimeMs: stat.mtimeMs,
+            size: stat.size,
+            details,
+          });
+        } catch {}
+      }
+      scanned += 1;
+      onProgress?.({ scanned, total: sessions.length });
+      return details ? { session, details } : null;
+    },
+  );
+
+  if (cache && changed) {
+    try {
+      await writeUsageCache(cached, cacheDir);
+    } catch {}
+  }
+  return records.filter(Boolean);
+}
+
+function sessionStartMs(record) {
+  if (record.details.startMs !== null) return record.details.startMs;
+  const started = Date.parse(record.session.startedAt || "");
+  return Number.isNaN(started) ? record.session.sortKey || 0 : started;
+}
+
+// ISO 8601 week in local time: weeks start on Monday and week 1 holds the
+// year's first Thursday.
+export function isoWeekLabel(timeMs) {
+  const date = new Date(timeMs);
+  const weekday = (date.getDay() + 6) % 7;
+  const thursday = new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() - weekday + 3,
+  );
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const firstWeekday = (firstThursday.getDay() + 6) % 7;
+  const week =
+    1 +
+    Math.round(((thursday - firstThursday) / DAY_MS + firstWeekday - 3) / 7);
+  return `${thursday.getFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// Sessions that switch models are counted under the last model they used.
+function groupValue(record, group) {
+  const { session, details } = record;
+  if (group === "day") {
+    return formatLocalTimestamp(new Date(sessionStartMs(record))).slice(0, 10);
+  }
+  if (group === "week") return isoWeekLabel(sessionStartMs(record));
+  if (group === "repo") {
+    return (
+      parseRepoName(
+        session.git?.repository_url || session.git?.repositoryUrl || "",
+      ) || NONE
+    );
+  }
+  if (group === "branch") return session.git?.branch || NONE;
+  if (group === "model") return details.models.at(-1) || NONE;
+  return NONE;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(USAGE_COLUMNS.map(({ id }) => [id, 0]));
+}
+
+function addRecord(totals, { details }) {
+  totals.sessions += 1;
+  totals.userTurns += details.turns.user;
+  totals.assistantTurns += details.turns.assistant;
+  totals.toolCalls += details.toolCalls;
+  totals.durationMs += details.durationMs || 0;
+  const tokens = details.tokens;
+  if (!tokens) return;
+  totals.inputTokens += tokens.input;
+  totals.cachedInputTokens += tokens.cachedInput;
+  totals.outputTokens += tokens.output;
+  totals.reasoningOutputTokens += tokens.reasoningOutput;
+  totals.totalTokens += tokens.total;
+}
+
+// Rows are ordered by date when grouping by day or week, otherwise by total
+// tokens, largest first.
+export function summarizeUsage(records, groups = ["day"]) {
+  const rows = new Map();
+  const total = emptyTotals();
+  for (const record of records) {
+    const keys = groups.map((group) => groupValue(record, group));
+    const id = JSON.stringify(keys);
+    if (!rows.has(id)) {
+      rows.set(id, {
+        keys: Object.fromEntries(
+          groups.map((group, index) => [group, keys[index]]),
+        ),
+        ...emptyTotals(),
+      });
+    }
+    addRecord(rows.get(id), record);
+    addRecord(total, record);
+  }
+  const byDate = groups[0] === "day" || groups[0] === "week";
+  const keyText = (row) => groups.map((group) => row.keys[group]).join("\0");
+  const sorted = [...rows.values()].sort((a, b) =>
+    byDate
+      ? keyText(a).localeCompare(keyText(b))
+      : b.totalTokens - a.totalTokens || keyText(a).localeCompare(keyText(b)),
+  );
+  return { groups, rows: sorted, total };
+}
+
+function formatCell(column, value) {
+  return column.format ? column.format(value) : formatTokenCount(value);
+}
+
+export function formatUsageTable(report, options = {}) {
+  const { columns = USAGE_COLUMNS } = options;
+  const header = [
+    ...report.groups.map((group) => GROUP_LABELS[group]),
+    ...columns.map(({ label }) => label),
+  ];
+  const toCells = (row, keys) => [
+    ...keys,
+    ...columns.map((column) => formatCell(column, row[column.id])),
+  ];
+  const body = report.rows.map((row) =>
+    toCells(
+      row,
+      report.groups.map((group) => row.keys[group]),
+    ),
+  );
+  const totalKeys = report.groups.map((_, index) => (index ? "" : "Total"));
+  const table = [header, ...body, toCells(report.total, totalKeys)];
+  const widths = header.map((_, index) =>
+    Math.max(...table.map((cells) => stringWidth(cells[index]))),
+  );
+  const formatLine = (cells) =>
+    cells
+      .map((cell, index) => {
+        if (index < report.groups.length) {
+          return padRightByWidth(cell, widths[index]);
+        }
+        return `${" ".repeat(widths[index] - stringWidth(cell))}${cell}`;
+      })
+      .join("  ")
+      .trimEnd();
+  const rule = widths.map((width) => "-".repeat(width)).join("  ");
+  return [
+    formatLine(header),
+    rule,
+    ...body.map(formatLine),
+    rule,
+    formatLine(table.at(-1)),
+  ];
+}
+
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/u.test(text) ? `"${text.replace(/"/gu, '""')}"` : text;
+}
+
+export function formatUsageCsv(report) {
+  const header = [...report.groups, ...USAGE_COLUMNS.map(({ id }) => id)];
+  const lines = [header.map(csvField).join(",")];
+  for (const row of report.rows) {
+    lines.push(
+      [
+        ...report.groups.map((group) => row.keys[group]),
+        ...USAGE_COLUMNS.map(({ id }) => row[id]),
+      ]
+        .map(csvField)
+        .join(","),
+    );
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export function formatUsageJson(report, extra = {}) {
+  return `${JSON.stringify(
+    {
+      ...extra,
+      groups: report.groups,
+      rows: report.rows,
+      total: report.total,
+    },
+    null,
+    2,
+  )}\n`;
+}
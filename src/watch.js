@@ -0,0 +1,105 @@
+import fs from "node:fs";
+import path from "node:path";
+import { findJsonlFiles } from "./sessions.js";
+
+export const WATCH_THROTTLE_MS = 300;
+export const WATCH_POLL_INTERVAL_MS = 2000;
+
+// The mtime and size of every rollout under `baseDir`, which is all polling
+// compares between rounds.
+async function statRollouts(baseDir) {
+  const versions = new Map();
+  for (const filePath of await findJsonlFiles(baseDir)) {
+    try {
+      const stat = await fs.promises.stat(filePath);
+      versions.set(filePath, `${stat.mtimeMs}:${stat.size}`);
+    } catch {}
+  }
+  return versions;
+}
+
+// Calls `onChange(paths)` at most once per throttle window with the files
+// that changed under `baseDir`, or null when fs.watch could not name one.
+// When a recursive fs.watch is unavailable (or the directory does not exist
+// yet) it falls back to polling, which reports the files that appeared,
+// disappeared, or changed mtime or size since the previous round.
+export function watchSessionsDir(baseDir, onChange, options = {}) {
+  const {
+    throttleMs = WATCH_THROTTLE_MS,
+    pollIntervalMs = WATCH_POLL_INTERVAL_MS,
+  } = options;
+  let closed = false;
+  let timer = null;
+  let watcher = null;
+  let poller = null;
+  let changed = new Set();
+  let unknown = false;
+
+  const flush = () => {
+    timer = null;
+    if (closed) return;
+    const paths = unknown ? null : [...changed];
+    changed = new Set();
+    unknown = false;
+    onChange(paths);
+  };
+
+  const notify = (filePath) => {
+    if (filePath) {
+      changed.add(filePath);
+    } else {
+      unknown = true;
+    }
+    if (!timer) timer = setTimeout(flush, throttleMs);
+  };
+
+  const startPolling = () => {
+    if (poller || closed) return;
+    let known = null;
+    let polling = false;
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        const versions = await statRollouts(baseDir);
+        if (known && !closed) {
+          for (const [filePath, version] of versions) {
+            if (known.get(filePath) !== version) notify(filePath);
+          }
+          for (const filePath of known.keys()) {
+            if (!versions.has(filePath)) notify(filePath);
+          }
+        }
+        known = versions;
+      } finally {
+        polling = false;
+      }
+    };
+    poll();
+    poller = setInterval(poll, pollIntervalMs);
+  };
+
+  try {
+    watcher = fs.watch(
+      baseDir,
+      { recursive: true, persistent: false },
+      (_event, fileName) => {
+        notify(fileName ? path.join(baseDir, fileName.toString()) : null);
+      },
+    );
+    watcher.on("error", () => {
+      watcher?.close();
+      watcher = null;
+      startPolling();
+    });
+  } catch {
+    startPolling();
+  }
+
+  return () => {
+    closed = true;
+    watcher?.close();
+    clearInterval(poller);
+    clearTimeout(timer);
+  };
+}
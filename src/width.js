@@ -0,0 +1,116 @@
+import { AMBIGUOUS_RANGES, WIDE_RANGES } from "./unicode.js";
+
+// Terminal display width. Text is measured per grapheme cluster, so emoji ZWJ
+// sequences, flags, keycaps and letters with combining marks count as one
+// glyph. Code point widths come from East Asian Width data; characters with
+// ambiguous width (Greek, Cyrillic, box drawing, circled numbers, ...) use
+// the configurable `ambiguousWidth`, 1 by default as most terminals do.
+
+const PRINTABLE_ASCII_PATTERN = /^[\x20-\x7e]*$/u;
+const ZERO_WIDTH_PATTERN = /^[\p{Mn}\p{Me}\p{Cf}\p{Cc}]$/u;
+const EMOJI_PATTERN = /^\p{Emoji}/u;
+const EMOJI_PRESENTATION_PATTERN = /^\p{Emoji_Presentation}/u;
+const EXTENDED_PICTOGRAPHIC_PATTERN = /^\p{Extended_Pictographic}/u;
+const REGIONAL_INDICATOR_PATTERN = /^\p{Regional_Indicator}/u;
+
+const ZWJ = "\u200d";
+const TEXT_PRESENTATION = "\ufe0e";
+const EMOJI_PRESENTATION = "\ufe0f";
+
+let ambiguousWidth =
+  Number(process.env.CODEX_TRANSCRIBER_AMBIGUOUS_WIDTH) === 2 ? 2 : 1;
+
+export function setAmbiguousWidth(width) {
+  ambiguousWidth = Number(width) === 2 ? 2 : 1;
+}
+
+export function getAmbiguousWidth() {
+  return ambiguousWidth;
+}
+
+function inRanges(ranges, code) {
+  let low = 0;
+  let high = ranges.length / 2 - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (code < ranges[mid * 2]) {
+      high = mid - 1;
+    } else if (code > ranges[mid * 2 + 1]) {
+      low = mid + 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function codePointWidth(code) {
+  if (code < 0x20 || (code >= 0x7f && code < 0xa0)) return 0;
+  if (code < 0x7f) return 1;
+  // Hangul medial vowels and final consonants join the preceding syllable.
+  if (code >= 0x1160 && code <= 0x11ff) return 0;
+  if (ZERO_WIDTH_PATTERN.test(String.fromCodePoint(code))) return 0;
+  if (inRanges(WIDE_RANGES, code)) return 2;
+  if (inRanges(AMBIGUOUS_RANGES, code)) return ambiguousWidth;
+  return 1;
+}
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+export function graphemes(text) {
+  if (!text) return [];
+  if (PRINTABLE_ASCII_PATTERN.test(text)) return text.split("");
+  return Array.from(segmenter.segment(text), ({ segment }) => segment);
+}
+
+export function graphemeWidth(cluster) {
+  const first = cluster.codePointAt(0) || 0;
+  if (cluster.length === 1 || cluster === String.fromCodePoint(first)) {
+    return codePointWidth(first);
+  }
+  if (REGIONAL_INDICATOR_PATTERN.test(cluster)) return 2;
+  if (cluster.includes(EMOJI_PRESENTATION) && EMOJI_PATTERN.test(cluster)) {
+    return 2;
+  }
+  if (cluster.includes(TEXT_PRESENTATION)) {
+    return EMOJI_PRESENTATION_PATTERN.test(cluster) ? 1 : codePointWidth(first);
+  }
+  if (cluster.includes(ZWJ) && EXTENDED_PICTOGRAPHIC_PATTERN.test(cluster)) {
+    return 2;
+  }
+  for (const char of cluster) {
+    const width = codePointWidth(char.codePointAt(0));
+    if (width > 0) return width;
+  }
+  return 0;
+}
+
+export function stringWidth(text) {
+  if (!text) return 0;
+  if (PRINTABLE_ASCII_PATTERN.test(text)) return text.length;
+  let width = 0;
+  for (const cluster of graphemes(text)) {
+    width += graphemeWidth(cluster);
+  }
+  return width;
+}
+
+export function padRightByWidth(text, targetWidth) {
+  const currentWidth = stringWidth(text);
+  if (currentWidth >= targetWidth) return text;
+  return `${text}${" ".repeat(targetWidth - currentWidth)}`;
+}
+
+export function truncateByWidth(text, maxWidth) {
+  if (!text || maxWidth <= 0) return "";
+  if (PRINTABLE_ASCII_PATTERN.test(text)) return text.slice(0, maxWidth);
+  let width = 0;
+  let result = "";
+  for (const cluster of graphemes(text)) {
+    const clusterWidth = graphemeWidth(cluster);
+    if (width + clusterWidth > maxWidth) break;
+    result += cluster;
+    width += clusterWidth;
+  }
+  return result;
+}
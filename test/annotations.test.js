@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  ANNOTATIONS_LOADING,
+  annotationsPath,
+  loadAnnotations,
+  saveLoadedAnnotations,
+  setSessionName,
+} from "../src/annotations.js";
+
+const session = { id: "abc12345-0000", path: "/tmp/rollout.jsonl" };
+
+function tempDataDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "annotations-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("a corrupt store is never overwritten by an edit", async (t) => {
+  const dataDir = tempDataDir(t);
+  const corrupt = '{"sessions": {"abc12345-0000": {"name": "keep me"},';
+  fs.writeFileSync(annotationsPath(dataDir), corrupt);
+
+  const { annotations, ...load } = await loadAnnotations(dataDir);
+  assert.equal(load.status, "failed");
+  assert.match(load.error, /invalid JSON/u);
+  await assert.rejects(
+    saveLoadedAnnotations(
+      load,
+      setSessionName(annotations, session, "renamed"),
+      dataDir,
+    ),
+    /could not be read/u,
+  );
+  assert.equal(fs.readFileSync(annotationsPath(dataDir), "utf8"), corrupt);
+});
+
+test("edits wait for the store to load", async (t) => {
+  const dataDir = tempDataDir(t);
+  await assert.rejects(
+    saveLoadedAnnotations(ANNOTATIONS_LOADING, new Map(), dataDir),
+    /still loading/u,
+  );
+  assert.equal(fs.existsSync(annotationsPath(dataDir)), false);
+});
+
+test("a clean load keeps what was there when saving", async (t) => {
+  const dataDir = tempDataDir(t);
+  fs.writeFileSync(
+    annotationsPath(dataDir),
+    JSON.stringify({
+      version: 1,
+      sessions: { "other-0000": { name: "other", tags: ["a"], note: "n" } },
+    }),
+  );
+  const { annotations, ...load } = await loadAnnotations(dataDir);
+  assert.equal(load.status, "ready");
+  await saveLoadedAnnotations(
+    load,
+    setSessionName(annotations, session, "renamed"),
+    dataDir,
+  );
+  const saved = JSON.parse(
+    fs.readFileSync(annotationsPath(dataDir), "utf8"),
+  ).sessions;
+  assert.deepEqual(saved["other-0000"], {
+    name: "other",
+    tags: ["a"],
+    note: "n",
+  });
+  assert.equal(saved["abc12345-0000"].name, "renamed");
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  purgeItems,
+  readStoreIndex,
+  restoreItems,
+  storeSessions,
+} from "../src/archive.js";
+
+const MTIME = new Date("2024-03-01T12:00:00Z");
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "archive-test-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const store = path.join(root, "store");
+  const rollout = (dir, name, content = '{"type":"session_meta"}\n') => {
+    const filePath = path.join(root, "sessions", dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    fs.utimesSync(filePath, MTIME, MTIME);
+    return { id: name, path: filePath, sortKey: MTIME.getTime() };
+  };
+  return { store, rollout };
+}
+
+test("a moved session comes back unchanged", async (t) => {
+  const { store, rollout } = setup(t);
+  const session = rollout("a", "one.jsonl");
+  const { stored, failed } = await storeSessions([session], store);
+  assert.deepEqual(failed, []);
+  assert.equal(fs.existsSync(session.path), false);
+  assert.equal(stored[0].file, "one.jsonl");
+  assert.equal(stored[0].mtimeMs, MTIME.getTime());
+  assert.deepEqual(await readStoreIndex(store), stored);
+
+  const { restored } = await restoreItems(stored, store);
+  assert.equal(restored.length, 1);
+  assert.equal(fs.statSync(session.path).mtimeMs, MTIME.getTime());
+  assert.deepEqual(await readStoreIndex(store), []);
+});
+
+test("a gzip round trip keeps the content and the mtime", async (t) => {
+  const { store, rollout } = setup(t);
+  const content = '{"type":"session_meta"}\n'.repeat(100);
+  const session = rollout("a", "one.jsonl", content);
+  const { stored } = await storeSessions([session], store, { compress: true });
+  assert.equal(stored[0].file, "one.jsonl.gz");
+  assert.equal(stored[0].compressed, true);
+  const gzipped = path.join(store, "one.jsonl.gz");
+  assert.ok(fs.statSync(gzipped).size < content.length);
+  assert.equal(fs.statSync(gzipped).mtimeMs, MTIME.getTime());
+
+  await restoreItems(stored, store);
+  assert.equal(fs.readFileSync(session.path, "utf8"), content);
+  assert.equal(fs.statSync(session.path).mtimeMs, MTIME.getTime());
+  assert.equal(fs.existsSync(gzipped), false);
+});
+
+test("a clashing name gets a numeric suffix", async (t) => {
+  const { store, rollout } = setup(t);
+  const first = rollout("a", "same.jsonl", "a\n");
+  const second = rollout("b", "same.jsonl", "b\n");
+  const { stored } = await storeSessions([first, second], store);
+  assert.deepEqual(
+    stored.map((item) => item.file),
+    ["same.jsonl", "same-2.jsonl"],
+  );
+  assert.equal(
+    fs.readFileSync(path.join(store, "same-2.jsonl"), "utf8"),
+    "b\n",
+  );
+});
+
+test("restore never overwrites a file that has appeared since", async (t) => {
+  const { store, rollout } = setup(t);
+  const plain = rollout("a", "plain.jsonl", "old\n");
+  const gzipped = rollout("a", "gzipped.jsonl", "old\n");
+  const { stored: storedPlain } = await storeSessions([plain], store);
+  const { stored: storedGzip } = await storeSessions([gzipped], store, {
+    compress: true,
+  });
+  fs.writeFileSync(plain.path, "new\n");
+  fs.writeFileSync(gzipped.path, "new\n");
+
+  const { restored, failed } = await restoreItems(
+    [...storedPlain, ...storedGzip],
+    store,
+  );
+  assert.deepEqual(restored, []);
+  assert.equal(failed.length, 2);
+  assert.equal(fs.readFileSync(plain.path, "utf8"), "new\n");
+  assert.equal(fs.readFileSync(gzipped.path, "utf8"), "new\n");
+  assert.ok(fs.existsSync(path.join(store, "plain.jsonl")));
+  assert.ok(fs.existsSync(path.join(store, "gzipped.jsonl.gz")));
+  assert.equal((await readStoreIndex(store)).length, 2);
+});
+
+test("purge unlinks files and drops them from the index", async (t) => {
+  const { store, rollout } = setup(t);
+  const { stored } = await storeSessions(
+    [rollout("a", "one.jsonl"), rollout("a", "two.jsonl")],
+    store,
+  );
+  fs.rmSync(path.join(store, "two.jsonl"));
+
+  const { purged, failed } = await purgeItems(stored, store);
+  assert.deepEqual(failed, []);
+  assert.equal(purged.length, 2);
+  assert.equal(fs.existsSync(path.join(store, "one.jsonl")), false);
+  assert.deepEqual(await readStoreIndex(store), []);
+});
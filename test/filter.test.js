@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseSessionFilter } from "../src/filter.js";
+
+test("dates that do not exist are reported instead of rolling over", () => {
+  for (const text of [
+    "since:2026-02-31",
+    "until:2026-04-31",
+    "date:2025-02-29",
+    "since:2026-13",
+    "date:2026-01-01..2026-06-31",
+  ]) {
+    const filter = parseSessionFilter(text);
+    assert.equal(filter.errors.length, 1, text);
+    assert.match(filter.errors[0], /invalid date/u);
+  }
+});
+
+test("real dates and months are parsed in local time", () => {
+  const filter = parseSessionFilter("since:2024-02-29 until:2026-02");
+  assert.deepEqual(filter.errors, []);
+  assert.equal(filter.since, new Date(2024, 1, 29).getTime());
+  assert.equal(filter.until, new Date(2026, 2, 1).getTime() - 1);
+});
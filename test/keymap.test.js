@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildKeymap, resolveAction } from "../src/keymap.js";
+
+test("a pane binding wins over a global one and is reported", () => {
+  const keymap = buildKeymap({ bindings: { down: ["q"] } });
+  assert.equal(resolveAction(keymap, "list", "q"), "down");
+  assert.equal(resolveAction(keymap, "global", "q"), "quit");
+  assert.ok(
+    keymap.conflicts.includes(
+      '"q" is bound to both quit and down in the sessions pane',
+    ),
+  );
+});
+
+test("within one pane the action listed first keeps the key", () => {
+  const keymap = buildKeymap({
+    bindings: { down: ["ctrl+t"], up: ["ctrl+t"] },
+  });
+  assert.equal(resolveAction(keymap, "list", "ctrl+t"), "up");
+  assert.ok(
+    keymap.conflicts.includes(
+      '"ctrl+t" is bound to both up and down in the sessions pane',
+    ),
+  );
+});
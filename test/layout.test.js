@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { computeLayout, paneAt } from "../src/layout.js";
+
+const frameHeight = (layout) =>
+  layout.headerLines + layout.height + layout.footerLines;
+
+test("every layout leaves one terminal row free", () => {
+  for (const options of [
+    { columns: 120, rows: 30, leftWidth: 25 },
+    { columns: 120, rows: 18, leftWidth: 25 },
+    { columns: 70, rows: 24, leftWidth: 25, zoomed: true },
+    { columns: 60, rows: 30, leftWidth: 25, stackWidth: 80 },
+  ]) {
+    assert.equal(frameHeight(computeLayout(options)), options.rows - 1);
+  }
+});
+
+test("paneAt counts rows from under the full header", () => {
+  const layout = computeLayout({ columns: 120, rows: 30, leftWidth: 25 });
+  assert.equal(layout.headerLines, 3);
+  assert.equal(paneAt(layout, 5, 2), null);
+  assert.deepEqual(paneAt(layout, 5, 4), { pane: "list", row: 0 });
+  assert.deepEqual(paneAt(layout, 5, 5), { pane: "list", row: 1 });
+  assert.deepEqual(paneAt(layout, 60, 5), { pane: "right", row: 1 });
+  assert.equal(paneAt(layout, 5, 29), null);
+});
+
+test("paneAt follows a collapsed header on short terminals", () => {
+  const layout = computeLayout({ columns: 120, rows: 18, leftWidth: 25 });
+  assert.equal(layout.header, "compact");
+  assert.deepEqual(paneAt(layout, 5, 2), { pane: "list", row: -1 });
+  assert.deepEqual(paneAt(layout, 5, 5), { pane: "list", row: 2 });
+  assert.equal(paneAt(layout, 5, 1), null);
+});
+
+test("paneAt follows the one-line zoom header", () => {
+  const layout = computeLayout({
+    columns: 70,
+    rows: 24,
+    leftWidth: 25,
+    zoomed: true,
+  });
+  assert.equal(paneAt(layout, 5, 0), null);
+  assert.deepEqual(paneAt(layout, 5, 2), { pane: "right", row: 0 });
+});
+
+test("paneAt splits stacked panes by the list height", () => {
+  const layout = computeLayout({
+    columns: 60,
+    rows: 30,
+    leftWidth: 25,
+    stackWidth: 80,
+  });
+  const top = layout.headerLines;
+  assert.deepEqual(paneAt(layout, 5, top + 1), { pane: "list", row: 0 });
+  assert.deepEqual(paneAt(layout, 5, top + layout.listHeight + 1), {
+    pane: "right",
+    row: 0,
+  });
+});
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { formatGitPatch, parseApplyPatch } from "../src/patch.js";
+
+const formatPatch = (text) =>
+  formatGitPatch([{ cwd: null, files: parseApplyPatch(text) }]).split("\n");
+
+test("hunks with trailing context apply with plain git apply", () => {
+  const lines = formatPatch(
+    "*** Begin Patch\n*** Update File: a.js\n@@\n a\n-b\n+B\n c\n*** End Patch",
+  );
+  assert.equal(lines[0], "diff --git a/a.js b/a.js");
+  assert.ok(lines.includes("@@ -2,3 +2,3 @@"));
+});
+
+test("hunks without context ask for --unidiff-zero", () => {
+  const lines = formatPatch(
+    "*** Begin Patch\n*** Update File: a.js\n@@\n-b\n+B\n@@\n+end\n*** End Patch",
+  );
+  assert.match(lines[0], /git apply --unidiff-zero/u);
+  assert.ok(lines.includes("@@ -2 +2 @@"));
+  // apply_patch appends pure additions, so they point past the last line.
+  assert.ok(lines.includes("@@ -999999,0 +999999 @@"));
+});
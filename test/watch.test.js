@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { watchSessionsDir } from "../src/watch.js";
+
+// A directory that does not exist yet cannot be watched, so these changes
+// are found by polling.
+test(
+  "polling reports the rollouts that changed",
+  { timeout: 5000 },
+  async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "watch-test-"));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const baseDir = path.join(root, "sessions");
+    const calls = [];
+    let wake = () => {};
+    const stop = watchSessionsDir(
+      baseDir,
+      (paths) => {
+        calls.push(paths);
+        wake();
+      },
+      { throttleMs: 10, pollIntervalMs: 20 },
+    );
+    t.after(stop);
+    const nextCall = () =>
+      new Promise((resolve) => {
+        wake = resolve;
+      });
+
+    // Let the first round record the empty directory.
+    await delay(50);
+    const first = path.join(baseDir, "2025", "a.jsonl");
+    const second = path.join(baseDir, "2025", "b.jsonl");
+    fs.mkdirSync(path.dirname(first), { recursive: true });
+    fs.writeFileSync(first, "{}\n");
+    fs.writeFileSync(second, "{}\n");
+    await nextCall();
+    assert.deepEqual(calls.at(-1).sort(), [first, second]);
+
+    fs.appendFileSync(second, "{}\n");
+    await nextCall();
+    assert.deepEqual(calls.at(-1), [second]);
+
+    fs.rmSync(first);
+    await nextCall();
+    assert.deepEqual(calls.at(-1), [first]);
+  },
+);